@@ -0,0 +1,106 @@
+// lib/api-errors.js
+// The one error envelope every /api route answers with:
+//   { success: false, error, code, status, requestId, retryable, retryAfter }
+// `error` is a message for people and stays a string, so older clients keep working;
+// `code` is stable and what programs should branch on. `retryAfter` (seconds) is set only
+// when trying again later can help, and is mirrored in the Retry-After header.
+const { PoliceApiError } = require('./police-api');
+
+// Stable codes and the HTTP status each one answers with
+const ERROR_STATUS = {
+  INVALID_INPUT: 400,         // a malformed or missing parameter
+  INVALID_LOCATION: 400,      // lat/lng or polygon that does not parse
+  INVALID_DATE: 400,          // date that is not YYYY-MM
+  VIEWPORT_TOO_LARGE: 400,
+  INVALID_API_KEY: 401,       // unknown, malformed or revoked X-API-Key
+  UNAUTHORIZED: 401,          // admin route without the admin token
+  ORIGIN_NOT_ALLOWED: 403,    // API key used from an origin it was not issued for
+  NOT_FOUND: 404,             // the thing asked for does not exist
+  ROUTE_NOT_FOUND: 404,       // no such API route
+  OUTSIDE_COVERAGE: 422,      // valid location with no police data
+  DATE_UNAVAILABLE: 422,      // valid month that is not published
+  RATE_LIMITED: 429,          // this client used up its request budget
+  QUOTA_EXCEEDED: 429,        // this API key used up its daily quota
+  UPSTREAM_RATE_LIMITED: 503, // data.police.uk is rate limiting us
+  UPSTREAM_UNAVAILABLE: 502,  // data.police.uk failed or could not be reached
+  UPSTREAM_TIMEOUT: 504,      // data.police.uk did not answer in time
+  INTERNAL_ERROR: 500
+};
+
+// Seconds to suggest waiting before a retry, when upstream gave no Retry-After
+const RETRY_AFTER = {
+  UPSTREAM_RATE_LIMITED: 10,
+  UPSTREAM_UNAVAILABLE: 30,
+  UPSTREAM_TIMEOUT: 5,
+  INTERNAL_ERROR: 30
+};
+
+const UPSTREAM_MESSAGES = {
+  UPSTREAM_RATE_LIMITED: 'the police data service is busy',
+  UPSTREAM_UNAVAILABLE: 'the police data service is unavailable',
+  UPSTREAM_TIMEOUT: 'the police data service did not respond in time'
+};
+
+class ApiError extends Error {
+  /**
+   * @param {string} code one of ERROR_STATUS
+   * @param {string} message shown to people, so say what is wrong and how to fix it
+   * @param {object} [options]
+   * @param {number} [options.retryAfter] seconds; defaults by code for retryable errors
+   * @param {Error} [options.cause] the underlying error, for logs only
+   */
+  constructor(code, message, { retryAfter, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = ERROR_STATUS[code] ? code : 'INTERNAL_ERROR';
+    this.status = ERROR_STATUS[this.code];
+    this.retryAfter = retryAfter ?? RETRY_AFTER[this.code] ?? null;
+    this.cause = cause;
+  }
+
+  get retryable() {
+    return this.retryAfter !== null;
+  }
+}
+
+// Upstream failures by cause; a 404 means the force/neighbourhood/crime does not exist
+function fromUpstream(err, context, notFound) {
+  let code = 'UPSTREAM_UNAVAILABLE';
+  if (err.timedOut) code = 'UPSTREAM_TIMEOUT';
+  else if (err.status === 429) code = 'UPSTREAM_RATE_LIMITED';
+  else if (err.status === 404) return new ApiError('NOT_FOUND', notFound || 'Not found', { cause: err });
+
+  const reason = UPSTREAM_MESSAGES[code];
+  const message = context ? `${context}: ${reason}` : reason.charAt(0).toUpperCase() + reason.slice(1);
+  return new ApiError(code, message, { retryAfter: err.retryAfter ?? undefined, cause: err });
+}
+
+/**
+ * Any error thrown by a route -> ApiError. `context` ("Unable to fetch outcomes") leads
+ * the message for failures that are not the caller's fault; `notFound` is the message
+ * for an upstream 404.
+ */
+function toApiError(err, context, { notFound } = {}) {
+  if (err instanceof ApiError) return err;
+  if (err instanceof PoliceApiError) return fromUpstream(err, context, notFound);
+  // Body parser errors (malformed JSON and the like) carry their own 4xx status
+  if (err && err.status >= 400 && err.status < 500 && err.expose) {
+    return new ApiError('INVALID_INPUT', err.message, { cause: err });
+  }
+  return new ApiError('INTERNAL_ERROR', context || 'Something went wrong', { cause: err });
+}
+
+function errorBody(apiError, requestId) {
+  const body = {
+    success: false,
+    error: apiError.message,
+    code: apiError.code,
+    status: apiError.status,
+    requestId: requestId || null,
+    retryable: apiError.retryable
+  };
+  if (apiError.retryable) body.retryAfter = apiError.retryAfter;
+  return body;
+}
+
+module.exports = { ApiError, ERROR_STATUS, toApiError, errorBody };
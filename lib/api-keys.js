@@ -0,0 +1,263 @@
+// lib/api-keys.js
+// API keys for partners calling /api from their own backends. Keys are issued with
+// `npm run api-keys -- create`, and look like cs_<id>_<secret>; only a SHA-256 of the whole
+// key is stored, so a lost key is revoked and reissued, never recovered.
+//
+//   <dir>/keys.json   { keys: [{ id, name, hash, dailyQuota, origins, createdAt, revokedAt }] }
+//   <dir>/usage.json  { days: { "YYYY-MM-DD": { <keyId>: requests } } }  (UTC days)
+//
+// The CLI writes keys.json and the server picks changes up without a restart; only the
+// server writes usage.json.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_PATTERN = /^cs_([a-f0-9]{8})_([A-Za-z0-9_-]{32})$/;
+const USAGE_DAYS_KEPT = 31;
+const RELOAD_CHECK_MS = 5000;     // how often keys.json is checked for CLI changes
+const USAGE_SAVE_DELAY_MS = 10000; // usage is flushed at most this often
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw new Error(`Unable to read ${file}: ${err.message}`);
+  }
+}
+
+function writeJsonAtomic(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// Origins are compared as scheme://host[:port], which is what browsers send
+function normaliseOrigin(origin) {
+  const url = new URL(origin);
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`Origin must be http or https: ${origin}`);
+  }
+  return url.origin;
+}
+
+class ApiKeyStore {
+  constructor({ dir, now = () => new Date() }) {
+    this.dir = dir;
+    this.keysFile = path.join(dir, 'keys.json');
+    this.usageFile = path.join(dir, 'usage.json');
+    this.now = now;
+    this.keys = new Map(); // id -> record
+    this.keysMtime = null;
+    this.lastReloadCheck = 0;
+    this.usage = { days: {} };
+    this.usageDirty = false;
+    this.saveTimer = null;
+    this.load();
+  }
+
+  load() {
+    const { keys = [] } = readJson(this.keysFile, {});
+    this.keys = new Map(keys.map(record => [record.id, record]));
+    this.keysMtime = this.mtime(this.keysFile);
+    this.usage = readJson(this.usageFile, { days: {} });
+    return this;
+  }
+
+  mtime(file) {
+    try {
+      return fs.statSync(file).mtimeMs;
+    } catch {
+      return null;
+    }
+  }
+
+  // Pick up keys created or revoked by the CLI while the server runs
+  reloadIfChanged() {
+    const now = Date.now();
+    if (now - this.lastReloadCheck < RELOAD_CHECK_MS) return;
+    this.lastReloadCheck = now;
+    const mtime = this.mtime(this.keysFile);
+    if (mtime === this.keysMtime) return;
+    const { keys = [] } = readJson(this.keysFile, {});
+    this.keys = new Map(keys.map(record => [record.id, record]));
+    this.keysMtime = mtime;
+    console.log(`🔑 Reloaded ${this.keys.size} API keys`);
+  }
+
+  saveKeys() {
+    writeJsonAtomic(this.keysFile, { keys: [...this.keys.values()] });
+    this.keysMtime = this.mtime(this.keysFile);
+  }
+
+  /**
+   * Issue a key. The returned `key` is the only copy of the secret.
+   * @param {object} options
+   * @param {string} options.name who the key is for
+   * @param {number} [options.dailyQuota] requests per UTC day; 0 for no quota
+   * @param {string[]} [options.origins] browser origins allowed to use it; empty for any
+   */
+  create({ name, dailyQuota = 10000, origins = [] }) {
+    if (!name || !String(name).trim()) throw new Error('A key needs a name');
+    if (!Number.isInteger(dailyQuota) || dailyQuota < 0) throw new Error('dailyQuota must be a whole number, 0 for none');
+
+    let id;
+    do {
+      id = crypto.randomBytes(4).toString('hex');
+    } while (this.keys.has(id));
+    const key = `cs_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id,
+      name: String(name).trim(),
+      hash: hashKey(key),
+      dailyQuota,
+      origins: origins.map(normaliseOrigin),
+      createdAt: this.now().toISOString(),
+      revokedAt: null
+    };
+    this.keys.set(id, record);
+    this.saveKeys();
+    return { key, record };
+  }
+
+  revoke(id) {
+    const record = this.keys.get(id);
+    if (!record) throw new Error(`No API key with id ${id}`);
+    if (!record.revokedAt) {
+      record.revokedAt = this.now().toISOString();
+      this.saveKeys();
+    }
+    return record;
+  }
+
+  list() {
+    return [...this.keys.values()];
+  }
+
+  /**
+   * The active key record for a presented key, or null for unknown, malformed or revoked keys.
+   */
+  authenticate(key) {
+    this.reloadIfChanged();
+    const match = KEY_PATTERN.exec(String(key || '').trim());
+    if (!match) return null;
+    const record = this.keys.get(match[1]);
+    if (!record || record.revokedAt) return null;
+    const presented = Buffer.from(hashKey(match[0]), 'hex');
+    const stored = Buffer.from(record.hash, 'hex');
+    return presented.length === stored.length && crypto.timingSafeEqual(presented, stored) ? record : null;
+  }
+
+  isOriginAllowed(record, origin) {
+    if (!origin || record.origins.length === 0) return true;
+    try {
+      return record.origins.includes(normaliseOrigin(origin));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Where a key stands against its daily quota, without counting a request.
+   * @returns {{ allowed: boolean, used: number, quota: number, resetsIn: number }}
+   *   quota 0 means unlimited; resetsIn is seconds until the next UTC midnight
+   */
+  checkQuota(record) {
+    const now = this.now();
+    const used = (this.usage.days[utcDay(now)] || {})[record.id] || 0;
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return {
+      allowed: !(record.dailyQuota > 0 && used >= record.dailyQuota),
+      used,
+      quota: record.dailyQuota,
+      resetsIn: Math.ceil((midnight - now.getTime()) / 1000)
+    };
+  }
+
+  /**
+   * Count one request against a key's daily quota, unless it is used up.
+   * @returns the same shape as checkQuota, with `used` including this request
+   */
+  recordUse(record) {
+    const quota = this.checkQuota(record);
+    if (!quota.allowed) return quota;
+    const day = utcDay(this.now());
+    const counts = this.usage.days[day] || (this.usage.days[day] = {});
+    counts[record.id] = quota.used + 1;
+    this.scheduleSave();
+    return { ...quota, used: quota.used + 1 };
+  }
+
+  scheduleSave() {
+    this.usageDirty = true;
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      try {
+        this.saveUsage();
+      } catch (err) {
+        console.error('⚠️ Unable to save API key usage:', err.message);
+      }
+    }, USAGE_SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  saveUsage() {
+    if (!this.usageDirty) return;
+    const oldest = utcDay(new Date(this.now().getTime() - (USAGE_DAYS_KEPT - 1) * 86400000));
+    for (const day of Object.keys(this.usage.days)) {
+      if (day < oldest) delete this.usage.days[day];
+    }
+    writeJsonAtomic(this.usageFile, this.usage);
+    this.usageDirty = false;
+  }
+
+  /**
+   * Per-key usage for the admin report: today, the kept history and the daily totals.
+   */
+  usageReport() {
+    this.reloadIfChanged();
+    const today = utcDay(this.now());
+    const days = Object.keys(this.usage.days).sort();
+    const keys = this.list().map(record => {
+      const daily = {};
+      let total = 0;
+      for (const day of days) {
+        const count = this.usage.days[day][record.id] || 0;
+        if (count) daily[day] = count;
+        total += count;
+      }
+      const usedToday = daily[today] || 0;
+      return {
+        id: record.id,
+        name: record.name,
+        dailyQuota: record.dailyQuota,
+        origins: record.origins,
+        createdAt: record.createdAt,
+        revokedAt: record.revokedAt,
+        today: usedToday,
+        remainingToday: record.dailyQuota > 0 ? Math.max(0, record.dailyQuota - usedToday) : null,
+        total,
+        daily
+      };
+    });
+    return { today, since: days[0] || today, keys };
+  }
+
+  stats() {
+    const active = this.list().filter(record => !record.revokedAt).length;
+    const requestsToday = Object.values(this.usage.days[utcDay(this.now())] || {}).reduce((a, b) => a + b, 0);
+    return { keys: active, revoked: this.keys.size - active, requestsToday };
+  }
+}
+
+module.exports = { ApiKeyStore, normaliseOrigin };
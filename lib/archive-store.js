@@ -0,0 +1,468 @@
+// lib/archive-store.js
+// Local store for the data.police.uk monthly archives: street-level crimes, stop-and-search
+// records and crime outcomes.
+// Crimes and stops are bucketed into a fixed lat/lng grid with one JSON file per kind, month
+// and cell ({ force: [records] }), so an area query only reads the few cells it overlaps.
+// Outcomes are looked up by crime id instead, so each month's are bucketed by the id's first
+// two characters ({ crimeId: [[force, outcome], ...] }); an import only rewrites its month's.
+// manifest.json records which force-months have been imported and the files each touched:
+// `months` for street crimes, `stops` and `outcomes` for the other two.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pointInPolygon, polygonBounds, distanceKm, radiusBounds } = require('./geo');
+
+const CELL_LAT = 0.05;           // ~5.5 km
+const CELL_LNG = 0.08;           // ~5.5 km at UK latitudes
+const POINT_RADIUS_KM = 1.609;   // lat/lng queries cover one mile, as upstream does
+
+// Archive "Crime type" labels -> the category slugs the API uses
+const CATEGORY_SLUGS = {
+  'Anti-social behaviour': 'anti-social-behaviour',
+  'Bicycle theft': 'bicycle-theft',
+  'Burglary': 'burglary',
+  'Criminal damage and arson': 'criminal-damage-arson',
+  'Drugs': 'drugs',
+  'Other crime': 'other-crime',
+  'Other theft': 'other-theft',
+  'Possession of weapons': 'possession-of-weapons',
+  'Public order': 'public-order',
+  'Robbery': 'robbery',
+  'Shoplifting': 'shoplifting',
+  'Theft from the person': 'theft-from-the-person',
+  'Vehicle crime': 'vehicle-crime',
+  'Violence and sexual offences': 'violent-crime'
+};
+
+function categorySlug(label) {
+  return CATEGORY_SLUGS[label] || String(label || 'other-crime').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+}
+
+function emptyManifest() {
+  return { months: {}, stops: {}, outcomes: {} };
+}
+
+function cellKey(lat, lng) {
+  return `${Math.floor(lat / CELL_LAT)}_${Math.floor(lng / CELL_LNG)}`;
+}
+
+// Bounds an area query reads: the polygon's, or the square around the one-mile radius
+function areaBounds(area) {
+  return area.poly ? polygonBounds(area.poly) : radiusBounds(area.lat, area.lng, POINT_RADIUS_KM);
+}
+
+function cellsFor({ north, south, east, west }) {
+  const keys = [];
+  for (let y = Math.floor(south / CELL_LAT); y <= Math.floor(north / CELL_LAT); y++) {
+    for (let x = Math.floor(west / CELL_LNG); x <= Math.floor(east / CELL_LNG); x++) {
+      keys.push(`${y}_${x}`);
+    }
+  }
+  return keys;
+}
+
+// Archive crime ids are 64 hex characters; anything else is hashed so it still buckets evenly
+function outcomeBucket(crimeId) {
+  return /^[0-9a-f]{2}/.test(crimeId)
+    ? crimeId.slice(0, 2)
+    : crypto.createHash('sha1').update(crimeId).digest('hex').slice(0, 2);
+}
+
+// Crimes per category slug of stored street records
+function countCategories(records) {
+  const categories = {};
+  records.forEach(record => { categories[record[2]] = (categories[record[2]] || 0) + 1; });
+  return categories;
+}
+
+// On disk a crime is [id, persistentId, category, lat, lng, street, outcome, context]
+function toRecord(crime) {
+  return [crime.id, crime.persistentId, crime.category, crime.latitude, crime.longitude,
+    crime.street, crime.outcome, crime.context];
+}
+
+// Expand a stored record into the shape crimes-street returns
+function toCrime([id, persistentId, category, latitude, longitude, street, outcome, context], month) {
+  return {
+    category,
+    location_type: 'Force',
+    location: { latitude, street: { id: null, name: street }, longitude },
+    context: context || '',
+    outcome_status: outcome ? { category: outcome, date: null } : null,
+    persistent_id: persistentId || '',
+    id,
+    location_subtype: '',
+    month
+  };
+}
+
+// On disk a stop is [datetime, type, lat, lng, gender, ageRange, selfDefinedEthnicity,
+// officerDefinedEthnicity, legislation, objectOfSearch, outcome, outcomeLinked, removal,
+// operation, operationName]
+function toStopRecord(stop) {
+  return [stop.datetime, stop.type, stop.latitude, stop.longitude, stop.gender, stop.ageRange,
+    stop.selfDefinedEthnicity, stop.officerDefinedEthnicity, stop.legislation, stop.objectOfSearch,
+    stop.outcome, stop.outcomeLinked, stop.removal, stop.operation, stop.operationName];
+}
+
+// Expand a stored stop into the shape stops-street returns. The archives name no street.
+function toStop([datetime, type, latitude, longitude, gender, ageRange, selfDefinedEthnicity,
+  officerDefinedEthnicity, legislation, objectOfSearch, outcome, outcomeLinked, removal,
+  operation, operationName]) {
+  return {
+    age_range: ageRange || null,
+    outcome: outcome || null,
+    involved_person: type !== 'Vehicle search',
+    self_defined_ethnicity: selfDefinedEthnicity || null,
+    gender: gender || null,
+    legislation: legislation || null,
+    outcome_linked_to_object_of_search: outcomeLinked,
+    datetime,
+    removal_of_more_than_outer_clothing: removal,
+    outcome_object: outcome ? { id: null, name: outcome } : null,
+    location: { latitude, street: { id: null, name: null }, longitude },
+    operation,
+    officer_defined_ethnicity: officerDefinedEthnicity || null,
+    type,
+    operation_name: operationName || null,
+    object_of_search: objectOfSearch || null
+  };
+}
+
+// Where each kind of grid record keeps its coordinates
+const GRID_KINDS = {
+  street: { section: 'months', lat: 3, lng: 4 },
+  stops: { section: 'stops', lat: 2, lng: 3 }
+};
+
+async function writeJsonAtomic(file, value) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(value));
+  await fs.promises.rename(tmp, file);
+}
+
+// A cell or bucket file; a missing one is empty
+async function readJsonFile(file) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+}
+
+async function writeOrRemove(file, value) {
+  if (Object.keys(value).length > 0) {
+    await writeJsonAtomic(file, value);
+  } else {
+    await fs.promises.rm(file, { force: true });
+  }
+}
+
+class ArchiveStore {
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.maxCells = options.maxCells || 200;  // parsed cells kept in memory
+    this.manifest = emptyManifest();
+    this.manifestMtime = null;
+    this.cells = new Map();                   // `${kind}/${month}/${key}` -> { force: [records] } (LRU)
+    this.counters = { queries: 0, cellReads: 0 };
+  }
+
+  manifestPath() {
+    return path.join(this.dir, 'manifest.json');
+  }
+
+  // kind is 'street' or 'stops'
+  cellPath(kind, month, key) {
+    return path.join(this.dir, kind, month, `${key}.json`);
+  }
+
+  outcomePath(month, bucket) {
+    return path.join(this.dir, 'outcomes', month, `${bucket}.json`);
+  }
+
+  // Re-read the manifest when an import has rewritten it; a new manifest also invalidates cells
+  async refresh() {
+    let stat;
+    try {
+      stat = await fs.promises.stat(this.manifestPath());
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('⚠️ Archive manifest unreadable:', err.message);
+      this.manifest = emptyManifest();
+      this.manifestMtime = null;
+      return this.manifest;
+    }
+    if (stat.mtimeMs !== this.manifestMtime) {
+      // Manifests written before stops and outcomes were imported lack those sections
+      this.manifest = { ...emptyManifest(), ...JSON.parse(await fs.promises.readFile(this.manifestPath(), 'utf8')) };
+      this.manifestMtime = stat.mtimeMs;
+      this.cells.clear();
+    }
+    return this.manifest;
+  }
+
+  // Months with imported street crimes, newest first
+  async months() {
+    const manifest = await this.refresh();
+    return Object.keys(manifest.months).sort().reverse();
+  }
+
+  async hasMonth(month) {
+    const manifest = await this.refresh();
+    return Boolean(manifest.months[month]);
+  }
+
+  async hasStopsMonth(month) {
+    const manifest = await this.refresh();
+    return Boolean(manifest.stops[month]);
+  }
+
+  /**
+   * Whether every one of `forces` has been imported for `month`, so any area within them
+   * can be answered locally. Force areas interleave, and a grid cell or bounding box with
+   * one force's crimes can still hold a neighbour's, so coverage goes by whole forces.
+   * @param {string[]} forces force ids that publish data for the month
+   * @param {string} [kind] 'street' (default) or 'stops'
+   */
+  async covers(month, forces, kind = 'street') {
+    const manifest = await this.refresh();
+    const imported = manifest[GRID_KINDS[kind].section][month]?.forces || {};
+    return forces.length > 0 && forces.every(force => imported[force]);
+  }
+
+  async readCell(kind, month, key) {
+    const id = `${kind}/${month}/${key}`;
+    let cell = this.cells.get(id);
+    if (!cell) {
+      this.counters.cellReads++;
+      cell = await readJsonFile(this.cellPath(kind, month, key));
+      this.cells.set(id, cell);
+      while (this.cells.size > this.maxCells) {
+        this.cells.delete(this.cells.keys().next().value);
+      }
+    } else {
+      this.cells.delete(id);
+      this.cells.set(id, cell);
+    }
+    return cell;
+  }
+
+  // Stored records of `kind` for one month inside an area
+  async queryRecords(kind, area, month) {
+    await this.refresh();
+    this.counters.queries++;
+    const { lat: latIndex, lng: lngIndex } = GRID_KINDS[kind];
+    const inArea = area.poly
+      ? (lat, lng) => pointInPolygon(lat, lng, area.poly)
+      : (lat, lng) => distanceKm(area.lat, area.lng, lat, lng) <= POINT_RADIUS_KM;
+
+    const records = [];
+    for (const key of cellsFor(areaBounds(area))) {
+      const cell = await this.readCell(kind, month, key);
+      Object.values(cell).forEach(list => list.forEach(record => {
+        if (inArea(parseFloat(record[latIndex]), parseFloat(record[lngIndex]))) records.push(record);
+      }));
+    }
+    return records;
+  }
+
+  /**
+   * Street crimes for one month, in the crimes-street response shape.
+   * `area` is { lat, lng } (one-mile radius) or { poly: [[lat, lng], ...] }, as for getStreetCrimes.
+   */
+  async query(area, month) {
+    return (await this.queryRecords('street', area, month)).map(record => toCrime(record, month));
+  }
+
+  /**
+   * Stop-and-search records for one month within an area, in the stops-street shape.
+   */
+  async queryStops(area, month) {
+    return (await this.queryRecords('stops', area, month)).map(toStop);
+  }
+
+  /**
+   * One force's located stop-and-search records for a month, or null when that force-month
+   * has not been imported.
+   */
+  async forceStops(force, month) {
+    const manifest = await this.refresh();
+    const imported = manifest.stops[month]?.forces?.[force];
+    if (!imported) return null;
+    const stops = [];
+    for (const key of imported.cells) {
+      const cell = await this.readCell('stops', month, key);
+      (cell[force] || []).forEach(record => stops.push(toStop(record)));
+    }
+    return stops;
+  }
+
+  /**
+   * Force-wide street crime figures for one imported force-month, or null when it has not
+   * been imported: { total, located, noLocation, categories }, where `categories` counts
+   * the located crimes.
+   */
+  async forceSummary(force, month) {
+    const manifest = await this.refresh();
+    const imported = manifest.months[month]?.forces?.[force];
+    if (!imported) return null;
+    let categories = imported.categories;
+    if (!categories) {
+      // Imported before the manifest kept per-category counts
+      const records = [];
+      for (const key of imported.cells) {
+        const cell = await this.readCell('street', month, key);
+        (cell[force] || []).forEach(record => records.push(record));
+      }
+      categories = countCategories(records);
+    }
+    const noLocation = imported.noLocation || 0;
+    return { total: imported.count + noLocation, located: imported.count, noLocation, categories };
+  }
+
+  /**
+   * Months with imported street crimes for one force, newest first.
+   */
+  async forceMonths(force) {
+    const manifest = await this.refresh();
+    return Object.keys(manifest.months).filter(month => manifest.months[month].forces?.[force]).sort().reverse();
+  }
+
+  /**
+   * Every imported outcome for a crime, oldest first, as [{ month, force, outcome }].
+   */
+  async outcomesFor(crimeId) {
+    const manifest = await this.refresh();
+    const id = String(crimeId).toLowerCase();
+    const bucket = outcomeBucket(id);
+    const outcomes = [];
+    for (const month of Object.keys(manifest.outcomes).sort()) {
+      // Only months where some force wrote this bucket have a file for it
+      const forces = Object.values(manifest.outcomes[month].forces || {});
+      if (!forces.some(f => f.buckets.includes(bucket))) continue;
+      const stored = await readJsonFile(this.outcomePath(month, bucket));
+      (stored[id] || []).forEach(([force, outcome]) => outcomes.push({ month, force, outcome }));
+    }
+    return outcomes;
+  }
+
+  // Put one force's records for a month into the grid cells of `kind`, removing what it
+  // left before in cells the new records no longer use. Returns the cells now used.
+  async replaceForceCells(kind, month, force, records, previousCells = []) {
+    const { lat, lng } = GRID_KINDS[kind];
+    const byCell = new Map();
+    records.forEach(record => {
+      const key = cellKey(parseFloat(record[lat]), parseFloat(record[lng]));
+      if (!byCell.has(key)) byCell.set(key, []);
+      byCell.get(key).push(record);
+    });
+
+    const touched = new Set([...byCell.keys(), ...previousCells]);
+    for (const key of touched) {
+      const file = this.cellPath(kind, month, key);
+      const cell = await readJsonFile(file);
+      if (byCell.has(key)) cell[force] = byCell.get(key);
+      else delete cell[force];
+      await writeOrRemove(file, cell);
+    }
+    return [...byCell.keys()];
+  }
+
+  // Grid records of `kind` for one force-month, with the manifest entry recording them and
+  // any `extra` fields
+  async importGrid(kind, month, force, records, { noLocation, ...extra }) {
+    const { section } = GRID_KINDS[kind];
+    const manifest = await this.refresh();
+    const previous = manifest[section][month]?.forces?.[force];
+    const cells = await this.replaceForceCells(kind, month, force, records, previous?.cells);
+
+    manifest[section][month] = manifest[section][month] || { forces: {} };
+    manifest[section][month].forces[force] = {
+      count: records.length,
+      noLocation,
+      cells,
+      ...extra,
+      importedAt: new Date().toISOString()
+    };
+    await writeJsonAtomic(this.manifestPath(), manifest);
+    await this.refresh();
+  }
+
+  /**
+   * Replace one force's crimes for one month. Re-importing the same file is safe:
+   * the force's records are removed from every cell it used before.
+   * @param {Array} crimes { id, persistentId, category, latitude, longitude, street, outcome, context }
+   */
+  importForceMonth(month, force, crimes, { noLocation = 0 } = {}) {
+    const records = crimes.map(toRecord);
+    return this.importGrid('street', month, force, records, { noLocation, categories: countCategories(records) });
+  }
+
+  /**
+   * Replace one force's stop-and-search records for one month, as importForceMonth does.
+   * @param {Array} stops { datetime, type, latitude, longitude, gender, ageRange,
+   *   selfDefinedEthnicity, officerDefinedEthnicity, legislation, objectOfSearch, outcome,
+   *   outcomeLinked, removal, operation, operationName }
+   */
+  importForceStops(month, force, stops, { noLocation = 0 } = {}) {
+    return this.importGrid('stops', month, force, stops.map(toStopRecord), { noLocation });
+  }
+
+  /**
+   * Replace the outcomes one force recorded in one month. Outcomes of a crime recorded in
+   * other months or by other forces are kept.
+   * @param {Array} outcomes { crimeId, outcome }
+   */
+  async importForceOutcomes(month, force, outcomes) {
+    const manifest = await this.refresh();
+    const previous = manifest.outcomes[month]?.forces?.[force];
+
+    const byBucket = new Map();
+    outcomes.forEach(({ crimeId, outcome }) => {
+      const id = String(crimeId).toLowerCase();
+      const bucket = outcomeBucket(id);
+      if (!byBucket.has(bucket)) byBucket.set(bucket, []);
+      byBucket.get(bucket).push([id, outcome]);
+    });
+
+    const touched = new Set([...byBucket.keys(), ...(previous?.buckets || [])]);
+    for (const bucket of touched) {
+      const file = this.outcomePath(month, bucket);
+      const stored = await readJsonFile(file);
+      Object.keys(stored).forEach(id => {
+        stored[id] = stored[id].filter(([f]) => f !== force);
+        if (stored[id].length === 0) delete stored[id];
+      });
+      (byBucket.get(bucket) || []).forEach(([id, outcome]) => {
+        (stored[id] = stored[id] || []).push([force, outcome]);
+      });
+      await writeOrRemove(file, stored);
+    }
+
+    manifest.outcomes[month] = manifest.outcomes[month] || { forces: {} };
+    manifest.outcomes[month].forces[force] = {
+      count: outcomes.length,
+      buckets: [...byBucket.keys()],
+      importedAt: new Date().toISOString()
+    };
+    await writeJsonAtomic(this.manifestPath(), manifest);
+    await this.refresh();
+  }
+
+  stats() {
+    const months = Object.keys(this.manifest.months).sort();
+    return {
+      ...this.counters,
+      months: months.length,
+      oldest: months[0] || null,
+      newest: months[months.length - 1] || null,
+      stopsMonths: Object.keys(this.manifest.stops).length,
+      outcomeMonths: Object.keys(this.manifest.outcomes).length,
+      cachedCells: this.cells.size
+    };
+  }
+}
+
+module.exports = { ArchiveStore, categorySlug, POINT_RADIUS_KM };
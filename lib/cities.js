@@ -0,0 +1,93 @@
+// lib/cities.js
+// The cities we have pages for, loaded from data/cities.json. One entry per city:
+//   { slug, name, lat, lng, region, country, population, force, coverage, featured }
+// `force` is the data.police.uk force id (null where no force publishes data) and
+// `coverage` is 'street' for street-level crime data or 'none' where the dataset has no
+// data at all (Scotland: Police Scotland does not publish to data.police.uk).
+const fs = require('fs');
+const { isLatLng } = require('./geo');
+
+const COVERAGE = ['street', 'none'];
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+function validateCity(city, index) {
+  const where = `cities[${index}]${city && city.slug ? ` (${city.slug})` : ''}`;
+  if (!city || !SLUG_PATTERN.test(city.slug)) throw new Error(`${where}: slug must be lower-case words joined by hyphens`);
+  if (!city.name) throw new Error(`${where}: name is required`);
+  if (!isLatLng(city.lat, city.lng)) throw new Error(`${where}: lat/lng must be valid coordinates`);
+  if (!COVERAGE.includes(city.coverage)) throw new Error(`${where}: coverage must be one of ${COVERAGE.join(', ')}`);
+  if (city.coverage !== 'none' && !city.force) throw new Error(`${where}: a covered city needs a force id`);
+}
+
+class CityRegistry {
+  /**
+   * @param {Array} cities entries as described above, in display order
+   */
+  constructor(cities) {
+    cities.forEach(validateCity);
+    this.list = cities.map(city => ({
+      region: null,
+      country: null,
+      population: null,
+      force: null,
+      featured: false,
+      ...city
+    }));
+    this.bySlug = new Map(this.list.map(city => [city.slug, city]));
+    this.byName = new Map(this.list.map(city => [city.name, city]));
+    if (this.bySlug.size !== this.list.length) throw new Error('City slugs must be unique');
+  }
+
+  static fromFile(file) {
+    let cities;
+    try {
+      cities = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`Unable to read city registry ${file}: ${err.message}`);
+    }
+    if (!Array.isArray(cities)) throw new Error(`City registry ${file} must be a JSON array`);
+    return new CityRegistry(cities);
+  }
+
+  get(slug) {
+    return this.bySlug.get(slug) || null;
+  }
+
+  findByName(name) {
+    return this.byName.get(name) || null;
+  }
+
+  all() {
+    return this.list;
+  }
+
+  slugs() {
+    return this.list.map(city => city.slug);
+  }
+
+  isCovered(city) {
+    return city.coverage !== 'none';
+  }
+
+  // Cities policed by one force, in registry order
+  inForce(forceId) {
+    return this.list.filter(city => city.force === forceId);
+  }
+
+  // Cities grouped by country for listings: [{ country, covered, cities }]
+  byCountry() {
+    const groups = new Map();
+    this.list.forEach(city => {
+      const country = city.country || 'Other';
+      if (!groups.has(country)) groups.set(country, []);
+      groups.get(country).push(city);
+    });
+    return [...groups.entries()].map(([country, cities]) => ({
+      country,
+      covered: cities.some(city => this.isCovered(city)),
+      cities: [...cities].sort((a, b) => a.name.localeCompare(b.name))
+    }));
+  }
+}
+
+module.exports = { CityRegistry, COVERAGE };
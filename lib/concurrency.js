@@ -0,0 +1,28 @@
+// lib/concurrency.js
+// Bounded-concurrency helpers for fanning out upstream requests.
+
+/**
+ * Like Promise.allSettled(items.map(fn)) but with at most `limit` calls running at once.
+ * Results keep the order of `items`.
+ */
+async function mapSettled(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = { mapSettled };
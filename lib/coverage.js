@@ -0,0 +1,59 @@
+// lib/coverage.js
+// Where data.police.uk publishes street-level crime: England, Wales and Northern Ireland.
+// Police Scotland, the Isle of Man and the Channel Islands do not publish to it.
+// The outlines are deliberately coarse and generous: they follow the land borders closely
+// enough to tell Carlisle from Gretna, but take in a few kilometres of sea along the coast.
+// A point just outside coverage that slips through only costs an empty upstream answer.
+const { pointInPolygon } = require('./geo');
+
+const COVERED_REGIONS = [
+  {
+    id: 'england-wales',
+    name: 'England and Wales',
+    // [lat, lng], clockwise from the Scottish border at Berwick
+    polygon: [
+      [55.82, -2.03], [55.82, -1.7], [55.0, -1.1], [54.5, -0.3], [54.1, 0.2], [53.6, 0.4],
+      [53.1, 0.5], [53.1, 1.9], [52.5, 1.95], [51.9, 1.7], [51.45, 1.6], [51.1, 1.5],
+      [50.85, 1.05], [50.65, 0.3], [50.65, -0.8], [50.5, -1.3], [50.45, -2.5], [50.15, -3.6],
+      [49.9, -5.2], [49.8, -6.5], [50.2, -6.5], [51.5, -5.9], [51.9, -5.6], [52.1, -5.2],
+      [52.7, -4.9], [53.0, -4.85], [53.45, -4.75], [53.5, -4.3], [53.8, -3.3], [54.05, -3.35],
+      [54.5, -3.75], [54.85, -3.55], [54.955, -3.25],
+      // Land border with Scotland
+      [54.99, -3.06], [55.14, -2.84], [55.28, -2.58], [55.35, -2.47], [55.43, -2.25],
+      [55.48, -2.17], [55.64, -2.33], [55.66, -2.2], [55.76, -2.1]
+    ]
+  },
+  {
+    id: 'northern-ireland',
+    name: 'Northern Ireland',
+    // Clockwise from Lough Foyle; the land border follows the Republic of Ireland
+    polygon: [
+      [55.35, -6.95], [55.35, -5.9], [54.9, -5.55], [54.5, -5.3], [54.2, -5.4], [54.0, -6.05],
+      [54.03, -6.3], [54.05, -6.65], [54.25, -6.85], [54.38, -7.05], [54.2, -7.2], [54.1, -7.35],
+      [54.13, -7.6], [54.29, -7.875], [54.42, -8.2], [54.5, -8.2], [54.55, -7.9], [54.7, -7.75],
+      [54.83, -7.47], [55.0, -7.42], [55.06, -7.3], [55.2, -6.97]
+    ]
+  }
+];
+
+const COVERAGE_DESCRIPTION = 'England, Wales and Northern Ireland';
+
+/**
+ * The covered region ({ id, name }) containing a point, or null outside coverage.
+ */
+function coverageAt(lat, lng) {
+  const region = COVERED_REGIONS.find(r => pointInPolygon(lat, lng, r.polygon));
+  return region ? { id: region.id, name: region.name } : null;
+}
+
+/**
+ * Whether any of an area is covered: a point, or a polygon with a covered vertex or centre.
+ */
+function isAreaCovered(area) {
+  if (!area.poly) return coverageAt(area.lat, area.lng) !== null;
+  const centre = area.poly.reduce(([sumLat, sumLng], [lat, lng]) => [sumLat + lat, sumLng + lng], [0, 0])
+    .map(sum => sum / area.poly.length);
+  return [...area.poly, centre].some(([lat, lng]) => coverageAt(lat, lng) !== null);
+}
+
+module.exports = { COVERED_REGIONS, COVERAGE_DESCRIPTION, coverageAt, isAreaCovered };
@@ -0,0 +1,58 @@
+// lib/crime-query.js
+// Shaping crime lists for /api/v1/crimes: field selection and cursor pages.
+// Cursors are opaque to clients: the offset of the next page plus a fingerprint of the
+// query, so a cursor cannot be replayed against a different area, month or filter.
+const crypto = require('crypto');
+
+// What ?fields= may select; dotted names pick one property of a nested object
+const CRIME_FIELDS = [
+  'category', 'month', 'id', 'persistent_id', 'context',
+  'location_type', 'location_subtype',
+  'location', 'location.latitude', 'location.longitude',
+  'location.street', 'location.street.id', 'location.street.name',
+  'outcome_status', 'outcome_status.category', 'outcome_status.date'
+];
+
+/**
+ * A copy of `crime` with only `fields`. A missing parent (no outcome yet) gives null.
+ * Fields inside another selected field are already included and skipped.
+ */
+function projectCrime(crime, fields) {
+  const wanted = fields.filter(field => !fields.some(other => field.startsWith(`${other}.`)));
+  const result = {};
+  for (const field of wanted) {
+    const parts = field.split('.');
+    let value = crime;
+    for (const part of parts) {
+      value = value == null ? null : value[part];
+    }
+    let target = result;
+    parts.slice(0, -1).forEach(part => {
+      target = target[part] || (target[part] = {});
+    });
+    target[parts[parts.length - 1]] = value === undefined ? null : value;
+  }
+  return result;
+}
+
+function queryFingerprint(parts) {
+  return crypto.createHash('sha1').update(parts.join('|')).digest('hex').slice(0, 12);
+}
+
+function encodeCursor(offset, fingerprint) {
+  return Buffer.from(JSON.stringify({ o: offset, q: fingerprint })).toString('base64url');
+}
+
+/**
+ * The offset a cursor points at, or null when it is malformed or from another query.
+ */
+function decodeCursor(cursor, fingerprint) {
+  try {
+    const { o, q } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Number.isInteger(o) && o >= 0 && q === fingerprint ? o : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { CRIME_FIELDS, projectCrime, queryFingerprint, encodeCursor, decodeCursor };
@@ -0,0 +1,83 @@
+// lib/csv.js
+// Streaming CSV reader for the data.police.uk archive files (RFC 4180: quoted fields,
+// doubled quotes, CRLF or LF line endings, newlines inside quotes), and the row writer
+// for CSV exports.
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Yield each row of a CSV stream as an object keyed by the header row.
+ * @param {stream.Readable} stream text or buffer stream
+ */
+async function* readCsvRecords(stream) {
+  let header = null;
+  for await (const row of readCsvRows(stream)) {
+    if (!header) {
+      header = row.map(name => name.replace(/^\uFEFF/, '').trim());
+      continue;
+    }
+    if (row.length === 1 && row[0] === '') continue; // blank line
+    const record = {};
+    header.forEach((name, i) => { record[name] = row[i] !== undefined ? row[i] : ''; });
+    yield record;
+  }
+}
+
+// Yield each row as an array of field strings
+async function* readCsvRows(stream) {
+  let field = '';
+  let row = [];
+  let inQuotes = false;
+  let pendingQuote = false; // saw a quote inside a quoted field; next char decides
+  const decoder = new StringDecoder('utf8'); // chunks can split multi-byte characters
+
+  for await (const chunk of stream) {
+    const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (pendingQuote) {
+        pendingQuote = false;
+        if (ch === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+      if (inQuotes) {
+        if (ch === '"') pendingQuote = true;
+        else field += ch;
+        continue;
+      }
+      if (ch === '"' && field === '') {
+        inQuotes = true;
+      } else if (ch === ',') {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n') {
+        row.push(field.endsWith('\r') ? field.slice(0, -1) : field);
+        yield row;
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field.endsWith('\r') ? field.slice(0, -1) : field);
+    yield row;
+  }
+}
+
+/**
+ * One CSV line (CRLF-terminated) from a list of values; null and undefined are empty.
+ * Fields holding commas, quotes or line breaks are quoted.
+ */
+function formatCsvRow(values) {
+  return values.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+module.exports = { readCsvRecords, readCsvRows, formatCsvRow };
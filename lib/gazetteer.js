@@ -0,0 +1,320 @@
+// lib/gazetteer.js
+// Offline place and postcode lookup, built by scripts/import-gazetteer.js from open data
+// (ONS Postcode Directory, OS Open Names). Layout under `dir`:
+//   places.json             [[name, type, lat, lng, area], ...]
+//   outcodes.json           { "SW1A": [lat, lng, postcodeCount], ... }
+//   postcodes/<OUTCODE>.json { "SW1A 1AA": [lat, lng], ... }
+//   manifest.json           counts and import times; rewritten last by every import
+const fs = require('fs');
+const path = require('path');
+const { distanceKm, radiusBounds } = require('./geo');
+const { SearchIndex } = require('./search-index');
+
+const POSTCODE_PATTERN = /^([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})$/;
+const OUTCODE_PATTERN = /^[A-Z]{1,2}\d[A-Z\d]?$/;
+const POSTCODE_START_PATTERN = /^[A-Z]{1,2}\d/;     // enough typed to search postcodes
+const INWARD_START_PATTERN = /^\d[A-Z]{0,2}$/;
+
+// Lower number = more significant settlement, preferred when names collide
+const PLACE_RANK = { city: 0, town: 1, suburb: 2, village: 3, hamlet: 4, place: 5, street: 6 };
+
+// Imported places this close to a built-in place of the same name are the same place
+const DUPLICATE_DISTANCE_KM = 15;
+
+// Reverse lookups: grid cell size in degrees, and how far from its centre a point still
+// counts as being in a place of each type. Further out it is only "near" the place.
+const GRID_CELL_DEG = 0.1;
+const LOCALITY_RADIUS_KM = { city: 12, town: 4, suburb: 2, village: 1.5, hamlet: 1, place: 1 };
+const NEAREST_MAX_KM = 40;
+
+function normaliseName(value) {
+  return String(value || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// "sw1a1aa" -> "SW1A 1AA"; null when it is not a full postcode
+function normalisePostcode(value) {
+  const match = String(value || '').toUpperCase().replace(/\s+/g, '').match(POSTCODE_PATTERN);
+  return match ? `${match[1]} ${match[2]}` : null;
+}
+
+function byRank(a, b) {
+  return (PLACE_RANK[a.type] ?? 9) - (PLACE_RANK[b.type] ?? 9) || a.name.length - b.name.length;
+}
+
+class Gazetteer {
+  /**
+   * @param {object} options
+   * @param {string|null} options.dir   imported data; null to use only the built-in places
+   * @param {Array} [options.places]    built-in { name, type, lat, lng, area, population } entries, always searched
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || null;
+    this.builtIn = (options.places || []).map(p => ({ ...p, key: normaliseName(p.name) }));
+    this.places = this.builtIn;
+    this.byName = new Map();
+    this.searchIndex = null;
+    this.grid = new Map();           // "row:col" -> settlements in that cell, for reverse lookups
+    this.outcodes = {};
+    this.outcodeList = [];
+    this.postcodeFiles = new Map();  // outcode -> parsed file (LRU)
+    this.maxPostcodeFiles = 200;
+    this.manifest = null;
+    this.manifestMtime = null;
+    this.counters = { lookups: 0, postcodeHits: 0, placeHits: 0, misses: 0, reverseLookups: 0 };
+    this.index();
+  }
+
+  file(...parts) {
+    return path.join(this.dir, ...parts);
+  }
+
+  index() {
+    this.byName = new Map();
+    this.places.forEach(place => {
+      if (!this.byName.has(place.key)) this.byName.set(place.key, []);
+      this.byName.get(place.key).push(place);
+    });
+    this.byName.forEach(list => list.sort(byRank));
+    this.searchIndex = new SearchIndex(this.places);
+
+    this.grid = new Map();
+    this.places.forEach(place => {
+      if (place.type === 'street') return;
+      const cell = this.cellKey(Math.floor(place.lat / GRID_CELL_DEG), Math.floor(place.lng / GRID_CELL_DEG));
+      if (!this.grid.has(cell)) this.grid.set(cell, []);
+      this.grid.get(cell).push(place);
+    });
+  }
+
+  cellKey(row, col) {
+    return `${row}:${col}`;
+  }
+
+  async readJson(...parts) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file(...parts), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  // Reload imported data when an import has rewritten the manifest
+  async refresh() {
+    if (!this.dir) return;
+    let stat;
+    try {
+      stat = await fs.promises.stat(this.file('manifest.json'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('⚠️ Gazetteer manifest unreadable:', err.message);
+      return;
+    }
+    if (stat.mtimeMs === this.manifestMtime) return;
+
+    const [manifest, places, outcodes] = await Promise.all([
+      this.readJson('manifest.json'),
+      this.readJson('places.json'),
+      this.readJson('outcodes.json')
+    ]);
+    const imported = (places || [])
+      .map(([name, type, lat, lng, area]) => ({ name, type, lat, lng, area, key: normaliseName(name) }))
+      .filter(place => !this.builtIn.some(b => b.key === place.key &&
+        distanceKm(b.lat, b.lng, place.lat, place.lng) < DUPLICATE_DISTANCE_KM));
+
+    this.manifest = manifest;
+    this.manifestMtime = stat.mtimeMs;
+    this.places = [...this.builtIn, ...imported];
+    this.outcodes = outcodes || {};
+    this.outcodeList = Object.keys(this.outcodes).sort();
+    this.postcodeFiles.clear();
+    this.index();
+    console.log(`🗺️ Gazetteer loaded: ${imported.length} places, ${Object.keys(this.outcodes).length} postcode districts`);
+  }
+
+  async postcodeFile(outcode) {
+    let file = this.postcodeFiles.get(outcode);
+    if (file === undefined) {
+      file = await this.readJson('postcodes', `${outcode}.json`);
+      this.postcodeFiles.set(outcode, file);
+      while (this.postcodeFiles.size > this.maxPostcodeFiles) {
+        this.postcodeFiles.delete(this.postcodeFiles.keys().next().value);
+      }
+    }
+    return file;
+  }
+
+  async lookupPostcode(postcode) {
+    const outcode = postcode.split(' ')[0];
+    const file = this.dir ? await this.postcodeFile(outcode) : null;
+    return file && file[postcode] ? this.lookupPostcodeIn(file, postcode) : null;
+  }
+
+  lookupOutcode(outcode) {
+    const entry = this.outcodes[outcode];
+    return entry ? { name: outcode, type: 'outcode', lat: entry[0], lng: entry[1], area: null } : null;
+  }
+
+  /**
+   * Places whose name matches exactly, or else starts with, the query. "Name, Area"
+   * narrows the matches to places whose area (county or district) contains "Area".
+   */
+  findPlaces(query, limit) {
+    const [namePart, ...rest] = query.split(',');
+    const key = normaliseName(namePart);
+    const qualifier = normaliseName(rest.join(' '));
+    if (!key) return [];
+    const inArea = place => !qualifier || normaliseName(place.area).includes(qualifier);
+
+    const exact = (this.byName.get(key) || []).filter(inArea);
+    if (exact.length > 0) return exact.slice(0, limit);
+
+    return this.searchIndex.startingWith(key)
+      .filter(inArea)
+      .sort(byRank)
+      .slice(0, limit);
+  }
+
+  /**
+   * Resolve a postcode, postcode district or place name. Returns up to `limit`
+   * { name, type, lat, lng, area } matches, best first.
+   */
+  async geocode(query, { limit = 5 } = {}) {
+    await this.refresh();
+    this.counters.lookups++;
+    const text = String(query || '').trim();
+    const compact = text.toUpperCase().replace(/\s+/g, '');
+
+    const postcode = normalisePostcode(text);
+    if (postcode) {
+      const match = await this.lookupPostcode(postcode) || this.lookupOutcode(postcode.split(' ')[0]);
+      if (match) {
+        this.counters.postcodeHits++;
+        return [match];
+      }
+    } else if (OUTCODE_PATTERN.test(compact) && this.outcodes[compact]) {
+      this.counters.postcodeHits++;
+      return [this.lookupOutcode(compact)];
+    }
+
+    const places = this.findPlaces(text, limit)
+      .map(({ name, type, lat, lng, area }) => ({ name, type, lat, lng, area: area || null }));
+    if (places.length > 0) this.counters.placeHits++;
+    else this.counters.misses++;
+    return places;
+  }
+
+  /**
+   * Autocomplete: ranked places plus postcodes or postcode districts starting with the
+   * query. Each hit is { name, type, lat, lng, area, score }.
+   */
+  async search(query, { limit = 10 } = {}) {
+    await this.refresh();
+    const places = this.searchIndex.search(normaliseName(query), limit)
+      .map(({ entry, score }) => ({
+        name: entry.name, type: entry.type, lat: entry.lat, lng: entry.lng, area: entry.area || null, score
+      }));
+    const postcodes = await this.searchPostcodes(query, limit);
+    // Someone typing a postcode wants postcodes first
+    return [...postcodes, ...places].slice(0, limit);
+  }
+
+  async searchPostcodes(query, limit) {
+    const compact = String(query || '').toUpperCase().replace(/\s+/g, '');
+    if (!this.dir || !POSTCODE_START_PATTERN.test(compact)) return [];
+
+    const districts = this.outcodeList
+      .filter(code => code.startsWith(compact))
+      .sort((a, b) => a.length - b.length || a.localeCompare(b, 'en', { numeric: true }))
+      .map(code => ({ ...this.lookupOutcode(code), score: 1 }));
+
+    // Full postcodes once the query runs past an outcode ("SW1A1" -> SW1A 1AA, SW1A 1AB, ...)
+    const outcode = this.outcodeList
+      .filter(code => compact.startsWith(code) && INWARD_START_PATTERN.test(compact.slice(code.length)))
+      .sort((a, b) => b.length - a.length)[0];
+    let postcodes = [];
+    if (outcode) {
+      const file = await this.postcodeFile(outcode) || {};
+      postcodes = Object.keys(file)
+        .filter(postcode => postcode.replace(' ', '').startsWith(compact))
+        .sort()
+        .slice(0, limit)
+        .map(postcode => ({ ...this.lookupPostcodeIn(file, postcode), score: 1 }));
+    }
+
+    return [...districts, ...postcodes].slice(0, limit);
+  }
+
+  /**
+   * Reverse lookup: the settlement a point is in, or failing that the nearest one within
+   * NEAREST_MAX_KM. Returns { name, type, lat, lng, area, distanceKm, within } or null,
+   * plus the nearest postcode district as `outcode` (null without imported postcodes).
+   */
+  async nearest(lat, lng) {
+    await this.refresh();
+    this.counters.reverseLookups++;
+    const { north, south, east, west } = radiusBounds(lat, lng, NEAREST_MAX_KM);
+    const candidates = [];
+    for (let row = Math.floor(south / GRID_CELL_DEG); row <= Math.floor(north / GRID_CELL_DEG); row++) {
+      for (let col = Math.floor(west / GRID_CELL_DEG); col <= Math.floor(east / GRID_CELL_DEG); col++) {
+        (this.grid.get(this.cellKey(row, col)) || []).forEach(place => {
+          const distance = distanceKm(lat, lng, place.lat, place.lng);
+          if (distance <= NEAREST_MAX_KM) candidates.push({ place, distance });
+        });
+      }
+    }
+
+    // Inside a place's radius, the most central match wins, so a suburb beats the city
+    // around it; otherwise just the closest place
+    const reach = ({ place, distance }) => distance / (LOCALITY_RADIUS_KM[place.type] || 1);
+    const inside = candidates.filter(c => reach(c) <= 1).sort((a, b) => reach(a) - reach(b));
+    const best = inside[0] || candidates.sort((a, b) => a.distance - b.distance)[0];
+    if (!best) return null;
+
+    const { name, type, area } = best.place;
+    return {
+      name,
+      type,
+      lat: best.place.lat,
+      lng: best.place.lng,
+      area: area || null,
+      distanceKm: Number(best.distance.toFixed(2)),
+      within: inside.length > 0,
+      outcode: this.nearestOutcode(lat, lng)
+    };
+  }
+
+  nearestOutcode(lat, lng) {
+    let best = null;
+    let bestDistance = LOCALITY_RADIUS_KM.town;
+    this.outcodeList.forEach(code => {
+      const [outLat, outLng] = this.outcodes[code];
+      const distance = distanceKm(lat, lng, outLat, outLng);
+      if (distance < bestDistance) {
+        best = code;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  lookupPostcodeIn(file, postcode) {
+    const [lat, lng] = file[postcode];
+    return { name: postcode, type: 'postcode', lat, lng, area: postcode.split(' ')[0] };
+  }
+
+  stats() {
+    return {
+      ...this.counters,
+      places: this.places.length,
+      outcodes: Object.keys(this.outcodes).length,
+      importedAt: this.manifest?.importedAt || null
+    };
+  }
+}
+
+module.exports = { Gazetteer, normaliseName, normalisePostcode, PLACE_RANK };
@@ -0,0 +1,294 @@
+// lib/geo.js
+// Polygon parsing and measurement helpers for custom-area crime queries.
+// Polygons are arrays of [lat, lng] pairs (the police API's order), without a closing vertex.
+
+const EARTH_RADIUS_KM = 6371;
+
+// Limits for polygons accepted from clients. The police API takes the polygon in the
+// query string, so the vertex cap also keeps upstream URLs a sane length.
+const POLYGON_LIMITS = {
+  minVertices: 3,
+  maxVertices: 100,
+  maxAreaKm2: 100
+};
+
+function toRadians(deg) {
+  return deg * Math.PI / 180;
+}
+
+function isLatLng(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) &&
+    lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+// "lat,lng:lat,lng:..." as used by data.police.uk
+function parseLatLngList(input) {
+  return input.split(':').map(pair => {
+    const [lat, lng] = pair.split(',').map(v => parseFloat(v));
+    return [lat, lng];
+  });
+}
+
+// GeoJSON Polygon geometry or a Feature wrapping one. Only the outer ring is used.
+function parseGeoJsonPolygon(input) {
+  let geo;
+  try {
+    geo = typeof input === 'string' ? JSON.parse(input) : input;
+  } catch {
+    throw new Error('Polygon GeoJSON is not valid JSON');
+  }
+  if (geo && geo.type === 'Feature') geo = geo.geometry;
+  if (!geo || geo.type !== 'Polygon' || !Array.isArray(geo.coordinates) || !Array.isArray(geo.coordinates[0])) {
+    throw new Error('GeoJSON must be a Polygon geometry or a Feature containing one');
+  }
+  // GeoJSON positions are [lng, lat]
+  return geo.coordinates[0].map(pos => [Number(pos?.[1]), Number(pos?.[0])]);
+}
+
+/**
+ * Approximate area of a polygon in km², using an equirectangular projection about
+ * its mean latitude. Accurate enough for the city-scale areas we deal with.
+ */
+function polygonAreaKm2(points) {
+  const meanLat = points.reduce((sum, [lat]) => sum + lat, 0) / points.length;
+  const kx = EARTH_RADIUS_KM * Math.cos(toRadians(meanLat));
+  const projected = points.map(([lat, lng]) => [toRadians(lng) * kx, toRadians(lat) * EARTH_RADIUS_KM]);
+  let twice = 0;
+  for (let i = 0; i < projected.length; i++) {
+    const [x1, y1] = projected[i];
+    const [x2, y2] = projected[(i + 1) % projected.length];
+    twice += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(twice) / 2;
+}
+
+function polygonBounds(points) {
+  const lats = points.map(p => p[0]);
+  const lngs = points.map(p => p[1]);
+  return { north: Math.max(...lats), south: Math.min(...lats), east: Math.max(...lngs), west: Math.min(...lngs) };
+}
+
+function boundsToPolygon({ north, south, east, west }) {
+  return [[north, west], [north, east], [south, east], [south, west]];
+}
+
+function boundsAreaKm2(bounds) {
+  return polygonAreaKm2(boundsToPolygon(bounds));
+}
+
+function pointInBounds(lat, lng, { north, south, east, west }) {
+  return lat >= south && lat <= north && lng >= west && lng <= east;
+}
+
+// Ray casting; points exactly on an edge may fall either side
+function pointInPolygon(lat, lng, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [latI, lngI] = points[i];
+    const [latJ, lngJ] = points[j];
+    if ((latI > lat) !== (latJ > lat) &&
+        lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Great-circle distance in km (haversine)
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Bounds enclosing a circle, for prefiltering radius searches
+function radiusBounds(lat, lng, radiusKm) {
+  const dLat = radiusKm / EARTH_RADIUS_KM * 180 / Math.PI;
+  const dLng = dLat / Math.cos(toRadians(lat));
+  return { north: lat + dLat, south: lat - dLat, east: lng + dLng, west: lng - dLng };
+}
+
+// Split bounds into four equal quadrants (NW, NE, SW, SE)
+function quadrants({ north, south, east, west }) {
+  const midLat = (north + south) / 2;
+  const midLng = (east + west) / 2;
+  return [
+    { north, south: midLat, east: midLng, west },
+    { north, south: midLat, east, west: midLng },
+    { north: midLat, south, east: midLng, west },
+    { north: midLat, south, east, west: midLng }
+  ];
+}
+
+/**
+ * Clip a polygon to a rectangle (Sutherland–Hodgman). Returns the clipped ring,
+ * which has fewer than three vertices when the polygon misses the rectangle.
+ */
+function clipPolygonToBounds(points, { north, south, east, west }) {
+  const edges = [
+    { inside: ([lat]) => lat <= north, cross: (a, b) => intersectAtLat(a, b, north) },
+    { inside: ([lat]) => lat >= south, cross: (a, b) => intersectAtLat(a, b, south) },
+    { inside: ([, lng]) => lng <= east, cross: (a, b) => intersectAtLng(a, b, east) },
+    { inside: ([, lng]) => lng >= west, cross: (a, b) => intersectAtLng(a, b, west) }
+  ];
+
+  return edges.reduce((ring, edge) => {
+    const out = [];
+    ring.forEach((current, i) => {
+      const previous = ring[(i + ring.length - 1) % ring.length];
+      if (edge.inside(current)) {
+        if (!edge.inside(previous)) out.push(edge.cross(previous, current));
+        out.push(current);
+      } else if (edge.inside(previous)) {
+        out.push(edge.cross(previous, current));
+      }
+    });
+    return out;
+  }, points);
+}
+
+function intersectAtLat([lat1, lng1], [lat2, lng2], lat) {
+  return [lat, lng1 + (lng2 - lng1) * (lat - lat1) / (lat2 - lat1)];
+}
+
+function intersectAtLng([lat1, lng1], [lat2, lng2], lng) {
+  return [lat1 + (lat2 - lat1) * (lng - lng1) / (lng2 - lng1), lng];
+}
+
+/**
+ * Parse north/south/east/west query values into a bounds object.
+ * Returns { valid: true, bounds } or { valid: false, error }.
+ */
+function parseBounds({ north, south, east, west }) {
+  const bounds = {
+    north: parseFloat(north),
+    south: parseFloat(south),
+    east: parseFloat(east),
+    west: parseFloat(west)
+  };
+  if (Object.values(bounds).some(v => !Number.isFinite(v))) {
+    return { valid: false, error: 'north, south, east and west must all be numbers' };
+  }
+  if (!isLatLng(bounds.north, bounds.east) || !isLatLng(bounds.south, bounds.west)) {
+    return { valid: false, error: 'Bounds are outside valid latitude/longitude ranges' };
+  }
+  if (bounds.north <= bounds.south || bounds.east <= bounds.west) {
+    return { valid: false, error: 'Bounds must satisfy north > south and east > west' };
+  }
+  return { valid: true, bounds };
+}
+
+// The grid lines at or below `from` and the number of `step`-sized cells from there to `to`
+function gridSpan(from, to, step) {
+  const start = Math.floor(from / step) * step;
+  return { start, cells: Math.max(0, Math.ceil(Number(((to - start) / step).toFixed(9)))) };
+}
+
+/**
+ * How many tiles tileBounds would cover `bounds` with, without building them, so an
+ * oversized area can be refused first.
+ */
+function countTiles(bounds, latStep, lngStep) {
+  return gridSpan(bounds.south, bounds.north, latStep).cells * gridSpan(bounds.west, bounds.east, lngStep).cells;
+}
+
+/**
+ * Cover `bounds` with tiles snapped to a fixed degree grid. Snapping means two
+ * overlapping viewports ask upstream for identical tiles, so cached tiles get reused.
+ * Builds every tile, so check countTiles against a limit before calling it on client input.
+ */
+function tileBounds(bounds, latStep, lngStep) {
+  const tiles = [];
+  const round = v => Number(v.toFixed(6));
+  const lat = gridSpan(bounds.south, bounds.north, latStep);
+  const lng = gridSpan(bounds.west, bounds.east, lngStep);
+  for (let row = 0; row < lat.cells; row++) {
+    const south = lat.start + row * latStep;
+    for (let col = 0; col < lng.cells; col++) {
+      const west = lng.start + col * lngStep;
+      tiles.push({
+        north: round(south + latStep),
+        south: round(south),
+        east: round(west + lngStep),
+        west: round(west)
+      });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Parse and validate a client-supplied polygon (lat:lng list or GeoJSON).
+ * Returns { valid: true, points, areaKm2 } or { valid: false, error } like validateCoordinates.
+ */
+function parsePolygon(input, limits = POLYGON_LIMITS) {
+  if (input === undefined || input === null || input === '') {
+    return { valid: false, error: 'Polygon is required' };
+  }
+
+  let points;
+  try {
+    const raw = typeof input === 'string' ? input.trim() : input;
+    points = (typeof raw === 'object' || raw.startsWith('{'))
+      ? parseGeoJsonPolygon(raw)
+      : parseLatLngList(raw);
+  } catch (err) {
+    return { valid: false, error: err.message };
+  }
+
+  if (points.length === 0) {
+    return { valid: false, error: 'Polygon has no vertices' };
+  }
+  if (points.some(([lat, lng]) => !isLatLng(lat, lng))) {
+    return { valid: false, error: 'Polygon contains an invalid coordinate' };
+  }
+
+  // Drop an explicit closing vertex (GeoJSON rings always have one)
+  const [firstLat, firstLng] = points[0];
+  const [lastLat, lastLng] = points[points.length - 1];
+  if (points.length > 1 && firstLat === lastLat && firstLng === lastLng) points = points.slice(0, -1);
+
+  if (points.length < limits.minVertices) {
+    return { valid: false, error: `Polygon needs at least ${limits.minVertices} vertices` };
+  }
+  if (points.length > limits.maxVertices) {
+    return { valid: false, error: `Polygon may have at most ${limits.maxVertices} vertices` };
+  }
+
+  const areaKm2 = polygonAreaKm2(points);
+  if (areaKm2 <= 0) {
+    return { valid: false, error: 'Polygon has no area' };
+  }
+  if (areaKm2 > limits.maxAreaKm2) {
+    return { valid: false, error: `Polygon covers ${areaKm2.toFixed(1)} km²; the limit is ${limits.maxAreaKm2} km²` };
+  }
+
+  return { valid: true, points, areaKm2 };
+}
+
+// Serialise for the police API's poly parameter, rounded to ~1m
+function formatPolyParam(points) {
+  return points.map(([lat, lng]) => `${Number(lat.toFixed(5))},${Number(lng.toFixed(5))}`).join(':');
+}
+
+module.exports = {
+  POLYGON_LIMITS,
+  isLatLng,
+  parsePolygon,
+  polygonAreaKm2,
+  polygonBounds,
+  boundsToPolygon,
+  boundsAreaKm2,
+  pointInBounds,
+  pointInPolygon,
+  distanceKm,
+  radiusBounds,
+  parseBounds,
+  tileBounds,
+  countTiles,
+  quadrants,
+  clipPolygonToBounds,
+  formatPolyParam
+};
@@ -0,0 +1,53 @@
+// lib/geojson.js
+// Crimes as GeoJSON (RFC 7946) for GIS tools: numeric [lng, lat] coordinates and flat
+// properties in place of the police API's nested objects and coordinate strings.
+// The map loads this file too (/js/geojson.js) to export the crimes on screen.
+
+/**
+ * A Point Feature for one crime, or null when it has no usable location.
+ */
+function crimeToFeature(crime) {
+  const lat = parseFloat(crime.location?.latitude);
+  const lng = parseFloat(crime.location?.longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+  return {
+    type: 'Feature',
+    id: crime.id ?? null,
+    geometry: { type: 'Point', coordinates: [lng, lat] },
+    properties: {
+      id: crime.id ?? null,
+      persistent_id: crime.persistent_id || null,
+      category: crime.category || null,
+      month: crime.month || null,
+      street_id: crime.location?.street?.id ?? null,
+      street_name: crime.location?.street?.name || null,
+      location_type: crime.location_type || null,
+      location_subtype: crime.location_subtype || null,
+      context: crime.context || null,
+      outcome_category: crime.outcome_status?.category || null,
+      outcome_date: crime.outcome_status?.date || null
+    }
+  };
+}
+
+/**
+ * A FeatureCollection of crimes, with its bbox. `metadata` (any extra fields, e.g. the
+ * query) is added as a foreign member, which GIS tools ignore.
+ */
+function crimesToFeatureCollection(crimes, metadata) {
+  const features = crimes.map(crimeToFeature).filter(Boolean);
+  const collection = { type: 'FeatureCollection' };
+  if (features.length > 0) {
+    const lngs = features.map(f => f.geometry.coordinates[0]);
+    const lats = features.map(f => f.geometry.coordinates[1]);
+    collection.bbox = [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+  }
+  if (metadata) collection.metadata = metadata;
+  collection.features = features;
+  return collection;
+}
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = { crimeToFeature, crimesToFeatureCollection };
+}
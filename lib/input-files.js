@@ -0,0 +1,57 @@
+// lib/input-files.js
+// Walk the files an import command was pointed at: a zip (read without extracting),
+// a directory (recursively) or a single file. Entries are handled one at a time.
+const fs = require('fs');
+const path = require('path');
+const yauzl = require('yauzl');
+
+// Walk a zip's entries one at a time, handing each entry's stream to `onEntry`
+function eachZipEntry(file, onEntry) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(file, { lazyEntries: true }, (err, zip) => {
+      if (err) return reject(err);
+      zip.on('error', reject);
+      zip.on('end', resolve);
+      zip.on('entry', entry => {
+        if (entry.fileName.endsWith('/')) return zip.readEntry();
+        zip.openReadStream(entry, (streamErr, stream) => {
+          if (streamErr) return reject(streamErr);
+          // Through then() so a handler that throws rejects rather than escaping yauzl
+          Promise.resolve()
+            .then(() => onEntry(entry.fileName, stream))
+            .then(() => zip.readEntry(), reject);
+        });
+      });
+      zip.readEntry();
+    });
+  });
+}
+
+async function* walk(dir) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) yield* walk(full);
+    else yield full;
+  }
+}
+
+/**
+ * Call `onFile(name, stream)` for every file in `input`. Handlers that ignore a file
+ * should still drain (stream.resume()) so zip reading can move on.
+ */
+async function eachInputFile(input, onFile) {
+  const stat = await fs.promises.stat(input);
+  if (stat.isDirectory()) {
+    for await (const file of walk(input)) {
+      await onFile(file, fs.createReadStream(file));
+    }
+  } else if (input.endsWith('.zip')) {
+    await eachZipEntry(input, onFile);
+  } else {
+    await onFile(input, fs.createReadStream(input));
+  }
+}
+
+module.exports = { eachInputFile };
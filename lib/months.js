@@ -0,0 +1,24 @@
+// lib/months.js
+// Helpers for the police API's 'YYYY-MM' month strings.
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function isValidMonth(value) {
+  return typeof value === 'string' && MONTH_PATTERN.test(value);
+}
+
+// Shift a 'YYYY-MM' month by a number of months (negative goes back)
+function addMonths(month, delta) {
+  const [year, m] = month.split('-').map(Number);
+  const index = year * 12 + (m - 1) + delta;
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+}
+
+// Inclusive list of months from `from` to `to`, oldest first
+function monthRange(from, to) {
+  const months = [];
+  for (let m = from; m <= to; m = addMonths(m, 1)) months.push(m);
+  return months;
+}
+
+module.exports = { MONTH_PATTERN, isValidMonth, addMonths, monthRange };
@@ -0,0 +1,1115 @@
+// lib/openapi.js
+// The OpenAPI 3 description of the JSON API, served at /api/openapi.json and rendered at
+// /api/docs. Paths are relative to /api/v1 (or its alias /api), except /health. Route
+// parameters and request bodies are also validated against it (lib/request-validator.js),
+// so a change to what a route accepts starts here. Limits that live in server.js are
+// passed in rather than repeated.
+const { ERROR_STATUS } = require('./api-errors');
+const { CRIME_FIELDS } = require('./crime-query');
+
+const MONTH_PATTERN = '^\\d{4}-(0[1-9]|1[0-2])$';
+
+// Error codes each kind of failure can answer with, for the shared error responses
+const ERROR_RESPONSES = {
+  BadRequest: ['INVALID_INPUT', 'INVALID_LOCATION', 'INVALID_DATE', 'VIEWPORT_TOO_LARGE'],
+  Unauthorized: ['INVALID_API_KEY', 'UNAUTHORIZED'],
+  Forbidden: ['ORIGIN_NOT_ALLOWED'],
+  NotFound: ['NOT_FOUND', 'ROUTE_NOT_FOUND'],
+  Unprocessable: ['OUTSIDE_COVERAGE', 'DATE_UNAVAILABLE'],
+  TooManyRequests: ['RATE_LIMITED', 'QUOTA_EXCEEDED'],
+  InternalError: ['INTERNAL_ERROR'],
+  BadGateway: ['UPSTREAM_UNAVAILABLE'],
+  ServiceUnavailable: ['UPSTREAM_RATE_LIMITED'],
+  GatewayTimeout: ['UPSTREAM_TIMEOUT']
+};
+
+const ERROR_DESCRIPTIONS = {
+  BadRequest: 'A parameter is missing or malformed',
+  Unauthorized: 'The API key or admin token is not valid',
+  Forbidden: 'The API key may not be used from this origin',
+  NotFound: 'Nothing exists at this id or path',
+  Unprocessable: 'The request is well-formed but no data is published for it',
+  TooManyRequests: 'The client is over its rate limit or the API key over its daily quota; see Retry-After',
+  InternalError: 'Something failed on our side; quote the requestId',
+  BadGateway: 'data.police.uk failed or could not be reached',
+  ServiceUnavailable: 'data.police.uk is rate limiting us; see Retry-After',
+  GatewayTimeout: 'data.police.uk did not answer in time'
+};
+
+// The four edges of a map viewport, as /crimes/viewport and its exports take them
+const VIEWPORT_EDGES = ['north', 'south', 'east', 'west'].map(edge => ({
+  name: edge,
+  in: 'query',
+  required: true,
+  description: `${edge[0].toUpperCase()}${edge.slice(1)} edge of the viewport`,
+  schema: { type: 'number', minimum: edge === 'north' || edge === 'south' ? -90 : -180, maximum: edge === 'north' || edge === 'south' ? 90 : 180 },
+  'x-error-code': 'INVALID_LOCATION'
+}));
+
+const errorRef = name => ({ $ref: `#/components/responses/${name}` });
+
+// Responses every upstream-backed /api operation can give besides its own
+const COMMON_ERRORS = {
+  401: errorRef('Unauthorized'),
+  403: errorRef('Forbidden'),
+  429: errorRef('TooManyRequests'),
+  500: errorRef('InternalError')
+};
+const UPSTREAM_ERRORS = {
+  ...COMMON_ERRORS,
+  502: errorRef('BadGateway'),
+  503: errorRef('ServiceUnavailable'),
+  504: errorRef('GatewayTimeout')
+};
+
+const json = schema => ({ content: { 'application/json': { schema } } });
+const ok = (description, schema) => ({ description, ...json(schema) });
+const schemaRef = name => ({ $ref: `#/components/schemas/${name}` });
+const paramRef = name => ({ $ref: `#/components/parameters/${name}` });
+// A $ref cannot carry siblings in OpenAPI 3.0, so nullable refs are wrapped
+const nullable = schema => (schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true });
+const countsByName = description => ({ type: 'object', description, additionalProperties: { type: 'integer' } });
+
+function errorResponses() {
+  const responses = {};
+  for (const [name, codes] of Object.entries(ERROR_RESPONSES)) {
+    responses[name] = {
+      description: `${ERROR_DESCRIPTIONS[name]} (${codes.join(', ')})`,
+      headers: name === 'TooManyRequests' || ERROR_STATUS[codes[0]] >= 500
+        ? { 'Retry-After': { $ref: '#/components/headers/RetryAfter' } }
+        : undefined,
+      ...json({
+        allOf: [schemaRef('Error')],
+        properties: { code: { type: 'string', enum: codes } }
+      })
+    };
+  }
+  return responses;
+}
+
+/**
+ * @param {object} limits values from server.js
+ * @param {string} limits.version API version, from package.json
+ * @param {number} limits.rangeMaxMonths
+ * @param {number} limits.rangeDefaultMonths
+ * @param {number} limits.searchMinLength
+ * @param {number} limits.searchDefaultLimit
+ * @param {number} limits.searchMaxLimit
+ * @param {number} limits.viewportMaxAreaKm2
+ * @param {number} limits.crimesPageDefault
+ * @param {number} limits.crimesPageMax
+ */
+function buildOpenApiSpec(limits) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'CrimeSpotter UK API',
+      version: limits.version,
+      description: 'Street-level crime, outcomes, stop and search and policing data for England, Wales and ' +
+        'Northern Ireland, from data.police.uk, plus place and postcode search. Errors share one envelope ' +
+        '(see the Error schema): branch on `code`. Anonymous clients are rate limited per IP; partners can ' +
+        'send an API key in X-API-Key for larger limits and a daily quota.',
+      license: { name: 'Open Government Licence v3.0 (data)', url: 'https://www.nationalarchives.gov.uk/doc/open-government-licence/version/3/' }
+    },
+    // Version 1 is also served without the version, for clients written before /api/v1
+    servers: [
+      { url: '/api/v1', description: 'Version 1' },
+      { url: '/api', description: 'Unversioned alias of version 1' }
+    ],
+    tags: [
+      { name: 'Crimes', description: 'Street-level crimes and monthly totals' },
+      { name: 'Outcomes', description: 'What happened after a crime was reported' },
+      { name: 'Stop and search' },
+      { name: 'Policing', description: 'Forces and neighbourhood teams' },
+      { name: 'Places', description: 'Place and postcode search (local gazetteer)' },
+      { name: 'Site' },
+      { name: 'Admin' }
+    ],
+    security: [{}, { apiKey: [] }],
+    paths: {
+      '/crimes': {
+        get: {
+          tags: ['Crimes'],
+          operationId: 'getCrimes',
+          summary: 'Crimes around a point or within a polygon for one month',
+          description: 'With lat/lng, the one-mile radius around the point. With poly, the polygon; it takes precedence over lat/lng. ' +
+            'count, categories and bounds always cover every crime that matches category, whatever page or fields are returned. ' +
+            'With summary=only the response has just location, date, count, categories and message.',
+          parameters: [
+            withDefault('Lat', 51.5074),
+            withDefault('Lng', -0.1278),
+            paramRef('Poly'),
+            paramRef('CrimeDate'),
+            paramRef('Categories'),
+            {
+              name: 'fields',
+              in: 'query',
+              description: 'Only these properties of each crime (comma-separated); dotted names pick nested ones',
+              style: 'form',
+              explode: false,
+              schema: { type: 'array', items: { type: 'string', enum: CRIME_FIELDS } },
+              example: 'category,location.latitude,location.longitude'
+            },
+            {
+              name: 'limit',
+              in: 'query',
+              description: `Crimes per page (default ${limits.crimesPageDefault} once paging with cursor)`,
+              schema: { type: 'integer', minimum: 1, maximum: limits.crimesPageMax }
+            },
+            {
+              name: 'cursor',
+              in: 'query',
+              description: 'pagination.nextCursor from the previous page; only valid for the same area, date and category',
+              schema: { type: 'string', maxLength: 200 }
+            },
+            {
+              name: 'summary',
+              in: 'query',
+              description: 'only: counts without the crimes',
+              schema: { type: 'string', enum: ['only'] }
+            }
+          ],
+          responses: {
+            200: {
+              description: 'Crimes for the area and month',
+              headers: {
+                'X-Cache': { description: 'HIT when served from our cache', schema: { type: 'string', enum: ['HIT', 'MISS'] } },
+                'X-Data-Source': { description: 'Where the crimes came from', schema: { type: 'string', enum: ['live', 'archive'] } }
+              },
+              ...json({
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean', enum: [true] },
+                  location: { type: 'string', example: '51.5074, -0.1278' },
+                  date: { type: 'string', example: '2025-08' },
+                  count: { type: 'integer', description: 'Crimes matching the query, across all pages' },
+                  crimes: { type: 'array', items: schemaRef('Crime'), description: 'Absent with summary=only' },
+                  categories: countsByName('Crimes per category slug'),
+                  bounds: nullable(schemaRef('Bounds')),
+                  sample: nullable(schemaRef('Crime')),
+                  pagination: {
+                    type: 'object',
+                    description: 'Present when limit or cursor is given',
+                    properties: {
+                      limit: { type: 'integer' },
+                      returned: { type: 'integer' },
+                      nextCursor: nullable({ type: 'string', description: 'null on the last page' })
+                    }
+                  },
+                  message: nullable({ type: 'string' })
+                }
+              })
+            },
+            400: errorRef('BadRequest'),
+            422: errorRef('Unprocessable'),
+            ...UPSTREAM_ERRORS
+          }
+        }
+      },
+      '/crimes.csv': {
+        get: {
+          tags: ['Crimes'],
+          operationId: 'exportCrimesCsv',
+          summary: 'Crimes for a query as CSV',
+          description: 'The crimes /crimes would return for the same location, polygon, date and category, one row per crime. ' +
+            'Columns: category, month, street, latitude, longitude, location_type, outcome, outcome_date, persistent_id.',
+          parameters: [
+            withDefault('Lat', 51.5074),
+            withDefault('Lng', -0.1278),
+            paramRef('Poly'),
+            paramRef('CrimeDate'),
+            paramRef('Categories')
+          ],
+          responses: {
+            200: {
+              description: 'CSV with a header row',
+              headers: { 'Content-Disposition': { schema: { type: 'string', example: 'attachment; filename="crimes-2025-08.csv"' } } },
+              content: { 'text/csv': { schema: { type: 'string' } } }
+            },
+            400: errorRef('BadRequest'),
+            422: errorRef('Unprocessable'),
+            ...UPSTREAM_ERRORS
+          }
+        }
+      },
+      '/crimes.geojson': {
+        get: {
+          tags: ['Crimes'],
+          operationId: 'exportCrimesGeoJson',
+          summary: 'Crimes for a query as a GeoJSON FeatureCollection',
+          description: 'The crimes /crimes would return for the same location, polygon, date and category, as Point features ' +
+            'with numeric [lng, lat] coordinates and flat properties. Crimes without a usable location are left out.',
+          parameters: [
+            withDefault('Lat', 51.5074),
+            withDefault('Lng', -0.1278),
+            paramRef('Poly'),
+            paramRef('CrimeDate'),
+            paramRef('Categories')
+          ],
+          responses: {
+            200: {
+              description: 'FeatureCollection (RFC 7946)',
+              content: { 'application/geo+json': { schema: schemaRef('CrimeFeatureCollection') } }
+            },
+            400: errorRef('BadRequest'),
+            422: errorRef('Unprocessable'),
+            ...UPSTREAM_ERRORS
+          }
+        }
+      },
+      '/crimes/viewport': {
+        get: {
+          tags: ['Crimes'],
+          operationId: 'getViewportCrimes',
+          summary: 'Crimes within a map viewport',
+          description: `Fetched in tiles; up to ${limits.viewportMaxAreaKm2} km². A larger area answers VIEWPORT_TOO_LARGE.`,
+          parameters: [...VIEWPORT_EDGES, paramRef('Date')],
+          responses: {
+            200: ok('Crimes within the viewport', {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean', enum: [true] },
+                location: { type: 'string' },
+                date: { type: 'string' },
+                count: { type: 'integer' },
+                crimes: { type: 'array', items: schemaRef('Crime') },
+                categories: countsByName('Crimes per category slug'),
+                bounds: nullable(schemaRef('Bounds')),
+                tiles: { type: 'integer', description: 'Upstream areas the viewport was split into' },
+                incomplete: { type: 'boolean', description: 'True when some tiles failed to load' },
+                message: nullable({ type: 'string' })
+              }
+            }),
+            400: errorRef('BadRequest'),
+            422: errorRef('Unprocessable'),
+            ...UPSTREAM_ERRORS
+          }
+        }
+      },
+      '/crimes/viewport.csv': {
+        get: {
+          tags: ['Crimes'],
+          operationId: 'exportViewportCrimesCsv',
+          summary: 'Crimes within a map viewport as CSV',
+          description: 'The crimes /crimes/viewport would return, filtered by category, with the columns of /crimes.csv. ' +
+            `Fetched in tiles like /crimes/viewport, so it takes viewports up to ${limits.viewportMaxAreaKm2} km², larger than a poly may be. ` +
+            'Answers with an error rather than a partial file when part of the viewport cannot be loaded.',
+          parameters: [...VIEWPORT_EDGES, paramRef('Date'), paramRef('Categories')],
+          responses: {
+            200: {
+              description: 'CSV with a header row',
+              headers: { 'Content-Disposition': { schema: { type: 'string', example: 'attachment; filename="crimes-2025-08.csv"' } } },
+              content: { 'text/csv': { schema: { type: 'string' } } }
+            },
+            400: errorRef('BadRequest'),
+            422: errorRef('Unprocessable'),
+            ...UPSTREAM_ERRORS
+          }
+        }
+      },
+      '/crimes/viewport.geojson': {
+        get: {
+          tags: ['Crimes'],
+          operationId: 'exportViewportCrimesGeoJson',
+          summary: 'Crimes within a map viewport as a GeoJSON FeatureCollection',
+          description: 'The crimes /crimes/viewport would return, filtered by category, as the features of /crimes.geojson. ' +
+            `Takes viewports up to ${limits.viewportMaxAreaKm2} km², and answers with an error rather than a partial ` +
+            'collection when part of the viewport cannot be loaded.',
+          parameters: [...VIEWPORT_EDGES, paramRef('Date'), paramRef('Categories')],
+          responses: {
+            200: {
+              description: 'FeatureCollection (RFC 7946)',
+              content: { 'application/geo+json': { schema: schemaRef('CrimeFeatureCollection') } }
+            },
+            400: errorRef('BadRequest'),
+            422: errorRef('Unprocessable'),
+            ...UPSTREAM_ERRORS
+          }
+        }
+      },
+      '/crimes/range': {
+        get: {
+          tags: ['Crimes'],
+          operationId: 'getCrimeRange',
+          summary: 'Monthly crime totals for an area',
+          description: `to defaults to the latest month and from to \`months\` months before it (at most ${limits.rangeMaxMonths}). ` +
+            'Months that are not published come back with available: false.',
+          parameters: [
+            paramRef('Lat'),
+            paramRef('Lng'),
+            paramRef('Poly'),
+            { name: 'from', in: 'query', description: 'First month', schema: { type: 'string', pattern: MONTH_PATTERN, example: '2024-12' }, 'x-error-code': 'INVALID_DATE', 'x-error-message': 'from must be a month in YYYY-MM format' },
+            { name: 'to', in: 'query', description: 'Last month (default: latest)', schema: { type: 'string', pattern: MONTH_PATTERN, example: '2025-08' }, 'x-error-code': 'INVALID_DATE', 'x-error-message': 'to must be a month in YYYY-MM format' },
+            { name: 'months', in: 'query', description: 'Months to cover when from is omitted', schema: { type: 'integer', minimum: 1, maximum: limits.rangeMaxMonths, default: limits.rangeDefaultMonths } }
+          ],
+          responses: {
+            200: ok('Totals per month and overall', {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean', enum: [true] },
+                location: { type: 'string' },
+                from: { type: 'string' },
+                to: { type: 'string' },
+                months: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      month: { type: 'string' },
+                      available: { type: 'boolean' },
+                      error: { type: 'boolean', description: 'Present when this month failed to load' },
+                      count: nullable({ type: 'integer' }),
+                      categories: countsByName('Crimes per category slug')
+                    }
+                  }
+                },
+                totals: {
+                  type: 'object',
+                  properties: { count: { type: 'integer' }, categories: countsByName('Crimes per category slug') }
+                },
+                incomplete: { type: 'boolean' }
+              }
+            }),
+            400: errorRef('BadRequest'),
+            ...UPSTREAM_ERRORS
+          }
+        }
+      },
+      '/crimes/no-location': {
+        get: {
+          tags: ['Crimes'],
+          operationId: 'getNoLocationCrimes',
+          summary: 'Crimes recorded without a location',
+          description: 'For a force, or for the force covering lat/lng.',
+          parameters: [
+            paramRef('Force'),
+            { ...resolveParam('Lat'), 'x-error-message': 'Provide a force id or a valid lat/lng' },
+            { ...resolveParam('Lng'), 'x-error-message': 'Provide a force id or a valid lat/lng' },
+            paramRef('Category'),
+            paramRef('Date')
+          ],
+          responses: {
+            200: ok('Crimes without a location', {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean', enum: [true] },
+                force: schemaRef('ForceRef'),
+                date: { type: 'string' },
+                category: { type: 'string' },
+                count: { type: 'integer' },
+                forceTotal: nullable({
+                  type: 'integer',
+                  description: 'Crimes the force recorded that month in the category, with or without a location; null unless its archive is imported'
+                }),
+                categories: countsByName('Crimes per category slug'),
+                crimes: { type: 'array', items: schemaRef('Crime') }
+              }
+            }),
+            400: errorRef('BadRequest'),
+            404: errorRef('NotFound'),
+            422: errorRef('Unprocessable'),
+            ...UPSTREAM_ERRORS
+          }
+        }
+      },
+      '/outcomes': {
+        get: {
+          tags: ['Outcomes'],
+          operationId: 'getOutcomes',
+          summary: 'Outcomes recorded in a month around a point or within a polygon',
+          parameters: [paramRef('Lat'), paramRef('Lng'), paramRef('Poly'), paramRef('Date')],
+          responses: {
+            200: ok('Outcomes and their counts', {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean', enum: [true] },
+                location: { type: 'string' },
+                date: { type: 'string' },
+                count: { type: 'integer' },
+                categories: countsByName('Outcomes per outcome name'),
+                outcomes: { type: 'array', items: { type: 'object', description: 'As returned by data.police.uk outcomes-at-location' } }
+              }
+            }),
+            400: errorRef('BadRequest'),
+            422: errorRef('Unprocessable'),
+            ...UPSTREAM_ERRORS
+          }
+        }
+      },
+      '/outcomes/{persistentId}': {
+        get: {
+          tags: ['Outcomes'],
+          operationId: 'getCrimeOutcomes',
+          summary: 'Full outcome history of one crime, oldest first',
+          parameters: [{
+            name: 'persistentId',
+            in: 'path',
+            required: true,
+            description: 'The crime\'s persistent_id',
+            schema: { type: 'string', pattern: '^[a-fA-F0-9]{64}$' },
+            'x-error-message': 'Invalid crime persistent id'
+          }],
+          responses: {
+            200: ok('The crime and its outcomes', {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean', enum: [true] },
+                crime: nullable({ type: 'object', description: 'As returned by data.police.uk outcomes-for-crime' }),
+                outcomes: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: { category: { type: 'string' }, code: nullable({ type: 'string' }), date: nullable({ type: 'string' }) }
+                  }
+                }
+              }
+            }),
+            400: errorRef('BadRequest'),
+            404: errorRef('NotFound'),
+            ...UPSTREAM_ERRORS
+          }
+        }
+      },
+      '/stops': {
+        get: {
+          tags: ['Stop and search'],
+          operationId: 'getStops',
+          summary: 'Stop and search records for a month',
+          description: 'Around lat/lng (one-mile radius), within poly, or for a whole force.',
+          parameters: [paramRef('Force'), paramRef('Lat'), paramRef('Lng'), paramRef('Poly'), paramRef('Date')],
+          responses: {
+            200: ok('Stop and search records with a summary', {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean', enum: [true] },
+                location: { type: 'string' },
+                date: { type: 'string' },
+                count: { type: 'integer' },
+                stops: { type: 'array', items: { type: 'object', description: 'As returned by data.police.uk stops-street/stops-force' } },
+                summary: {
+                  type: 'object',
+                  properties: Object.fromEntries(['objectOfSearch', 'outcome', 'ageRange', 'legislation', 'type']
+                    .map(key => [key, countsByName(`Stops per ${key}`)]))
+                },
+                bounds: nullable(schemaRef('Bounds')),
+                message: nullable({ type: 'string' })
+              }
+            }),
+            400: errorRef('BadRequest'),
+            422: errorRef('Unprocessable'),
+            ...UPSTREAM_ERRORS
+          }
+        }
+      },
+      '/neighbourhood': {
+        get: {
+          tags: ['Policing'],
+          operationId: 'locateNeighbourhood',
+          summary: 'The policing neighbourhood covering a point, with its team, priorities and events',
+          parameters: [{ ...resolveParam('Lat'), required: true }, { ...resolveParam('Lng'), required: true }],
+          responses: {
+            200: ok('The neighbourhood', {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean', enum: [true] },
+                location: { type: 'string' },
+                neighbourhood: schemaRef('Neighbourhood')
+              }
+            }),
+            400: errorRef('BadRequest'),
+            404: errorRef('NotFound'),
+            ...UPSTREAM_ERRORS
+          }
+        }
+      },
+      '/neighbourhoods/{force}/{id}': {
+        get: {
+          tags: ['Policing'],
+          operationId: 'getNeighbourhood',
+          summary: 'One policing neighbourhood',
+          parameters: [paramRef('ForcePath'), paramRef('NeighbourhoodPath')],
+          responses: {
+            200: ok('The neighbourhood', {
+              type: 'object',
+              properties: { success: { type: 'boolean', enum: [true] }, neighbourhood: schemaRef('Neighbourhood') }
+            }),
+            400: errorRef('BadRequest'),
+            404: errorRef('NotFound'),
+            ...UPSTREAM_ERRORS
+          }
+        }
+      },
+      '/neighbourhoods/{force}/{id}/boundary': {
+        get: {
+          tags: ['Policing'],
+          operationId: 'getNeighbourhoodBoundary',
+          summary: 'Boundary of a policing neighbourhood as [lat, lng] pairs',
+          parameters: [paramRef('ForcePath'), paramRef('NeighbourhoodPath')],
+          responses: {
+            200: ok('The boundary', {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean', enum: [true] },
+                force: { type: 'string' },
+                id: { type: 'string' },
+                count: { type: 'integer' },
+                boundary: { type: 'array', items: schemaRef('LatLng') }
+              }
+            }),
+            400: errorRef('BadRequest'),
+            404: errorRef('NotFound'),
+            ...UPSTREAM_ERRORS
+          }
+        }
+      },
+      '/dates': {
+        get: {
+          tags: ['Crimes'],
+          operationId: 'getDates',
+          summary: 'Months with crime data',
+          responses: {
+            200: ok('Published and archived months', {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean', enum: [true] },
+                dates: {
+                  type: 'array',
+                  description: 'The 12 most recent months data.police.uk publishes, newest first',
+                  items: {
+                    type: 'object',
+                    properties: { date: { type: 'string' }, 'stop-and-search': { type: 'array', items: { type: 'string' } } }
+                  }
+                },
+                latest: nullable({ type: 'string' }),
+                archived: { type: 'array', description: 'Older months only available from imported archives', items: { type: 'string' } }
+              }
+            }),
+            ...UPSTREAM_ERRORS
+          }
+        }
+      },
+      '/forces': {
+        get: {
+          tags: ['Policing'],
+          operationId: 'listForces',
+          summary: 'All police forces',
+          responses: {
+            200: ok('Forces', {
+              type: 'object',
+              properties: { success: { type: 'boolean', enum: [true] }, forces: { type: 'array', items: schemaRef('ForceRef') } }
+            }),
+            ...UPSTREAM_ERRORS
+          }
+        }
+      },
+      '/forces/{id}': {
+        get: {
+          tags: ['Policing'],
+          operationId: 'getForce',
+          summary: 'One police force with its senior officers and neighbourhoods',
+          parameters: [{
+            name: 'id',
+            in: 'path',
+            required: true,
+            description: 'Force id, e.g. metropolitan (any case)',
+            schema: { type: 'string', pattern: '^[A-Za-z0-9-]{2,60}$' },
+            'x-error-message': 'Invalid force id'
+          }],
+          responses: {
+            200: ok('The force', {
+              type: 'object',
+              properties: { success: { type: 'boolean', enum: [true] }, force: schemaRef('Force') }
+            }),
+            400: errorRef('BadRequest'),
+            404: errorRef('NotFound'),
+            ...UPSTREAM_ERRORS
+          }
+        }
+      },
+      '/geocode': {
+        get: {
+          tags: ['Places'],
+          operationId: 'geocode',
+          summary: 'Resolve a place name, "Name, County", postcode or postcode district',
+          parameters: [{
+            name: 'q',
+            in: 'query',
+            required: true,
+            schema: { type: 'string', maxLength: 100, example: 'Leeds' },
+            'x-error-message': 'Provide a place name or postcode (up to 100 characters) in q'
+          }],
+          responses: {
+            200: ok('Best match first', {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean', enum: [true] },
+                query: { type: 'string' },
+                location: schemaRef('Place'),
+                matches: { type: 'array', items: schemaRef('Place') }
+              }
+            }),
+            400: errorRef('BadRequest'),
+            404: errorRef('NotFound'),
+            ...COMMON_ERRORS
+          }
+        }
+      },
+      '/reverse': {
+        get: {
+          tags: ['Places'],
+          operationId: 'reverseGeocode',
+          summary: 'Name a point: nearest locality, its district and the police force',
+          parameters: [{ ...resolveParam('Lat'), required: true }, { ...resolveParam('Lng'), required: true }],
+          responses: {
+            200: ok('The point\'s name', {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean', enum: [true] },
+                lat: { type: 'number' },
+                lng: { type: 'number' },
+                name: nullable({ type: 'string', example: 'Near Headingley' }),
+                locality: nullable({
+                  type: 'object',
+                  properties: {
+                    name: { type: 'string' },
+                    type: { type: 'string' },
+                    area: nullable({ type: 'string' }),
+                    distanceKm: { type: 'number' },
+                    within: { type: 'boolean', description: 'Whether the point is within the locality rather than near it' }
+                  }
+                }),
+                district: nullable({ type: 'string' }),
+                postcodeDistrict: nullable({ type: 'string' }),
+                force: nullable(schemaRef('ForceRef'))
+              }
+            }),
+            400: errorRef('BadRequest'),
+            ...COMMON_ERRORS
+          }
+        }
+      },
+      '/search': {
+        get: {
+          tags: ['Places'],
+          operationId: 'search',
+          summary: 'Autocomplete over cities, places and postcodes',
+          description: `Queries shorter than ${limits.searchMinLength} characters return no suggestions.`,
+          parameters: [
+            {
+              name: 'q',
+              in: 'query',
+              required: true,
+              allowEmptyValue: true,
+              schema: { type: 'string', maxLength: 100, example: 'manch' },
+              'x-error-message': 'Provide the text to search for (up to 100 characters) in q'
+            },
+            {
+              name: 'limit',
+              in: 'query',
+              schema: { type: 'integer', minimum: 1, maximum: limits.searchMaxLimit, default: limits.searchDefaultLimit }
+            }
+          ],
+          responses: {
+            200: ok('Suggestions, best first', {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean', enum: [true] },
+                query: { type: 'string' },
+                suggestions: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      name: { type: 'string' },
+                      type: { type: 'string' },
+                      area: nullable({ type: 'string' }),
+                      coords: schemaRef('LatLng'),
+                      score: { type: 'number' },
+                      url: { type: 'string', description: 'City page, for cities' },
+                      covered: { type: 'boolean', description: 'False for cities without crime data' }
+                    }
+                  }
+                }
+              }
+            }),
+            400: errorRef('BadRequest'),
+            ...COMMON_ERRORS
+          }
+        }
+      },
+      '/contact': {
+        post: {
+          tags: ['Site'],
+          operationId: 'sendContactMessage',
+          summary: 'Send a message through the contact form',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': { schema: schemaRef('ContactMessage') },
+              'application/x-www-form-urlencoded': { schema: schemaRef('ContactMessage') }
+            }
+          },
+          responses: {
+            200: ok('Message received', {
+              type: 'object',
+              properties: { success: { type: 'boolean', enum: [true] }, message: { type: 'string' } }
+            }),
+            400: errorRef('BadRequest'),
+            ...COMMON_ERRORS
+          }
+        }
+      },
+      '/admin/usage': {
+        get: {
+          tags: ['Admin'],
+          operationId: 'getApiKeyUsage',
+          summary: 'Requests per API key per day',
+          description: 'Only exists when the server has ADMIN_TOKEN set.',
+          security: [{ adminToken: [] }],
+          responses: {
+            200: ok('Usage for the last 31 days', {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean', enum: [true] },
+                today: { type: 'string', format: 'date' },
+                since: { type: 'string', format: 'date' },
+                keys: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      id: { type: 'string' },
+                      name: { type: 'string' },
+                      dailyQuota: { type: 'integer', description: '0 for no quota' },
+                      origins: { type: 'array', items: { type: 'string' } },
+                      createdAt: { type: 'string', format: 'date-time' },
+                      revokedAt: nullable({ type: 'string', format: 'date-time' }),
+                      today: { type: 'integer' },
+                      remainingToday: nullable({ type: 'integer' }),
+                      total: { type: 'integer' },
+                      daily: countsByName('Requests per UTC day')
+                    }
+                  }
+                }
+              }
+            }),
+            401: errorRef('Unauthorized'),
+            404: errorRef('NotFound')
+          }
+        }
+      },
+      '/openapi.json': {
+        get: {
+          tags: ['Site'],
+          operationId: 'getOpenApi',
+          summary: 'This document',
+          security: [{}],
+          responses: { 200: ok('OpenAPI 3 document', { type: 'object' }) }
+        }
+      },
+      '/docs': {
+        get: {
+          tags: ['Site'],
+          operationId: 'getApiDocs',
+          summary: 'This document, rendered',
+          security: [{}],
+          responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } } }
+        }
+      },
+      '/health': {
+        servers: [{ url: '/' }],
+        get: {
+          tags: ['Site'],
+          operationId: 'getHealth',
+          summary: 'Service status, cache, upstream and rate limit counters',
+          security: [{}],
+          responses: {
+            200: ok('Healthy', {
+              type: 'object',
+              properties: {
+                status: { type: 'string', enum: ['healthy'] },
+                timestamp: { type: 'string', format: 'date-time' },
+                service: { type: 'string' },
+                version: { type: 'string' },
+                uptime: { type: 'number', description: 'Seconds' },
+                cache: { type: 'object' },
+                archive: { type: 'object' },
+                gazetteer: { type: 'object' },
+                upstream: { type: 'object' },
+                rateLimit: { type: 'object' },
+                apiKeys: { type: 'object' }
+              }
+            })
+          }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Optional partner key (npm run api-keys)' },
+        adminToken: { type: 'http', scheme: 'bearer', description: 'The server\'s ADMIN_TOKEN' }
+      },
+      headers: {
+        RetryAfter: { description: 'Seconds to wait before trying again', schema: { type: 'integer' } }
+      },
+      parameters: PARAMETERS,
+      responses: errorResponses(),
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['success', 'error', 'code', 'status', 'requestId', 'retryable'],
+          properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string', description: 'Message for people; may change' },
+            code: { type: 'string', enum: Object.keys(ERROR_STATUS), description: 'Stable; branch on this' },
+            status: { type: 'integer', description: 'The HTTP status' },
+            requestId: { type: 'string', description: 'Also sent as X-Request-Id' },
+            retryable: { type: 'boolean' },
+            retryAfter: { type: 'integer', description: 'Seconds, when retryable' }
+          }
+        },
+        Crime: {
+          type: 'object',
+          description: 'A street-level crime as published by data.police.uk',
+          properties: {
+            category: { type: 'string', example: 'burglary' },
+            location_type: nullable({ type: 'string' }),
+            location: {
+              type: 'object',
+              properties: {
+                latitude: { type: 'string', example: '51.513' },
+                longitude: { type: 'string', example: '-0.128' },
+                street: { type: 'object', properties: { id: nullable({ type: 'integer' }), name: { type: 'string' } } }
+              }
+            },
+            context: { type: 'string' },
+            outcome_status: nullable({ type: 'object', properties: { category: { type: 'string' }, date: nullable({ type: 'string' }) } }),
+            persistent_id: { type: 'string' },
+            id: { oneOf: [{ type: 'integer' }, { type: 'string' }] },
+            location_subtype: { type: 'string' },
+            month: { type: 'string', example: '2025-08' }
+          }
+        },
+        CrimeFeatureCollection: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: ['FeatureCollection'] },
+            bbox: { type: 'array', items: { type: 'number' }, minItems: 4, maxItems: 4, description: '[west, south, east, north]; absent when empty' },
+            metadata: {
+              type: 'object',
+              properties: {
+                location: { type: 'string' },
+                date: { type: 'string' },
+                categories: nullable({ type: 'array', items: { type: 'string' } }),
+                source: { type: 'string' },
+                licence: { type: 'string' }
+              }
+            },
+            features: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  type: { type: 'string', enum: ['Feature'] },
+                  id: nullable({ oneOf: [{ type: 'integer' }, { type: 'string' }] }),
+                  geometry: {
+                    type: 'object',
+                    properties: {
+                      type: { type: 'string', enum: ['Point'] },
+                      coordinates: { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 2, example: [-0.1278, 51.5074] }
+                    }
+                  },
+                  properties: {
+                    type: 'object',
+                    properties: Object.fromEntries([
+                      'persistent_id', 'category', 'month', 'street_name', 'location_type', 'location_subtype',
+                      'context', 'outcome_category', 'outcome_date'
+                    ].map(name => [name, nullable({ type: 'string' })]).concat([
+                      ['id', nullable({ oneOf: [{ type: 'integer' }, { type: 'string' }] })],
+                      ['street_id', nullable({ type: 'integer' })]
+                    ]))
+                  }
+                }
+              }
+            }
+          }
+        },
+        Bounds: {
+          type: 'object',
+          properties: { north: { type: 'number' }, south: { type: 'number' }, east: { type: 'number' }, west: { type: 'number' } }
+        },
+        LatLng: { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 2, example: [51.5074, -0.1278] },
+        ForceRef: {
+          type: 'object',
+          properties: { id: { type: 'string', example: 'metropolitan' }, name: { type: 'string', example: 'Metropolitan Police Service' } }
+        },
+        Person: {
+          type: 'object',
+          properties: { name: { type: 'string' }, rank: { type: 'string' }, bio: nullable({ type: 'string' }), contact: { type: 'object' } }
+        },
+        Force: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            url: nullable({ type: 'string' }),
+            telephone: nullable({ type: 'string' }),
+            description: nullable({ type: 'string' }),
+            engagementMethods: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { type: { type: 'string' }, title: { type: 'string' }, url: { type: 'string' }, description: nullable({ type: 'string' }) }
+              }
+            },
+            seniorOfficers: { type: 'array', items: schemaRef('Person') },
+            neighbourhoods: { type: 'array', items: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' } } } }
+          }
+        },
+        Neighbourhood: {
+          type: 'object',
+          properties: {
+            force: { type: 'string' },
+            id: { type: 'string' },
+            name: { type: 'string' },
+            description: nullable({ type: 'string' }),
+            url: nullable({ type: 'string' }),
+            population: nullable({ type: 'string' }),
+            contact: { type: 'object' },
+            centre: nullable({ type: 'object', properties: { latitude: { type: 'string' }, longitude: { type: 'string' } } }),
+            team: { type: 'array', items: schemaRef('Person') },
+            priorities: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  issue: nullable({ type: 'string' }),
+                  issueDate: nullable({ type: 'string' }),
+                  action: nullable({ type: 'string' }),
+                  actionDate: nullable({ type: 'string' })
+                }
+              }
+            },
+            events: { type: 'array', items: { type: 'object', description: 'Upcoming events, soonest first' } }
+          }
+        },
+        Place: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', example: 'Leeds' },
+            type: { type: 'string', example: 'city' },
+            area: nullable({ type: 'string' }),
+            lat: { type: 'number' },
+            lng: { type: 'number' },
+            url: { type: 'string', description: 'City page, for cities' },
+            covered: { type: 'boolean', description: 'False for cities without crime data' }
+          }
+        },
+        ContactMessage: {
+          type: 'object',
+          required: ['name', 'email', 'subject', 'message'],
+          properties: {
+            name: { type: 'string', description: 'Kept to 100 characters' },
+            email: { type: 'string', format: 'email' },
+            subject: { type: 'string', description: 'Kept to 200 characters' },
+            message: { type: 'string', description: 'Kept to 5000 characters' }
+          }
+        }
+      }
+    }
+  };
+}
+
+// Shared parameters. Lat/lng/poly failures keep the INVALID_LOCATION code and dates
+// INVALID_DATE, as the handlers reported them before validation moved here.
+const PARAMETERS = {
+  Lat: {
+    name: 'lat',
+    in: 'query',
+    description: 'Latitude of the point (WGS84)',
+    schema: { type: 'number', minimum: -90, maximum: 90, example: 51.5074 },
+    'x-error-code': 'INVALID_LOCATION'
+  },
+  Lng: {
+    name: 'lng',
+    in: 'query',
+    description: 'Longitude of the point (WGS84)',
+    schema: { type: 'number', minimum: -180, maximum: 180, example: -0.1278 },
+    'x-error-code': 'INVALID_LOCATION'
+  },
+  Poly: {
+    name: 'poly',
+    in: 'query',
+    description: 'Custom area as "lat,lng:lat,lng:..." or a GeoJSON Polygon; takes precedence over lat/lng',
+    schema: { type: 'string', maxLength: 20000, example: '51.51,-0.13:51.51,-0.12:51.50,-0.12:51.50,-0.13' },
+    'x-error-code': 'INVALID_LOCATION'
+  },
+  Date: {
+    name: 'date',
+    in: 'query',
+    description: 'Month as YYYY-MM (default: the latest published month)',
+    schema: { type: 'string', pattern: MONTH_PATTERN, example: '2025-08' },
+    'x-error-code': 'INVALID_DATE',
+    'x-error-message': 'date must be a month in YYYY-MM format'
+  },
+  CrimeDate: {
+    name: 'date',
+    in: 'query',
+    description: 'Month as YYYY-MM (default: the latest published month). Months that are neither published ' +
+      'nor imported from the archives answer DATE_UNAVAILABLE.',
+    schema: { type: 'string', pattern: MONTH_PATTERN, example: '2025-08' },
+    'x-error-code': 'INVALID_DATE',
+    'x-error-message': 'date must be a month in YYYY-MM format'
+  },
+  Force: {
+    name: 'force',
+    in: 'query',
+    description: 'Police force id, e.g. metropolitan',
+    schema: { type: 'string', pattern: '^[a-z0-9-]{2,60}$' },
+    'x-error-message': 'Invalid force id'
+  },
+  Category: {
+    name: 'category',
+    in: 'query',
+    description: 'Crime category slug, e.g. burglary',
+    schema: { type: 'string', pattern: '^[a-z-]{2,60}$', default: 'all-crime' },
+    'x-error-message': 'Invalid crime category'
+  },
+  Categories: {
+    name: 'category',
+    in: 'query',
+    description: 'Only these crime categories (comma-separated slugs, e.g. burglary,robbery); all-crime for every category',
+    style: 'form',
+    explode: false,
+    schema: { type: 'array', items: { type: 'string', pattern: '^[a-z-]{2,60}$' } },
+    'x-error-message': 'category must be crime category slugs separated by commas'
+  },
+  ForcePath: {
+    name: 'force',
+    in: 'path',
+    required: true,
+    description: 'Police force id',
+    schema: { type: 'string', pattern: '^[a-z0-9-]{2,60}$' },
+    'x-error-message': 'Invalid force or neighbourhood id'
+  },
+  NeighbourhoodPath: {
+    name: 'id',
+    in: 'path',
+    required: true,
+    description: 'Neighbourhood id within the force',
+    schema: { type: 'string', pattern: '^[\\w -]{1,60}$' },
+    'x-error-message': 'Invalid force or neighbourhood id'
+  }
+};
+
+// A shared parameter copied so one operation can adjust it (e.g. make it required)
+function resolveParam(name) {
+  return { ...PARAMETERS[name] };
+}
+
+function withDefault(name, value) {
+  const parameter = resolveParam(name);
+  return { ...parameter, schema: { ...parameter.schema, default: value } };
+}
+
+module.exports = { buildOpenApiSpec };
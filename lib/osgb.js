@@ -0,0 +1,120 @@
+// lib/osgb.js
+// British National Grid (OSGB36 easting/northing) to WGS84 lat/lng, for gazetteer
+// sources such as OS Open Names that only publish grid references. Uses the Ordnance
+// Survey's transverse Mercator formulae and a 7-parameter Helmert shift (~5 m accuracy).
+
+const AIRY_1830 = { a: 6377563.396, b: 6356256.909 };
+const WGS84 = { a: 6378137, b: 6356752.3142 };
+
+// National Grid projection
+const F0 = 0.9996012717;
+const LAT0 = 49 * Math.PI / 180;
+const LNG0 = -2 * Math.PI / 180;
+const E0 = 400000;
+const N0 = -100000;
+
+// OSGB36 -> WGS84
+const HELMERT = { tx: 446.448, ty: -125.157, tz: 542.060, s: -20.4894e-6, rx: 0.1502, ry: 0.2470, rz: 0.8421 };
+const ARCSEC = Math.PI / (180 * 3600);
+
+function meridionalArc(lat, { a, b }) {
+  const n = (a - b) / (a + b);
+  const n2 = n * n;
+  const n3 = n2 * n;
+  const dLat = lat - LAT0;
+  const sLat = lat + LAT0;
+  return b * F0 * (
+    (1 + n + 1.25 * n2 + 1.25 * n3) * dLat -
+    (3 * n + 3 * n2 + 2.625 * n3) * Math.sin(dLat) * Math.cos(sLat) +
+    (1.875 * n2 + 1.875 * n3) * Math.sin(2 * dLat) * Math.cos(2 * sLat) -
+    (35 / 24) * n3 * Math.sin(3 * dLat) * Math.cos(3 * sLat)
+  );
+}
+
+// Grid reference -> OSGB36 latitude/longitude in radians
+function gridToOsgb36(easting, northing) {
+  const { a, b } = AIRY_1830;
+  const e2 = 1 - (b * b) / (a * a);
+
+  let lat = LAT0;
+  let M = 0;
+  do {
+    lat = (northing - N0 - M) / (a * F0) + lat;
+    M = meridionalArc(lat, AIRY_1830);
+  } while (Math.abs(northing - N0 - M) >= 0.00001);
+
+  const sinLat = Math.sin(lat);
+  const nu = a * F0 / Math.sqrt(1 - e2 * sinLat * sinLat);
+  const rho = a * F0 * (1 - e2) / Math.pow(1 - e2 * sinLat * sinLat, 1.5);
+  const eta2 = nu / rho - 1;
+  const tan = Math.tan(lat);
+  const tan2 = tan * tan;
+  const tan4 = tan2 * tan2;
+  const sec = 1 / Math.cos(lat);
+  const nu3 = nu ** 3;
+  const nu5 = nu ** 5;
+  const nu7 = nu ** 7;
+
+  const VII = tan / (2 * rho * nu);
+  const VIII = tan / (24 * rho * nu3) * (5 + 3 * tan2 + eta2 - 9 * tan2 * eta2);
+  const IX = tan / (720 * rho * nu5) * (61 + 90 * tan2 + 45 * tan4);
+  const X = sec / nu;
+  const XI = sec / (6 * nu3) * (nu / rho + 2 * tan2);
+  const XII = sec / (120 * nu5) * (5 + 28 * tan2 + 24 * tan4);
+  const XIIA = sec / (5040 * nu7) * (61 + 662 * tan2 + 1320 * tan4 + 720 * tan4 * tan2);
+
+  const dE = easting - E0;
+  return {
+    lat: lat - VII * dE ** 2 + VIII * dE ** 4 - IX * dE ** 6,
+    lng: LNG0 + X * dE - XI * dE ** 3 + XII * dE ** 5 - XIIA * dE ** 7
+  };
+}
+
+function toCartesian({ lat, lng }, { a, b }) {
+  const e2 = 1 - (b * b) / (a * a);
+  const nu = a / Math.sqrt(1 - e2 * Math.sin(lat) ** 2);
+  return {
+    x: nu * Math.cos(lat) * Math.cos(lng),
+    y: nu * Math.cos(lat) * Math.sin(lng),
+    z: (1 - e2) * nu * Math.sin(lat)
+  };
+}
+
+function fromCartesian({ x, y, z }, { a, b }) {
+  const e2 = 1 - (b * b) / (a * a);
+  const p = Math.sqrt(x * x + y * y);
+  let lat = Math.atan2(z, p * (1 - e2));
+  for (let i = 0; i < 10; i++) {
+    const nu = a / Math.sqrt(1 - e2 * Math.sin(lat) ** 2);
+    const next = Math.atan2(z + e2 * nu * Math.sin(lat), p);
+    if (Math.abs(next - lat) < 1e-12) break;
+    lat = next;
+  }
+  return { lat, lng: Math.atan2(y, x) };
+}
+
+function helmert({ x, y, z }) {
+  const { tx, ty, tz, s } = HELMERT;
+  const rx = HELMERT.rx * ARCSEC;
+  const ry = HELMERT.ry * ARCSEC;
+  const rz = HELMERT.rz * ARCSEC;
+  return {
+    x: tx + (1 + s) * x - rz * y + ry * z,
+    y: ty + rz * x + (1 + s) * y - rx * z,
+    z: tz - ry * x + rx * y + (1 + s) * z
+  };
+}
+
+/**
+ * Convert a National Grid easting/northing (metres) to WGS84 { lat, lng } in degrees.
+ */
+function gridToLatLng(easting, northing) {
+  const osgb = gridToOsgb36(easting, northing);
+  const wgs = fromCartesian(helmert(toCartesian(osgb, AIRY_1830)), WGS84);
+  return {
+    lat: Number((wgs.lat * 180 / Math.PI).toFixed(6)),
+    lng: Number((wgs.lng * 180 / Math.PI).toFixed(6))
+  };
+}
+
+module.exports = { gridToLatLng };
@@ -0,0 +1,138 @@
+// lib/police-api.js
+// Shared client for data.police.uk. Every upstream call goes through here so
+// retries, timeouts and the base URL are handled in one place.
+const fetch = require('node-fetch');
+
+const DEFAULT_BASE_URL = 'https://data.police.uk/api';
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+
+class PoliceApiError extends Error {
+  constructor(message, { status = null, url = null, retryAfter = null, timedOut = false } = {}) {
+    super(message);
+    this.name = 'PoliceApiError';
+    this.status = status;
+    this.url = url;
+    this.retryAfter = retryAfter; // seconds, when upstream sent Retry-After
+    this.timedOut = timedOut;     // no response within the request timeout
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either delta-seconds or an HTTP date. Returns milliseconds or null.
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  if (Number.isFinite(date)) return Math.max(0, date - Date.now());
+  return null;
+}
+
+class PoliceApiClient {
+  constructor(options = {}) {
+    this.baseUrl = String(options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.timeout = options.timeout || 15000;
+    this.retries = Number.isInteger(options.retries) ? options.retries : 3;
+    this.baseDelay = options.baseDelay || 500;   // first backoff step (ms)
+    this.maxDelay = options.maxDelay || 10000;   // cap for any single wait (ms)
+    this.userAgent = options.userAgent || 'CrimeSpotter-UK/1.0';
+    this.inFlight = new Map();                   // url -> pending promise (single-flight)
+    this.counters = { requests: 0, coalesced: 0, retries: 0, failures: 0 };
+  }
+
+  buildUrl(pathname, query = {}) {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([k, v]) => {
+      if (v !== undefined && v !== null && v !== '') params.append(k, String(v));
+    });
+    const qs = params.toString();
+    return `${this.baseUrl}/${String(pathname).replace(/^\/+/, '')}${qs ? `?${qs}` : ''}`;
+  }
+
+  // Full jitter: random wait in [0, min(maxDelay, baseDelay * 2^attempt)]
+  backoffDelay(attempt) {
+    const ceiling = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+    return Math.floor(Math.random() * ceiling);
+  }
+
+  /**
+   * GET a JSON resource from the police API.
+   * Concurrent calls for the same URL share one upstream request and receive the same
+   * parsed body, so callers must treat the result as read-only.
+   * @param {string} pathname e.g. 'crimes-street/all-crime'
+   * @param {object} [query]  query-string parameters (empty values are dropped)
+   * @param {object} [opts]   { timeout, retries, retryOn } - retryOn overrides the set of retried statuses
+   */
+  get(pathname, query = {}, opts = {}) {
+    const url = this.buildUrl(pathname, query);
+    const pending = this.inFlight.get(url);
+    if (pending) {
+      this.counters.coalesced++;
+      return pending;
+    }
+
+    const promise = this.request(url, opts)
+      .catch(err => {
+        this.counters.failures++;
+        throw err;
+      })
+      .finally(() => this.inFlight.delete(url));
+    this.inFlight.set(url, promise);
+    return promise;
+  }
+
+  async request(url, opts = {}) {
+    const timeout = opts.timeout || this.timeout;
+    const retries = Number.isInteger(opts.retries) ? opts.retries : this.retries;
+    const retryOn = opts.retryOn || RETRYABLE_STATUS;
+
+    for (let attempt = 0; ; attempt++) {
+      if (attempt > 0) this.counters.retries++;
+      this.counters.requests++;
+      let response;
+      try {
+        response = await fetch(url, {
+          timeout,
+          headers: { 'User-Agent': this.userAgent, Accept: 'application/json' }
+        });
+      } catch (err) {
+        // Timeouts are not retried: the caller already waited the full budget.
+        const retryable = err.type === 'system';
+        if (!retryable || attempt >= retries) {
+          throw new PoliceApiError(`UK Police API request failed: ${err.message}`, {
+            url,
+            timedOut: err.type === 'request-timeout'
+          });
+        }
+        await sleep(this.backoffDelay(attempt));
+        continue;
+      }
+
+      if (response.ok) return response.json();
+
+      // A Retry-After longer than we are willing to wait is passed on to the caller rather
+      // than cut short: retrying early would ignore what upstream asked for.
+      const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      const waitTooLong = retryAfterMs !== null && retryAfterMs > this.maxDelay;
+      if (retryOn.has(response.status) && attempt < retries && !waitTooLong) {
+        const wait = retryAfterMs !== null ? retryAfterMs : this.backoffDelay(attempt);
+        console.warn(`⏳ UK Police API ${response.status} for ${url}, retry ${attempt + 1}/${retries} in ${wait}ms`);
+        await sleep(wait);
+        continue;
+      }
+
+      throw new PoliceApiError(`UK Police API error: ${response.status} ${response.statusText}`, {
+        status: response.status,
+        url,
+        retryAfter: retryAfterMs !== null ? Math.ceil(retryAfterMs / 1000) : null
+      });
+    }
+  }
+
+  stats() {
+    return { ...this.counters, inFlight: this.inFlight.size };
+  }
+}
+
+module.exports = { PoliceApiClient, PoliceApiError, RETRYABLE_STATUS, parseRetryAfter };
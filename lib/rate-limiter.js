@@ -0,0 +1,80 @@
+// lib/rate-limiter.js
+// Token buckets per client and budget. Each budget is a burst `capacity` that refills at
+// `perMinute` tokens a minute; a request takes one token or is refused with the seconds
+// until one is back. Buckets live in memory only, so limits reset on restart and are per
+// process - enough to stop one client draining our data.police.uk allowance.
+
+class RateLimiter {
+  /**
+   * @param {object} budgets name -> { capacity, perMinute }
+   * @param {object} [options]
+   * @param {number} [options.maxClients] buckets kept before the least recently used go
+   * @param {function} [options.now] clock in ms, for tests
+   */
+  constructor(budgets, { maxClients = 10000, now = Date.now } = {}) {
+    this.budgets = {};
+    for (const [name, budget] of Object.entries(budgets)) {
+      if (!(budget.capacity > 0) || !(budget.perMinute > 0)) {
+        throw new Error(`Rate limit budget "${name}" needs a positive capacity and perMinute`);
+      }
+      this.budgets[name] = { capacity: budget.capacity, perMinute: budget.perMinute };
+    }
+    this.maxClients = maxClients;
+    this.now = now;
+    this.buckets = new Map(); // "budget|client" -> { tokens, updated }, oldest use first
+    this.counters = { allowed: 0, limited: 0, evicted: 0 };
+    this.limitedByBudget = Object.fromEntries(Object.keys(this.budgets).map(name => [name, 0]));
+  }
+
+  /**
+   * Take a token from `client`'s bucket for `budgetName`.
+   * @returns {{ allowed: boolean, limit: number, remaining: number, retryAfter: number }}
+   *   retryAfter is whole seconds until the next token, 0 when allowed
+   */
+  take(budgetName, client) {
+    const budget = this.budgets[budgetName];
+    if (!budget) throw new Error(`Unknown rate limit budget "${budgetName}"`);
+
+    const key = `${budgetName}|${client}`;
+    const now = this.now();
+    const refillPerMs = budget.perMinute / 60000;
+    let bucket = this.buckets.get(key);
+    if (bucket) {
+      bucket.tokens = Math.min(budget.capacity, bucket.tokens + (now - bucket.updated) * refillPerMs);
+      bucket.updated = now;
+      this.buckets.delete(key); // re-inserted below to mark it most recently used
+    } else {
+      bucket = { tokens: budget.capacity, updated: now };
+    }
+    this.buckets.set(key, bucket);
+    this.evict();
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      this.counters.allowed++;
+      return { allowed: true, limit: budget.capacity, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+    }
+    this.counters.limited++;
+    this.limitedByBudget[budgetName]++;
+    const retryAfter = Math.max(1, Math.ceil((1 - bucket.tokens) / refillPerMs / 1000));
+    return { allowed: false, limit: budget.capacity, remaining: 0, retryAfter };
+  }
+
+  evict() {
+    while (this.buckets.size > this.maxClients) {
+      this.buckets.delete(this.buckets.keys().next().value);
+      this.counters.evicted++;
+    }
+  }
+
+  stats() {
+    return {
+      ...this.counters,
+      trackedClients: this.buckets.size,
+      limitedByBudget: { ...this.limitedByBudget },
+      budgets: this.budgets
+    };
+  }
+}
+
+module.exports = { RateLimiter };
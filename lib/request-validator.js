@@ -0,0 +1,185 @@
+// lib/request-validator.js
+// Checks requests against the parameters and request bodies in the OpenAPI document
+// (lib/openapi.js), so the docs describe exactly what the routes accept. Covers the part of
+// JSON Schema the document uses: type, enum, pattern, format: email, minimum/maximum,
+// minLength/maxLength, required and properties, and local $refs.
+//
+// Query and path values arrive as strings and are checked as the type the schema declares
+// (lists comma-separated); handlers still parse them. An empty optional value counts as
+// absent unless the parameter sets allowEmptyValue. A parameter's `x-error-code` picks the
+// error code for its failures (INVALID_INPUT otherwise) and `x-error-message` replaces the
+// generated message.
+const { ApiError } = require('./api-errors');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Express "/api/forces/:id" -> OpenAPI "/forces/{id}": document paths are relative to the
+// API's server URL (/api/v1, or its alias /api); other routes keep their full path
+function toOpenApiPath(expressPath) {
+  return expressPath.replace(/^\/api(?=\/)/, '').replace(/:(\w+)/g, '{$1}');
+}
+
+function resolveRef(spec, node) {
+  while (node && node.$ref) {
+    node = node.$ref.replace(/^#\//, '').split('/').reduce((parent, key) => parent[key], spec);
+  }
+  return node;
+}
+
+function describeRange(schema, unit) {
+  const { minimum, maximum } = schema;
+  if (minimum !== undefined && maximum !== undefined) return `${unit} from ${minimum} to ${maximum}`;
+  if (minimum !== undefined) return `${unit} of at least ${minimum}`;
+  if (maximum !== undefined) return `${unit} of at most ${maximum}`;
+  return unit;
+}
+
+// Query/path strings as the type their schema declares; undefined when they do not parse.
+// Arrays are comma-separated (style: form, explode: false).
+function fromString(schema, raw) {
+  if (schema.type === 'array') {
+    return raw === '' ? [] : raw.split(',').map(item => item.trim());
+  }
+  if (schema.type === 'number' || schema.type === 'integer') {
+    const value = raw.trim() === '' ? NaN : Number(raw);
+    return Number.isFinite(value) ? value : undefined;
+  }
+  if (schema.type === 'boolean') {
+    return raw === 'true' ? true : raw === 'false' ? false : undefined;
+  }
+  return raw;
+}
+
+/**
+ * The first problem with `value` against `schema`, as a message naming `name`, or null.
+ */
+function checkValue(spec, schema, value, name) {
+  schema = resolveRef(spec, schema);
+  if (!schema) return null;
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${name} must be a string`;
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return `${name} must be a ${describeRange(schema, 'whole number')}`;
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a ${describeRange(schema, 'number')}`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `${name} must be true or false`;
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return `${name} must be a list`;
+      for (let i = 0; i < value.length; i++) {
+        const problem = checkValue(spec, schema.items, value[i], `${name}[${i}]`);
+        if (problem) return problem;
+      }
+      break;
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return `${name} must be an object`;
+      for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null || value[key] === '') return `${key} is required`;
+      }
+      for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+        if (value[key] === undefined) continue;
+        const problem = checkValue(spec, propSchema, value[key], key);
+        if (problem) return problem;
+      }
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) return `${name} must be one of ${schema.enum.join(', ')}`;
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return `${name} must be at least ${schema.minLength} characters`;
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return `${name} must be at most ${schema.maxLength} characters`;
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return `${name} is not valid`;
+    if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) return `${name} must be an email address`;
+  }
+  if (typeof value === 'number') {
+    if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+      return `${name} must be a ${describeRange(schema, schema.type === 'integer' ? 'whole number' : 'number')}`;
+    }
+  }
+  return null;
+}
+
+function checkParameter(spec, parameter, raw) {
+  const fail = message => new ApiError(parameter['x-error-code'] || 'INVALID_INPUT', parameter['x-error-message'] || message);
+  const absent = raw === undefined || (raw === '' && !parameter.allowEmptyValue);
+  if (absent) return parameter.required ? fail(`${parameter.name} is required`) : null;
+  if (typeof raw !== 'string') return fail(`${parameter.name} must be given once`);
+
+  const schema = resolveRef(spec, parameter.schema);
+  const value = fromString(schema, raw);
+  const problem = value === undefined
+    ? checkValue(spec, schema, raw, parameter.name)
+    : checkValue(spec, schema, value, parameter.name);
+  return problem ? fail(problem) : null;
+}
+
+/**
+ * The OpenAPI operation for an Express route, or undefined if the document lacks it.
+ */
+function findOperation(spec, method, routePath) {
+  const pathItem = spec.paths[toOpenApiPath(routePath)];
+  return pathItem && pathItem[method.toLowerCase()];
+}
+
+/**
+ * Route middleware that checks the request against its operation in `spec` and passes an
+ * ApiError on to the error handler when something does not fit.
+ */
+function createRequestValidator(spec) {
+  return function validateRequest(req, res, next) {
+    const operation = findOperation(spec, req.method, req.route.path);
+    if (!operation) {
+      return next(new Error(`No OpenAPI operation documents ${req.method} ${req.route.path}`));
+    }
+
+    const sources = { query: req.query, path: req.params, header: req.headers };
+    for (const ref of operation.parameters || []) {
+      const parameter = resolveRef(spec, ref);
+      const values = sources[parameter.in] || {};
+      const raw = values[parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name];
+      const error = checkParameter(spec, parameter, raw);
+      if (error) return next(error);
+    }
+
+    const body = operation.requestBody && resolveRef(spec, operation.requestBody);
+    if (body) {
+      const media = body.content[req.is(Object.keys(body.content)) || ''];
+      if (!media) {
+        return next(new ApiError('INVALID_INPUT', `Send the request body as ${Object.keys(body.content).join(' or ')}`));
+      }
+      const problem = checkValue(spec, media.schema, req.body, 'body');
+      if (problem) return next(new ApiError('INVALID_INPUT', problem));
+    }
+    next();
+  };
+}
+
+/**
+ * Routes without an operation in `spec`, and operations with no route, as "GET /path"
+ * strings. `routes` is [{ method, path }] with Express paths.
+ */
+function findUndocumented(spec, routes) {
+  const routed = new Set(routes.map(r => `${r.method.toUpperCase()} ${toOpenApiPath(r.path)}`));
+  const documented = new Set();
+  for (const [path, item] of Object.entries(spec.paths)) {
+    for (const method of Object.keys(item)) {
+      if (['get', 'post', 'put', 'patch', 'delete'].includes(method)) documented.add(`${method.toUpperCase()} ${path}`);
+    }
+  }
+  return {
+    undocumented: [...routed].filter(route => !documented.has(route)),
+    unrouted: [...documented].filter(route => !routed.has(route))
+  };
+}
+
+module.exports = { createRequestValidator, findOperation, findUndocumented, toOpenApiPath };
@@ -0,0 +1,136 @@
+// lib/search-index.js
+// In-memory autocomplete over gazetteer places. Every word of a name is indexed, so
+// "keynes" finds Milton Keynes; keys are kept sorted so prefix lookups are a binary search.
+// Queries with few prefix hits also get typo-tolerant matches (edit distance 1, or 2 for
+// longer queries). Results are ranked by match quality, then weighted by population.
+
+// Match quality, best first
+const SCORE = { exact: 1, prefix: 0.8, wordPrefix: 0.6, fuzzy: 0.5 };
+const FUZZY_PENALTY = 0.1;       // per edit, and again for a match on a later word
+const POPULATION_WEIGHT = 0.3;   // a city of ~10 million adds the full weight
+const MAX_PREFIX_SCAN = 5000;    // keys looked at for very short, common prefixes
+const FUZZY_MIN_LENGTH = 4;      // shorter queries have too many near neighbours
+
+// Imported places carry no population; a typical figure for the settlement type stands in
+const TYPICAL_POPULATION = { city: 250000, town: 20000, suburb: 10000, village: 1000, hamlet: 100, place: 500, street: 0 };
+
+function populationWeight(entry) {
+  const population = entry.population ?? TYPICAL_POPULATION[entry.type] ?? 0;
+  return Math.min(1, Math.log10(Math.max(1, population)) / 7);
+}
+
+// Smallest optimal string alignment distance (Levenshtein plus adjacent transpositions)
+// between `query` and any prefix of `text` whose length is within one of the query's.
+function prefixDistance(query, text) {
+  const rows = [];
+  for (let i = 0; i <= query.length; i++) {
+    rows.push([i]);
+    for (let j = 1; j <= text.length; j++) {
+      if (i === 0) {
+        rows[i][j] = j;
+        continue;
+      }
+      const cost = query[i - 1] === text[j - 1] ? 0 : 1;
+      let best = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && query[i - 1] === text[j - 2] && query[i - 2] === text[j - 1]) {
+        best = Math.min(best, rows[i - 2][j - 2] + 1);
+      }
+      rows[i][j] = best;
+    }
+  }
+  const last = rows[query.length];
+  return Math.min(...last.slice(Math.max(1, query.length - 1), query.length + 2));
+}
+
+class SearchIndex {
+  /**
+   * @param {Array} entries places with a normalised `key` (see gazetteer normaliseName)
+   */
+  constructor(entries) {
+    this.entries = entries;
+    this.keys = [];
+    entries.forEach((entry, index) => {
+      const words = entry.key.split(' ');
+      words.forEach((_, word) => this.keys.push({ key: words.slice(word).join(' '), index, word }));
+    });
+    this.keys.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  }
+
+  // First key >= value
+  lowerBound(value) {
+    let lo = 0;
+    let hi = this.keys.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.keys[mid].key < value) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Entries whose whole key, not just a later word, starts with `prefix`, in key order.
+   */
+  startingWith(prefix) {
+    const entries = [];
+    for (let i = this.lowerBound(prefix); i < this.keys.length && this.keys[i].key.startsWith(prefix); i++) {
+      if (this.keys[i].word === 0) entries.push(this.entries[this.keys[i].index]);
+    }
+    return entries;
+  }
+
+  /**
+   * Best matches for an already-normalised query: [{ entry, score }], highest score first.
+   */
+  search(query, limit = 10) {
+    if (!query) return [];
+    const best = new Map(); // entry index -> match score
+    const consider = (index, score) => {
+      if (score > (best.get(index) || 0)) best.set(index, score);
+    };
+
+    for (let i = this.lowerBound(query), seen = 0;
+      i < this.keys.length && seen < MAX_PREFIX_SCAN && this.keys[i].key.startsWith(query); i++, seen++) {
+      const { key, index, word } = this.keys[i];
+      if (word > 0) consider(index, SCORE.wordPrefix);
+      else consider(index, key === query ? SCORE.exact : SCORE.prefix);
+    }
+
+    // Digits mean a postcode or house number, where a near miss is a different place
+    if (best.size < limit && query.length >= FUZZY_MIN_LENGTH && !/\d/.test(query)) {
+      this.fuzzyMatches(query, consider);
+    }
+
+    return [...best.entries()]
+      .map(([index, score]) => {
+        const entry = this.entries[index];
+        return { entry, score: score + POPULATION_WEIGHT * populationWeight(entry) };
+      })
+      .sort((a, b) => b.score - a.score || a.entry.name.length - b.entry.name.length)
+      .slice(0, limit);
+  }
+
+  // Keys whose start is within a small edit distance of the query. The first letter must
+  // match, which keeps the scan to one slice of the sorted keys.
+  fuzzyMatches(query, consider) {
+    const maxDistance = query.length >= 7 ? 2 : 1;
+    const first = query[0];
+    const end = this.lowerBound(String.fromCharCode(first.charCodeAt(0) + 1));
+    // Sorted keys sharing a start share a distance, so only new starts are measured
+    let lastStart = null;
+    let distance = Infinity;
+    for (let i = this.lowerBound(first); i < end; i++) {
+      const { key, index, word } = this.keys[i];
+      const start = key.slice(0, query.length + 1);
+      if (start !== lastStart) {
+        distance = prefixDistance(query, start);
+        lastStart = start;
+      }
+      if (distance > 0 && distance <= maxDistance) {
+        consider(index, SCORE.fuzzy - FUZZY_PENALTY * (distance - 1 + (word > 0 ? 1 : 0)));
+      }
+    }
+  }
+}
+
+module.exports = { SearchIndex };
@@ -0,0 +1,125 @@
+// lib/tiered-cache.js
+// Two-tier cache: a bounded in-memory LRU in front of a flat-file store on disk.
+// Entries may carry a TTL; entries without one live until evicted or deleted.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class TieredCache {
+  constructor(options = {}) {
+    this.dir = options.dir || null;          // null = memory only
+    this.maxEntries = options.maxEntries || 500;
+    this.memory = new Map();                 // Map keeps insertion order -> LRU
+    this.tmpSeq = 0;                         // makes each write's temp file name unique
+    this.counters = { memoryHits: 0, diskHits: 0, misses: 0, writes: 0, expired: 0, diskErrors: 0 };
+  }
+
+  filePath(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, hash.slice(0, 2), `${hash}.json`);
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  remember(key, entry) {
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+    while (this.memory.size > this.maxEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  async readDisk(key) {
+    if (!this.dir) return null;
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(this.filePath(key), 'utf8'));
+      return entry && entry.key === key ? entry : null;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.counters.diskErrors++;
+        console.warn(`⚠️ Cache read failed for ${key}:`, err.message);
+      }
+      return null;
+    }
+  }
+
+  async writeDisk(key, entry) {
+    if (!this.dir) return;
+    const file = this.filePath(key);
+    // Write-then-rename so a crash never leaves a half-written entry behind. Concurrent
+    // writes of one key each get their own temp file; the last rename wins.
+    const tmp = `${file}.${process.pid}.${++this.tmpSeq}.tmp`;
+    try {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(tmp, JSON.stringify({ key, ...entry }));
+      await fs.promises.rename(tmp, file);
+    } catch (err) {
+      this.counters.diskErrors++;
+      console.warn(`⚠️ Cache write failed for ${key}:`, err.message);
+      await fs.promises.unlink(tmp).catch(() => {});
+    }
+  }
+
+  // Drop an expired entry's file. A write racing this only costs a later refetch.
+  async removeDisk(key) {
+    if (!this.dir) return;
+    try {
+      await fs.promises.unlink(this.filePath(key));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`⚠️ Cache cleanup failed for ${key}:`, err.message);
+    }
+  }
+
+  /**
+   * Look a key up in memory, then on disk. Returns undefined on a miss.
+   */
+  async get(key) {
+    let entry = this.memory.get(key);
+    if (entry && !this.isExpired(entry)) {
+      this.counters.memoryHits++;
+      this.remember(key, entry);
+      return entry.value;
+    }
+
+    entry = await this.readDisk(key);
+    if (entry && !this.isExpired(entry)) {
+      this.counters.diskHits++;
+      this.remember(key, { value: entry.value, expiresAt: entry.expiresAt });
+      return entry.value;
+    }
+
+    if (entry) {
+      this.counters.expired++;
+      await this.removeDisk(key);
+    }
+    this.memory.delete(key);
+    this.counters.misses++;
+    return undefined;
+  }
+
+  /**
+   * Store a value. ttl is in milliseconds; omit it (or pass null) to keep the entry indefinitely.
+   */
+  async set(key, value, { ttl = null } = {}) {
+    const entry = { value, expiresAt: ttl ? Date.now() + ttl : null };
+    this.counters.writes++;
+    this.remember(key, entry);
+    await this.writeDisk(key, entry);
+  }
+
+  stats() {
+    const { memoryHits, diskHits, misses } = this.counters;
+    const lookups = memoryHits + diskHits + misses;
+    return {
+      ...this.counters,
+      hitRate: lookups ? Number(((memoryHits + diskHits) / lookups).toFixed(3)) : null,
+      memoryEntries: this.memory.size,
+      maxEntries: this.maxEntries,
+      persistent: Boolean(this.dir)
+    };
+  }
+}
+
+module.exports = { TieredCache };
@@ -0,0 +1,57 @@
+/**
+ * CrimeSpotter UK - API error messages
+ * Turns the API's error envelope ({ success: false, error, code, status, requestId,
+ * retryable, retryAfter }) into messages that say what went wrong and what to do.
+ */
+
+/**
+ * Error raised for an API response with success: false
+ */
+class ApiRequestError extends Error {
+    constructor(data, fallback = 'Request failed') {
+        super((data && data.error) || fallback);
+        this.name = 'ApiRequestError';
+        this.code = (data && data.code) || null;
+        this.status = (data && data.status) || null;
+        this.requestId = (data && data.requestId) || null;
+        this.retryAfter = (data && data.retryAfter) || null;
+    }
+}
+
+// Causes that are not the user's fault get our own wording; input problems use the
+// server's message, which already says what to change
+const API_ERROR_MESSAGES = {
+    UPSTREAM_TIMEOUT: 'The police data service is taking too long to respond. Please try again in a moment.',
+    UPSTREAM_RATE_LIMITED: 'The police data service is busy right now.',
+    RATE_LIMITED: 'You have made a lot of requests in a short time.',
+    UPSTREAM_UNAVAILABLE: 'The police data service is unavailable at the moment. Please try again later.',
+    OUTSIDE_COVERAGE: 'Crime data is only available for England, Wales and Northern Ireland.',
+    INTERNAL_ERROR: 'Something went wrong on our side.'
+};
+
+/**
+ * Message for an ApiRequestError, an error envelope, or any other failure
+ */
+function describeApiError(error, fallback = 'Something went wrong. Please try again.') {
+    // fetch() rejects with a TypeError when the request never reached us
+    if (error instanceof TypeError) {
+        return 'Unable to reach CrimeSpotter. Please check your connection and try again.';
+    }
+    const code = error && error.code;
+    const message = (error && (error.message || error.error)) || fallback;
+    if (!code || !API_ERROR_MESSAGES[code]) {
+        return code ? message : fallback;
+    }
+
+    let text = API_ERROR_MESSAGES[code];
+    if ((code === 'UPSTREAM_RATE_LIMITED' || code === 'RATE_LIMITED') && error.retryAfter) {
+        text += ` Please try again in ${error.retryAfter} seconds.`;
+    }
+    if (code === 'INTERNAL_ERROR' && error.requestId) {
+        text += ` If it keeps happening, quote reference ${error.requestId}.`;
+    }
+    return text;
+}
+
+window.ApiRequestError = ApiRequestError;
+window.describeApiError = describeApiError;
@@ -7,6 +7,11 @@ class CrimeSpotterApp {
     constructor() {
         this.crimeMap = null;
         this.isInitialized = false;
+        this.policingRequestId = 0; // ignore neighbourhood responses that arrive out of order
+        this.minSearchLength = 2;   // matches SEARCH_MIN_LENGTH on the server
+        this.suggestionRequestId = 0;
+        this.currentSuggestions = []; // in display order, for keyboard navigation
+        this.activeSuggestion = -1;
         
         // Initialize when DOM is ready
         if (document.readyState === 'loading') {
@@ -91,6 +96,11 @@ class CrimeSpotterApp {
             this.crimeMap.onDataLoaded = (data) => {
                 this.updateCrimeStatistics(data);
             };
+
+            // Clicking the map looks up the policing neighbourhood at that point
+            this.crimeMap.map.on('click', (e) => {
+                this.loadLocalPolicing(e.latlng.lat, e.latlng.lng);
+            });
             
             console.log('🗺️ Map initialized successfully');
         } catch (error) {
@@ -147,11 +157,9 @@ class CrimeSpotterApp {
                 this.performSearch();
             });
 
-            // Enter key in search input
-            searchInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    this.performSearch();
-                }
+            // Arrow keys move through suggestions; Enter picks the highlighted one or searches
+            searchInput.addEventListener('keydown', (e) => {
+                this.handleSearchKeydown(e);
             });
 
             // Search suggestions (with debounce)
@@ -347,6 +355,9 @@ class CrimeSpotterApp {
             // Try to geocode the location
             const location = await this.geocodeLocation(query);
             
+            if (location && this.openUncoveredCity(location)) {
+                return;
+            }
             if (location) {
                 this.goToLocation(location.lat, location.lng, location.name);
                 this.hideSuggestions();
@@ -357,7 +368,7 @@ class CrimeSpotterApp {
             
         } catch (error) {
             console.error('Search error:', error);
-            this.showError('Search failed. Please try again.');
+            this.showError(describeApiError(error, 'Search failed. Please try again.'));
         } finally {
             // Restore button state
             searchBtn.innerHTML = originalContent;
@@ -369,13 +380,15 @@ class CrimeSpotterApp {
      * Handle search input for suggestions
      */
     async handleSearchInput(query) {
-        if (query.length < 2) {
+        const requestId = ++this.suggestionRequestId;
+        if (query.trim().length < this.minSearchLength) {
             this.hideSuggestions();
             return;
         }
 
         try {
-            const suggestions = await this.getSuggestions(query);
+            const suggestions = await this.getSuggestions(query.trim());
+            if (requestId !== this.suggestionRequestId) return; // a newer keystroke won
             this.showSuggestions(suggestions);
         } catch (error) {
             console.error('Suggestions error:', error);
@@ -396,10 +409,11 @@ class CrimeSpotterApp {
     }
 
     /**
-     * Show search suggestions
+     * Show search suggestions, grouped by kind of place
      */
     showSuggestions(suggestions) {
         const suggestionsContainer = document.getElementById('search-suggestions');
+        const searchInput = document.getElementById('location-search');
         
         if (!suggestionsContainer) return;
 
@@ -408,98 +422,154 @@ class CrimeSpotterApp {
             return;
         }
 
-        const html = suggestions.map(suggestion => `
-            <div class="suggestion-item" data-coords="${suggestion.coords.join(',')}" data-name="${suggestion.name}">
-                <i class="fas fa-map-marker-alt"></i>
-                <span>${suggestion.name}</span>
-            </div>
-        `).join('');
+        const groups = [
+            { label: 'Cities', icon: 'fa-city', types: ['city'] },
+            { label: 'Towns & villages', icon: 'fa-map-marker-alt', types: ['town', 'suburb', 'village', 'hamlet', 'place'] },
+            { label: 'Postcodes', icon: 'fa-envelope', types: ['postcode', 'outcode'] },
+            { label: 'Streets', icon: 'fa-road', types: ['street'] }
+        ];
+
+        // Server order is best-first; groups keep it within themselves
+        this.currentSuggestions = [];
+        const html = groups.map(group => {
+            const items = suggestions.filter(s => group.types.includes(s.type));
+            if (items.length === 0) return '';
+            return `
+                <div class="suggestion-group" role="group" aria-label="${group.label}">
+                    <div class="suggestion-group-label">${group.label}</div>
+                    ${items.map(suggestion => {
+                        const index = this.currentSuggestions.push(suggestion) - 1;
+                        return `
+                            <div class="suggestion-item" role="option" id="suggestion-${index}" data-index="${index}" aria-selected="false">
+                                <i class="fas ${group.icon}"></i>
+                                <span class="suggestion-name">${this.escapeHtml(suggestion.name)}</span>
+                                ${suggestion.area ? `<span class="suggestion-area">${this.escapeHtml(suggestion.area)}</span>` : ''}
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            `;
+        }).join('');
 
         suggestionsContainer.innerHTML = html;
         suggestionsContainer.style.display = 'block';
+        this.activeSuggestion = -1;
+        if (searchInput) {
+            searchInput.setAttribute('aria-expanded', 'true');
+            searchInput.removeAttribute('aria-activedescendant');
+        }
 
-        // Add click listeners to suggestions
         suggestionsContainer.querySelectorAll('.suggestion-item').forEach(item => {
+            item.addEventListener('mousedown', (e) => e.preventDefault()); // keep focus in the input
             item.addEventListener('click', () => {
-                const coords = item.dataset.coords.split(',').map(parseFloat);
-                const name = item.dataset.name;
-                
-                this.goToLocation(coords[0], coords[1], name);
-                
-                const searchInput = document.getElementById('location-search');
-                if (searchInput) {
-                    searchInput.value = name;
-                }
-                
-                this.hideSuggestions();
+                this.selectSuggestion(parseInt(item.dataset.index, 10));
             });
         });
     }
 
+    /**
+     * Keyboard handling for the search box and its suggestion list
+     */
+    handleSearchKeydown(e) {
+        const count = this.currentSuggestions ? this.currentSuggestions.length : 0;
+        const open = count > 0 && document.getElementById('search-suggestions')?.style.display === 'block';
+
+        if (e.key === 'ArrowDown' && open) {
+            e.preventDefault();
+            this.highlightSuggestion((this.activeSuggestion + 1) % count);
+        } else if (e.key === 'ArrowUp' && open) {
+            e.preventDefault();
+            this.highlightSuggestion(this.activeSuggestion <= 0 ? count - 1 : this.activeSuggestion - 1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (open && this.activeSuggestion >= 0) {
+                this.selectSuggestion(this.activeSuggestion);
+            } else {
+                this.performSearch();
+            }
+        } else if (e.key === 'Escape' && open) {
+            this.hideSuggestions();
+        }
+    }
+
+    /**
+     * Move the keyboard highlight to one suggestion
+     */
+    highlightSuggestion(index) {
+        const searchInput = document.getElementById('location-search');
+        document.querySelectorAll('#search-suggestions .suggestion-item').forEach(item => {
+            const active = parseInt(item.dataset.index, 10) === index;
+            item.classList.toggle('active', active);
+            item.setAttribute('aria-selected', active ? 'true' : 'false');
+            if (active) item.scrollIntoView({ block: 'nearest' });
+        });
+        this.activeSuggestion = index;
+        if (searchInput) searchInput.setAttribute('aria-activedescendant', `suggestion-${index}`);
+    }
+
+    /**
+     * Go to a suggestion picked from the list
+     */
+    selectSuggestion(index) {
+        const suggestion = this.currentSuggestions && this.currentSuggestions[index];
+        if (!suggestion) return;
+
+        if (this.openUncoveredCity(suggestion)) return;
+
+        const [lat, lng] = suggestion.coords;
+        this.goToLocation(lat, lng, suggestion.name);
+
+        const searchInput = document.getElementById('location-search');
+        if (searchInput) {
+            searchInput.value = suggestion.name;
+        }
+        this.hideSuggestions();
+    }
+
     /**
      * Hide search suggestions
      */
     hideSuggestions() {
         const suggestionsContainer = document.getElementById('search-suggestions');
+        const searchInput = document.getElementById('location-search');
         
         if (suggestionsContainer) {
             suggestionsContainer.style.display = 'none';
             suggestionsContainer.innerHTML = '';
         }
+        if (searchInput) {
+            searchInput.setAttribute('aria-expanded', 'false');
+            searchInput.removeAttribute('aria-activedescendant');
+        }
+        this.currentSuggestions = [];
+        this.activeSuggestion = -1;
     }
 
     /**
-     * Simple geocoding for common UK locations
+     * Resolve a place name or postcode through the server gazetteer.
+     * Returns { name, type, lat, lng, area } or null when nothing matches.
      */
     async geocodeLocation(query) {
-        const locations = {
-            'london': { name: 'London', lat: 51.5074, lng: -0.1278 },
-            'manchester': { name: 'Manchester', lat: 53.4808, lng: -2.2426 },
-            'birmingham': { name: 'Birmingham', lat: 52.4862, lng: -1.8904 },
-            'leeds': { name: 'Leeds', lat: 53.8008, lng: -1.5491 },
-            'liverpool': { name: 'Liverpool', lat: 53.4084, lng: -2.9916 },
-            'bristol': { name: 'Bristol', lat: 51.4545, lng: -2.5879 },
-            'sheffield': { name: 'Sheffield', lat: 53.3811, lng: -1.4701 },
-            'newcastle': { name: 'Newcastle', lat: 54.9783, lng: -1.6178 },
-            'nottingham': { name: 'Nottingham', lat: 52.9548, lng: -1.1581 },
-            'glasgow': { name: 'Glasgow', lat: 55.8642, lng: -4.2518 },
-            'edinburgh': { name: 'Edinburgh', lat: 55.9533, lng: -3.1883 },
-            'cardiff': { name: 'Cardiff', lat: 51.4816, lng: -3.1791 },
-            'belfast': { name: 'Belfast', lat: 54.5973, lng: -5.9301 },
-            'leicester': { name: 'Leicester', lat: 52.6369, lng: -1.1398 },
-            'coventry': { name: 'Coventry', lat: 52.4068, lng: -1.5197 },
-            'bradford': { name: 'Bradford', lat: 53.7960, lng: -1.7594 },
-            'stoke': { name: 'Stoke-on-Trent', lat: 53.0027, lng: -2.1794 },
-            'wolverhampton': { name: 'Wolverhampton', lat: 52.5865, lng: -2.1288 },
-            'plymouth': { name: 'Plymouth', lat: 50.3755, lng: -4.1427 },
-            'southampton': { name: 'Southampton', lat: 50.9097, lng: -1.4044 },
-            'reading': { name: 'Reading', lat: 51.4543, lng: -0.9781 },
-            'derby': { name: 'Derby', lat: 52.9226, lng: -1.4746 },
-            'brighton': { name: 'Brighton', lat: 50.8225, lng: -0.1372 },
-            'oxford': { name: 'Oxford', lat: 51.7520, lng: -1.2577 },
-            'cambridge': { name: 'Cambridge', lat: 52.2053, lng: 0.1218 },
-            'exeter': { name: 'Exeter', lat: 50.7256, lng: -3.5269 },
-            'york': { name: 'York', lat: 53.9600, lng: -1.0873 },
-            'bath': { name: 'Bath', lat: 51.3811, lng: -2.3590 },
-            'norwich': { name: 'Norwich', lat: 52.6309, lng: 1.2974 },
-            'portsmouth': { name: 'Portsmouth', lat: 50.8198, lng: -1.0880 }
-        };
-
-        const normalizedQuery = query.toLowerCase().trim();
-        
-        // Try exact match first
-        if (locations[normalizedQuery]) {
-            return locations[normalizedQuery];
+        const response = await fetch(`${window.CRIMESPOTTER_CONFIG.apiBaseUrl}/geocode?q=${encodeURIComponent(query)}`);
+        if (response.status === 404) {
+            return null;
         }
-        
-        // Try partial match (e.g., "Manchester" contains "manchester")
-        for (const [key, value] of Object.entries(locations)) {
-            if (normalizedQuery.includes(key) || key.includes(normalizedQuery)) {
-                return value;
-            }
+
+        const data = await response.json();
+        if (!data.success) {
+            throw new ApiRequestError(data, 'Geocoding failed');
         }
-        
-        return null;
+        return data.location;
+    }
+
+    /**
+     * Cities the police data does not cover (Scotland) have a page explaining why,
+     * rather than an empty map. Returns true when it navigated there.
+     */
+    openUncoveredCity(place) {
+        if (place.covered !== false || !place.url) return false;
+        window.location.href = place.url;
+        return true;
     }
 
     /**
@@ -510,7 +580,7 @@ class CrimeSpotterApp {
             try {
                 await this.crimeMap.goToLocation(lat, lng);
                 this.updateLocationInfo(name, lat, lng);
-                console.log(`📍 Navigated to ${name} (${lat}, ${lng})`);
+                console.log(`📍 Navigated to ${name || 'location'} (${lat}, ${lng})`);
             } catch (error) {
                 console.error('Error going to location:', error);
             }
@@ -518,19 +588,135 @@ class CrimeSpotterApp {
     }
 
     /**
-     * Update location info in the sidebar
+     * Update location info in the sidebar. Without a name, the place is looked up
+     * from the coordinates.
      */
     updateLocationInfo(name, lat, lng) {
         const locationName = document.querySelector('.location-name');
         const locationCoords = document.querySelector('.location-coords');
 
         if (locationName) {
-            locationName.textContent = name || 'Unknown Location';
+            if (name) {
+                locationName.textContent = name;
+                if (this.crimeMap) this.crimeMap.setNamedLocation(lat, lng);
+            } else {
+                locationName.textContent = 'Finding place name...';
+                this.showPlaceName(lat, lng);
+            }
         }
 
         if (locationCoords) {
             locationCoords.textContent = `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
         }
+
+        this.loadLocalPolicing(lat, lng);
+    }
+
+    /**
+     * Name an unnamed location from /api/reverse
+     */
+    async showPlaceName(lat, lng) {
+        const locationName = document.querySelector('.location-name');
+        if (!locationName) return;
+        if (!this.crimeMap) {
+            locationName.textContent = 'Unknown Location';
+            return;
+        }
+
+        this.crimeMap.clearNamedLocation();
+        const place = await this.crimeMap.reverseGeocode(lat, lng);
+        // The map may have been moved or named since; only fill in a placeholder
+        if (locationName.textContent === 'Finding place name...') {
+            locationName.textContent = (place && place.name) || 'Unknown Location';
+        }
+    }
+
+    /**
+     * Load the local policing team panel for a point
+     */
+    async loadLocalPolicing(lat, lng) {
+        const content = document.getElementById('policing-content');
+        if (!content) return;
+
+        const requestId = ++this.policingRequestId;
+        content.innerHTML = '<p class="policing-empty"><i class="fas fa-spinner fa-spin"></i> Finding your neighbourhood team...</p>';
+
+        try {
+            const params = new URLSearchParams({ lat: lat.toString(), lng: lng.toString() });
+            const response = await fetch(`${window.CRIMESPOTTER_CONFIG.apiBaseUrl}/neighbourhood?${params}`);
+            const data = await response.json();
+            if (requestId !== this.policingRequestId) return;
+
+            if (data.success) {
+                content.innerHTML = this.renderLocalPolicing(data.neighbourhood);
+            } else {
+                const message = data.code === 'NOT_FOUND'
+                    ? 'No neighbourhood information for this location.'
+                    : describeApiError(data, 'Unable to load neighbourhood information.');
+                content.innerHTML = `<p class="policing-empty">${this.escapeHtml(message)}</p>`;
+            }
+        } catch (error) {
+            console.error('Neighbourhood lookup error:', error);
+            if (requestId === this.policingRequestId) {
+                const message = describeApiError(error, 'Unable to load neighbourhood information.');
+                content.innerHTML = `<p class="policing-empty">${this.escapeHtml(message)}</p>`;
+            }
+        }
+    }
+
+    /**
+     * Build the local policing team panel
+     */
+    renderLocalPolicing(hood) {
+        const esc = (value) => this.escapeHtml(value);
+        const formatDate = (iso) => iso
+            ? new Date(iso).toLocaleString('en-GB', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })
+            : '';
+
+        const contact = hood.contact || {};
+        const contactLines = [
+            contact.telephone ? `<li><i class="fas fa-phone"></i> ${esc(contact.telephone)}</li>` : '',
+            contact.email ? `<li><i class="fas fa-envelope"></i> <a href="mailto:${esc(contact.email)}">${esc(contact.email)}</a></li>` : '',
+            hood.url ? `<li><i class="fas fa-external-link-alt"></i> <a href="${esc(hood.url)}" target="_blank" rel="noopener">Neighbourhood page</a></li>` : ''
+        ].join('');
+
+        const team = (hood.team || []).slice(0, 5).map(p => `
+            <li><strong>${esc(p.name)}</strong>${p.rank ? ` <span class="policing-meta">${esc(p.rank)}</span>` : ''}</li>
+        `).join('');
+
+        const priorities = (hood.priorities || []).slice(0, 3).map(p => `
+            <li>${esc(p.issue)}</li>
+        `).join('');
+
+        const events = (hood.events || []).slice(0, 3).map(e => `
+            <li>
+                <strong>${esc(e.title)}</strong>
+                <span class="policing-meta">${esc(formatDate(e.start))}${e.address ? ` · ${esc(e.address)}` : ''}</span>
+            </li>
+        `).join('');
+
+        return `
+            <div class="policing-name">${esc(hood.name)}</div>
+            ${contactLines ? `<ul class="policing-list policing-contact">${contactLines}</ul>` : ''}
+            <div class="policing-heading">Team</div>
+            ${team ? `<ul class="policing-list">${team}</ul>` : '<p class="policing-empty">No team members listed.</p>'}
+            <div class="policing-heading">Current priorities</div>
+            ${priorities ? `<ul class="policing-list">${priorities}</ul>` : '<p class="policing-empty">No priorities published.</p>'}
+            <div class="policing-heading">Upcoming events</div>
+            ${events ? `<ul class="policing-list">${events}</ul>` : '<p class="policing-empty">No upcoming events.</p>'}
+        `;
+    }
+
+    /**
+     * Escape text for safe insertion into HTML
+     */
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     /**
@@ -663,7 +849,8 @@ class CrimeSpotterApp {
             
             if (!isNaN(latitude) && !isNaN(longitude)) {
                 setTimeout(() => {
-                    this.goToLocation(latitude, longitude, 'Shared Location');
+                    // No name: the sidebar shows whatever place the link points at
+                    this.goToLocation(latitude, longitude);
                 }, 1000); // Delay to ensure map is ready
             }
         }
@@ -17,6 +17,18 @@ class CrimeMap {
         this.onDataLoaded = null; // Callback function for when data is loaded
         this.viewMode = 'markers'; // Default to markers view
         this.heatmapIntensity = 0.5;
+        this.outcomeHistory = new Map(); // persistent_id -> outcomes (lazy-loaded for popups)
+        this.stopsLayer = null;
+        this.showStops = false;
+        this.currentStops = [];
+        this.currentDate = null;  // month of the crimes on screen
+        this.lastQuery = null;    // { lat, lng, bounds? } of the crimes on screen
+        this.unmappedRequestId = 0; // ignore stale no-location lookups
+        this.unmappedNoteShare = 0.05; // share of a force's crimes without a location that earns a note
+        this.placeNames = new Map(); // "lat,lng" (3 d.p.) -> /api/reverse result
+        this.placeRequestId = 0;    // ignore stale reverse lookups
+        this.namedLocation = null;  // { lat, lng } the app has already named (e.g. a search result)
+        this.namedLocationRadius = 250; // metres the map can drift before the name is looked up again
         
         // Crime category colors and icons
         this.crimeStyles = {
@@ -98,6 +110,9 @@ class CrimeMap {
             }
         });
 
+        // Stop-and-search layer (added to the map when toggled on)
+        this.stopsLayer = L.layerGroup();
+
         // Map event listeners
         this.map.on('moveend', () => {
             this.onMapMove();
@@ -410,7 +425,7 @@ class CrimeMap {
         }
         
         try {
-            const data = await this.loadCrimes(center.lat, center.lng);
+            const data = await this.loadCrimesInView();
             this.lastUpdateLocation = center;
             this.hasMovedSinceUpdate = false;
             this.hideUpdateButton();
@@ -478,6 +493,14 @@ class CrimeMap {
             });
         }
 
+        // Stop-and-search layer toggle
+        const stopsToggle = document.getElementById('stops-layer-toggle');
+        if (stopsToggle) {
+            stopsToggle.addEventListener('change', (e) => {
+                this.toggleStopsLayer(e.target.checked);
+            });
+        }
+
         // Add manual refresh button
         const refreshBtn = document.getElementById('refresh-btn');
         if (refreshBtn) {
@@ -485,12 +508,85 @@ class CrimeMap {
                 this.updateCurrentLocation();
             });
         }
+
+        const exportCsvBtn = document.getElementById('export-csv-btn');
+        if (exportCsvBtn) {
+            exportCsvBtn.addEventListener('click', () => {
+                this.exportCsv();
+            });
+        }
+
+        const exportGeoJsonBtn = document.getElementById('export-geojson-btn');
+        if (exportGeoJsonBtn) {
+            exportGeoJsonBtn.addEventListener('click', () => {
+                this.exportGeoJson();
+            });
+        }
     }
 
     /**
      * Load crimes for a specific location
      */
     async loadCrimes(lat, lng, date = null) {
+        const params = new URLSearchParams({
+            lat: lat.toString(),
+            lng: lng.toString()
+        });
+
+        if (date) {
+            params.append('date', date);
+        }
+
+        this.lastQuery = { lat, lng };
+        return this.fetchCrimeData(`${this.config.apiBaseUrl}/crimes?${params}`, lat, lng, { fitBounds: true });
+    }
+
+    /**
+     * Load crimes covering the whole visible map area.
+     * Falls back to the one-mile radius around the centre when zoomed too far out.
+     */
+    async loadCrimesInView(date = null) {
+        const bounds = this.map.getBounds();
+        const center = this.map.getCenter();
+        const params = new URLSearchParams({
+            north: bounds.getNorth().toFixed(5),
+            south: bounds.getSouth().toFixed(5),
+            east: bounds.getEast().toFixed(5),
+            west: bounds.getWest().toFixed(5)
+        });
+
+        if (date) {
+            params.append('date', date);
+        }
+
+        this.lastQuery = {
+            lat: center.lat,
+            lng: center.lng,
+            bounds: { north: bounds.getNorth(), south: bounds.getSouth(), east: bounds.getEast(), west: bounds.getWest() }
+        };
+        const data = await this.fetchCrimeData(`${this.config.apiBaseUrl}/crimes/viewport?${params}`, center.lat, center.lng, {
+            fitBounds: false,
+            fallbackCodes: ['VIEWPORT_TOO_LARGE']
+        });
+
+        if (data && data.fallback) {
+            this.showNotification('Zoom in to load the whole visible area - showing crimes near the map centre', 'info');
+            return this.loadCrimes(center.lat, center.lng, date);
+        }
+
+        if (data && data.incomplete && data.message) {
+            this.showNotification(data.message, 'info');
+        }
+
+        return data;
+    }
+
+    /**
+     * Fetch a crime payload from the API and render it.
+     * Returns { fallback: true } instead of showing an error when the API answers
+     * with one of options.fallbackCodes, so the caller can retry another way.
+     */
+    async fetchCrimeData(url, lat, lng, options = {}) {
         if (this.isLoading) return null;
         
         this.showLoading(true);
@@ -499,20 +595,12 @@ class CrimeMap {
         let returnData = null;
 
         try {
-            const params = new URLSearchParams({
-                lat: lat.toString(),
-                lng: lng.toString()
-            });
-
-            if (date) {
-                params.append('date', date);
-            }
-
-            const response = await fetch(`${this.config.apiBaseUrl}/crimes?${params}`);
+            const response = await fetch(url);
             const data = await response.json();
 
             if (data.success) {
                 this.currentCrimes = data.crimes || [];
+                this.currentDate = data.date || null;
                 
                 // Use setTimeout to ensure DOM is ready
                 setTimeout(() => {
@@ -521,12 +609,13 @@ class CrimeMap {
                 
                 this.updateStatistics(data);
                 this.updateFilters(data.categories || {});
+                this.loadUnmappedCrimes(lat, lng, data);
                 
                 // Update location display
                 this.updateLocationDisplay(lat, lng);
                 
                 // Fit map to bounds if we have crime data
-                if (data.bounds && this.currentCrimes.length > 0) {
+                if (options.fitBounds && data.bounds && this.currentCrimes.length > 0) {
                     this.fitToBounds(data.bounds);
                 }
                 
@@ -537,13 +626,20 @@ class CrimeMap {
                 
                 returnData = data;
                 console.log(`✅ Loaded ${this.currentCrimes.length} crimes`);
+
+                // Keep stops in step with the crimes on screen
+                if (this.showStops) {
+                    this.loadStops();
+                }
+            } else if ((options.fallbackCodes || []).includes(data.code)) {
+                returnData = { fallback: true };
             } else {
-                throw new Error(data.error || 'Failed to load crime data');
+                throw new ApiRequestError(data, 'Failed to load crime data');
             }
 
         } catch (error) {
             console.error('❌ Error loading crimes:', error);
-            this.showError('Failed to load crime data. Please try again.');
+            this.showError(describeApiError(error, 'Failed to load crime data. Please try again.'));
             
             // Still call callback with error state
             if (this.onDataLoaded && typeof this.onDataLoaded === 'function') {
@@ -555,7 +651,7 @@ class CrimeMap {
         }
         
         return returnData;
-}
+    }
 
 
     /**
@@ -733,6 +829,13 @@ class CrimeMap {
             className: 'crime-popup'
         });
 
+        // Fetch the full outcome timeline only when someone opens the popup
+        if (crime.persistent_id) {
+            marker.on('popupopen', (e) => {
+                this.loadOutcomeHistory(crime.persistent_id, e.popup);
+            });
+        }
+
         return marker;
     }
 
@@ -754,10 +857,277 @@ class CrimeMap {
                     <p><strong>📅 Date:</strong> ${this.formatDate(crime.month)}</p>
                     ${crime.outcome_status ? `<p><strong>⚖️ Outcome:</strong> ${crime.outcome_status.category}</p>` : ''}
                 </div>
+                ${crime.persistent_id ? `
+                <div class="crime-popup-outcomes" data-persistent-id="${crime.persistent_id}">
+                    <p class="outcome-loading"><i class="fas fa-spinner fa-spin"></i> Loading outcome history...</p>
+                </div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Load a crime's outcome history and render it into its open popup
+     */
+    async loadOutcomeHistory(persistentId, popup) {
+        let outcomes = this.outcomeHistory.get(persistentId);
+
+        if (!outcomes) {
+            try {
+                const response = await fetch(`${this.config.apiBaseUrl}/outcomes/${persistentId}`);
+                const data = await response.json();
+                // A 404 just means nothing has been recorded yet
+                outcomes = data.success ? data.outcomes : (response.status === 404 ? [] : null);
+                if (outcomes) this.outcomeHistory.set(persistentId, outcomes);
+            } catch (error) {
+                console.error('❌ Error loading outcome history:', error);
+                outcomes = null;
+            }
+        }
+
+        const popupEl = popup.getElement();
+        const container = popupEl && popupEl.querySelector('.crime-popup-outcomes');
+        if (!container) return;
+
+        container.innerHTML = this.createOutcomeTimeline(outcomes);
+        popup.update();
+    }
+
+    /**
+     * Build the outcome timeline, e.g. "Under investigation → Offender given a caution"
+     */
+    createOutcomeTimeline(outcomes) {
+        if (outcomes === null) {
+            return '<p class="outcome-empty">Outcome history unavailable</p>';
+        }
+        if (outcomes.length === 0) {
+            return '<p class="outcome-empty">No outcomes recorded yet</p>';
+        }
+
+        const steps = outcomes.map(outcome => `
+            <li class="outcome-step">
+                <span class="outcome-name">${outcome.category}</span>
+                <span class="outcome-date">${this.formatDate(outcome.date)}</span>
+            </li>
+        `).join('');
+
+        return `
+            <p><strong>📜 Outcome history:</strong></p>
+            <ol class="outcome-timeline">${steps}</ol>
+        `;
+    }
+
+    /**
+     * Show or hide the stop-and-search layer
+     */
+    toggleStopsLayer(enabled) {
+        this.showStops = enabled;
+
+        if (enabled) {
+            this.stopsLayer.addTo(this.map);
+            this.loadStops();
+        } else {
+            this.stopsLayer.clearLayers();
+            this.map.removeLayer(this.stopsLayer);
+            this.currentStops = [];
+            this.updateStopsCount(null);
+        }
+    }
+
+    /**
+     * Load stop-and-search records for the same area and month as the crimes on screen
+     */
+    async loadStops() {
+        if (!this.lastQuery) return;
+
+        const { lat, lng, bounds } = this.lastQuery;
+        const pointParams = new URLSearchParams({ lat: lat.toString(), lng: lng.toString() });
+        if (this.currentDate) pointParams.append('date', this.currentDate);
+
+        try {
+            let response;
+            if (bounds) {
+                const polyParams = new URLSearchParams({ poly: this.boundsToPoly(bounds) });
+                if (this.currentDate) polyParams.append('date', this.currentDate);
+                response = await fetch(`${this.config.apiBaseUrl}/stops?${polyParams}`);
+            }
+            // Large viewports are rejected as polygons; fall back to the area around the centre
+            if (!response || response.status === 400) {
+                response = await fetch(`${this.config.apiBaseUrl}/stops?${pointParams}`);
+            }
+
+            const data = await response.json();
+            if (!data.success) throw new ApiRequestError(data, 'Failed to load stop and search data');
+            if (!this.showStops) return; // toggled off while loading
+
+            this.currentStops = data.stops || [];
+            this.displayStops(this.currentStops);
+            this.updateStopsCount(data.count);
+            console.log(`🛑 Loaded ${this.currentStops.length} stop and search records`);
+        } catch (error) {
+            console.error('❌ Error loading stop and search data:', error);
+            this.showError(describeApiError(error, 'Failed to load stop and search data.'));
+        }
+    }
+
+    /**
+     * A viewport as the API's poly parameter ("lat,lng:lat,lng:...")
+     */
+    boundsToPoly(bounds) {
+        return [
+            [bounds.north, bounds.west], [bounds.north, bounds.east],
+            [bounds.south, bounds.east], [bounds.south, bounds.west]
+        ].map(([a, b]) => `${a.toFixed(5)},${b.toFixed(5)}`).join(':');
+    }
+
+    /**
+     * The API URL exporting the crimes on screen in `format` (e.g. 'csv'): their
+     * area and month, and the ticked crime types. A viewport goes to the tiled viewport
+     * export, which takes larger areas than a polygon may cover. Null before anything has
+     * loaded or with every crime type unticked.
+     */
+    currentExportUrl(format) {
+        if (!this.lastQuery || this.activeFilters.size === 0) return null;
+
+        const { lat, lng, bounds } = this.lastQuery;
+        const params = bounds
+            ? new URLSearchParams({
+                north: bounds.north.toFixed(5),
+                south: bounds.south.toFixed(5),
+                east: bounds.east.toFixed(5),
+                west: bounds.west.toFixed(5)
+            })
+            : new URLSearchParams({ lat: lat.toString(), lng: lng.toString() });
+        if (this.currentDate) params.append('date', this.currentDate);
+        if (!this.activeFilters.has('all')) {
+            params.append('category', [...this.activeFilters].join(','));
+        }
+        const path = bounds ? `crimes/viewport.${format}` : `crimes.${format}`;
+        return `${this.config.apiBaseUrl}/${path}?${params}`;
+    }
+
+    /**
+     * Download the crimes on screen as CSV, from /api/crimes/viewport.csv or /api/crimes.csv
+     */
+    async exportCsv() {
+        const url = this.currentExportUrl('csv');
+        if (!url) {
+            this.showNotification('Load crimes and tick at least one crime type to export', 'info');
+            return;
+        }
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new ApiRequestError(await response.json(), 'Failed to export crime data');
+            }
+            this.saveFile(await response.blob(), `crimes-${this.currentDate || 'latest'}.csv`);
+        } catch (error) {
+            console.error('❌ Error exporting crimes:', error);
+            this.showError(describeApiError(error, 'Failed to export crime data. Please try again.'));
+        }
+    }
+
+    /**
+     * Download the crimes on screen, with the ticked crime types, as a GeoJSON
+     * FeatureCollection. Built here from what is loaded, with the same feature shape as
+     * /api/crimes.geojson (lib/geojson.js, served as /js/geojson.js).
+     */
+    exportGeoJson() {
+        const crimes = this.currentCrimes.filter(crime => this.shouldShowCrime(crime));
+        if (!this.lastQuery || crimes.length === 0) {
+            this.showNotification('Load crimes and tick at least one crime type to export', 'info');
+            return;
+        }
+
+        const { lat, lng, bounds } = this.lastQuery;
+        const collection = crimesToFeatureCollection(crimes, {
+            location: bounds
+                ? `${bounds.south.toFixed(5)}, ${bounds.west.toFixed(5)} to ${bounds.north.toFixed(5)}, ${bounds.east.toFixed(5)}`
+                : `${lat}, ${lng}`,
+            date: this.currentDate || null,
+            categories: this.activeFilters.has('all') ? null : [...this.activeFilters],
+            source: 'data.police.uk',
+            licence: 'Open Government Licence v3.0'
+        });
+        const blob = new Blob([JSON.stringify(collection)], { type: 'application/geo+json' });
+        this.saveFile(blob, `crimes-${this.currentDate || 'latest'}.geojson`);
+    }
+
+    /**
+     * Offer a Blob to the user as a download
+     */
+    saveFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Draw stop-and-search markers
+     */
+    displayStops(stops) {
+        this.stopsLayer.clearLayers();
+
+        stops.forEach(stop => {
+            const lat = parseFloat(stop.location?.latitude);
+            const lng = parseFloat(stop.location?.longitude);
+            if (isNaN(lat) || isNaN(lng)) return;
+
+            const icon = L.divIcon({
+                className: 'stop-marker',
+                html: '<div class="stop-marker-inner"><i class="fas fa-hand-paper"></i></div>',
+                iconSize: [24, 24],
+                iconAnchor: [12, 12]
+            });
+
+            L.marker([lat, lng], { icon })
+                .bindPopup(this.createStopPopupContent(stop), { maxWidth: 300, className: 'crime-popup' })
+                .addTo(this.stopsLayer);
+        });
+    }
+
+    /**
+     * Create popup content for a stop-and-search marker
+     */
+    createStopPopupContent(stop) {
+        const when = stop.datetime
+            ? new Date(stop.datetime).toLocaleString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+            : 'Unknown';
+        const person = [stop.gender, stop.age_range].filter(Boolean).join(', ');
+
+        return `
+            <div class="crime-popup-content">
+                <div class="crime-popup-header">
+                    <span class="crime-popup-icon">🛑</span>
+                    <h3 class="crime-popup-title">${stop.type || 'Stop and search'}</h3>
+                </div>
+                <div class="crime-popup-details">
+                    <p><strong>🔎 Searched for:</strong> ${stop.object_of_search || 'Not stated'}</p>
+                    <p><strong>⚖️ Outcome:</strong> ${stop.outcome_object?.name || stop.outcome || 'Unknown'}</p>
+                    ${person ? `<p><strong>👤 Person:</strong> ${person}</p>` : ''}
+                    ${stop.legislation ? `<p><strong>📘 Legislation:</strong> ${stop.legislation}</p>` : ''}
+                    <p><strong>📍 Location:</strong> ${stop.location?.street?.name || 'Unknown location'}</p>
+                    <p><strong>📅 When:</strong> ${when}</p>
+                </div>
             </div>
         `;
     }
 
+    /**
+     * Update the stop-and-search count next to the layer toggle
+     */
+    updateStopsCount(count) {
+        const countEl = document.getElementById('count-stops');
+        if (countEl) {
+            countEl.textContent = count === null ? '-' : count;
+        }
+    }
+
     /**
      * Check if a crime should be displayed based on current filters
      */
@@ -939,6 +1309,43 @@ class CrimeMap {
         }
     }
 
+    /**
+     * Look up how many crimes the local force recorded without a location that month.
+     * Those never appear on the map, so the statistics panel counts them separately and
+     * adds a note when they are an unusually large share of everything the force recorded.
+     */
+    async loadUnmappedCrimes(lat, lng, data) {
+        const unmapped = document.getElementById('area-unmapped');
+        const note = document.getElementById('area-unmapped-note');
+        if (!unmapped) return;
+
+        const requestId = ++this.unmappedRequestId;
+        unmapped.textContent = '-';
+        if (note) note.style.display = 'none';
+
+        try {
+            const params = new URLSearchParams({ lat: lat.toString(), lng: lng.toString() });
+            if (data.date) params.append('date', data.date);
+            const response = await fetch(`${this.config.apiBaseUrl}/crimes/no-location?${params}`);
+            const result = await response.json();
+            if (requestId !== this.unmappedRequestId || !result.success) return;
+
+            unmapped.textContent = result.count.toLocaleString('en-GB');
+
+            // Compared with the force's own total for the month, not the crimes on screen: the
+            // count is force-wide. The total is null unless the force's archive is imported.
+            const share = result.forceTotal ? result.count / result.forceTotal : 0;
+            if (note && share >= this.unmappedNoteShare) {
+                note.textContent = `${result.force.name} recorded ${Math.round(share * 100)}% of its crimes in ${result.date} ` +
+                    `(${result.count.toLocaleString('en-GB')} of ${result.forceTotal.toLocaleString('en-GB')}) with no location. ` +
+                    'They are not shown on the map or counted above.';
+                note.style.display = 'block';
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load crimes with no location:', error);
+        }
+    }
+
     /**
      * Update filtered crime count display
      */
@@ -1000,7 +1407,7 @@ class CrimeMap {
      */
     async loadCrimesForCurrentView(date = null) {
         const center = this.map.getCenter();
-        const data = await this.loadCrimes(center.lat, center.lng, date);
+        const data = await this.loadCrimesInView(date);
         this.lastUpdateLocation = center;
         this.hasMovedSinceUpdate = false;
         this.hideUpdateButton();
@@ -1020,6 +1427,62 @@ class CrimeMap {
         if (locationCoords) {
             locationCoords.textContent = `${center.lat.toFixed(4)}, ${center.lng.toFixed(4)}`;
         }
+
+        this.updatePlaceName(center.lat, center.lng);
+    }
+
+    /**
+     * Show the name of the place at a point in the sidebar, unless the app has
+     * already named it
+     */
+    async updatePlaceName(lat, lng) {
+        const locationName = document.querySelector('#location-info .location-name');
+        if (!locationName || this.isNamedLocation(lat, lng)) return;
+
+        const requestId = ++this.placeRequestId;
+        const place = await this.reverseGeocode(lat, lng);
+        if (requestId !== this.placeRequestId || this.isNamedLocation(lat, lng)) return;
+        if (place && place.name) {
+            locationName.textContent = place.name;
+        }
+    }
+
+    /**
+     * Keep an explicit name (search result, city) for the current spot until the map moves away
+     */
+    setNamedLocation(lat, lng) {
+        this.namedLocation = { lat, lng };
+        this.placeRequestId++; // a lookup already in flight must not overwrite the name
+    }
+
+    clearNamedLocation() {
+        this.namedLocation = null;
+    }
+
+    isNamedLocation(lat, lng) {
+        if (!this.namedLocation) return false;
+        const named = L.latLng(this.namedLocation.lat, this.namedLocation.lng);
+        return named.distanceTo(L.latLng(lat, lng)) <= this.namedLocationRadius;
+    }
+
+    /**
+     * Nearest locality, district and force for a point, or null if it cannot be named
+     */
+    async reverseGeocode(lat, lng) {
+        const key = `${lat.toFixed(3)},${lng.toFixed(3)}`;
+        if (this.placeNames.has(key)) return this.placeNames.get(key);
+
+        try {
+            const params = new URLSearchParams({ lat: lat.toFixed(5), lng: lng.toFixed(5) });
+            const response = await fetch(`${this.config.apiBaseUrl}/reverse?${params}`);
+            const data = await response.json();
+            const place = data.success ? data : null;
+            this.placeNames.set(key, place);
+            return place;
+        } catch (error) {
+            console.warn('Reverse geocoding failed:', error);
+            return null;
+        }
     }
 
     /**
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// scripts/api-keys.js
+// Issue, list and revoke API keys for partners calling /api.
+//
+//   npm run api-keys -- create <name> [--quota N] [--origin https://example.com ...]
+//   npm run api-keys -- list
+//   npm run api-keys -- revoke <id>
+//   npm run api-keys -- usage
+//
+// Keys are stored under API_KEYS_DIR (default data/keys); a running server picks up
+// changes within a few seconds.
+const path = require('path');
+const { ApiKeyStore } = require('../lib/api-keys');
+
+const USAGE = 'Usage: npm run api-keys -- <create <name> [--quota N] [--origin URL ...] | list | revoke <id> | usage> [--dir data/keys]';
+
+function parseArgs(argv) {
+  const options = {
+    dir: process.env.API_KEYS_DIR || path.join(__dirname, '..', 'data', 'keys'),
+    quota: undefined,
+    origins: [],
+    args: []
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dir') {
+      options.dir = argv[++i];
+    } else if (arg === '--quota') {
+      options.quota = Number(argv[++i]);
+    } else if (arg === '--origin') {
+      options.origins.push(argv[++i]);
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else {
+      options.args.push(arg);
+    }
+  }
+  return options;
+}
+
+function describe(record) {
+  const quota = record.dailyQuota > 0 ? `${record.dailyQuota}/day` : 'no quota';
+  const origins = record.origins.length ? record.origins.join(', ') : 'any origin';
+  const state = record.revokedAt ? `revoked ${record.revokedAt}` : `created ${record.createdAt}`;
+  return `${record.id}  ${record.name}  (${quota}, ${origins}, ${state})`;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const [command, ...rest] = options.args;
+  if (options.help || !command) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  const store = new ApiKeyStore({ dir: options.dir });
+  if (command === 'create') {
+    const { key, record } = store.create({ name: rest.join(' '), dailyQuota: options.quota, origins: options.origins });
+    console.log(`✅ Created ${describe(record)}`);
+    console.log(`🔑 ${key}`);
+    console.log('   Send it in the X-API-Key header. It is not stored and cannot be shown again.');
+  } else if (command === 'list') {
+    const keys = store.list();
+    if (keys.length === 0) console.log('No API keys issued yet');
+    keys.forEach(record => console.log(describe(record)));
+  } else if (command === 'revoke' && rest[0]) {
+    console.log(`🚫 Revoked ${describe(store.revoke(rest[0]))}`);
+  } else if (command === 'usage') {
+    const report = store.usageReport();
+    console.log(`Usage since ${report.since} (today is ${report.today}, UTC)`);
+    report.keys.forEach(key => {
+      const quota = key.dailyQuota > 0 ? `/${key.dailyQuota}` : '';
+      console.log(`${key.id}  ${key.name}: ${key.today}${quota} today, ${key.total} in total`);
+    });
+  } else {
+    console.log(USAGE);
+    process.exit(1);
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('❌', err.message);
+  process.exit(1);
+}
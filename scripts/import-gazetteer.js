@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+// scripts/import-gazetteer.js
+// Build the offline gazetteer behind /api/geocode from open datasets:
+//   - ONS Postcode Directory (ONSPD) CSV: postcodes and postcode districts
+//   - OS Open Names CSV: cities, towns, villages and other settlements
+//
+//   npm run import-gazetteer -- <zip|dir|csv> [...] [--dir data/gazetteer] [--streets]
+//
+// --streets also imports named roads from Open Names for search suggestions. That is
+// roughly a million extra entries, so expect several hundred MB more server memory.
+//
+// Files are recognised by their columns, so both datasets can be passed in one run.
+// Each dataset that appears in the input replaces what was imported for it before.
+const fs = require('fs');
+const path = require('path');
+const { eachInputFile } = require('../lib/input-files');
+const { readCsvRows } = require('../lib/csv');
+const { gridToLatLng } = require('../lib/osgb');
+
+// OS Open Names ships without a header row; these are its column positions
+const OPEN_NAMES = { name: 2, localType: 7, x: 8, y: 9, populatedPlace: 18, district: 21, county: 24 };
+const OPEN_NAMES_COLUMNS = 34;
+const SETTLEMENT_TYPES = {
+  City: 'city',
+  Town: 'town',
+  'Suburban Area': 'suburb',
+  Village: 'village',
+  Hamlet: 'hamlet',
+  'Other Settlement': 'place'
+};
+const NO_LOCATION_LAT = 99.999999; // ONSPD's marker for postcodes without a grid reference
+
+function parseArgs(argv) {
+  const options = {
+    dir: process.env.GAZETTEER_DIR || path.join(__dirname, '..', 'data', 'gazetteer'),
+    streets: false,
+    inputs: []
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dir') options.dir = argv[++i];
+    else if (arg === '--streets') options.streets = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else options.inputs.push(arg);
+  }
+  return options;
+}
+
+async function writeJsonAtomic(file, value) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(value));
+  await fs.promises.rename(tmp, file);
+}
+
+class GazetteerImporter {
+  constructor({ streets = false } = {}) {
+    this.streets = streets;
+    this.places = null;      // [[name, type, lat, lng, area]] once an Open Names file is seen
+    this.postcodes = null;   // Map outcode -> { postcode: [lat, lng] } once an ONSPD file is seen
+    this.streetKeys = new Set(); // a road is listed once per section; keep one per town
+    this.skipped = 0;
+  }
+
+  async importFile(name, stream) {
+    if (!name.toLowerCase().endsWith('.csv')) {
+      this.skipped++;
+      stream.resume();
+      return;
+    }
+
+    const rows = readCsvRows(stream);
+    const first = await rows.next();
+    if (first.done) return;
+    const header = first.value.map(h => h.trim().toLowerCase());
+
+    // Open Names is normally headerless, but a header row may have been added to the file
+    const openNamesHeader = header[0] === 'id' && header[2] === 'name1';
+
+    if (header.includes('pcds') && header.includes('lat')) {
+      await this.importPostcodes(name, header, rows);
+    } else if (openNamesHeader || first.value.length === OPEN_NAMES_COLUMNS) {
+      await this.importOpenNames(name, openNamesHeader ? null : first.value, rows);
+    } else {
+      console.warn(`⚠️ Skipping ${name}: not an ONSPD or OS Open Names file`);
+      this.skipped++;
+      for await (const row of rows) void row; // drain so zip reading can move on
+    }
+  }
+
+  async importPostcodes(name, header, rows) {
+    const col = key => header.indexOf(key);
+    const [pcds, lat, lng, doterm] = [col('pcds'), col('lat'), col('long'), col('doterm')];
+    this.postcodes = this.postcodes || new Map();
+
+    let count = 0;
+    for await (const row of rows) {
+      if (doterm >= 0 && row[doterm]) continue; // terminated postcode
+      const latitude = parseFloat(row[lat]);
+      const longitude = parseFloat(row[lng]);
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || latitude === NO_LOCATION_LAT) continue;
+
+      const postcode = String(row[pcds] || '').toUpperCase().trim();
+      const outcode = postcode.split(' ')[0];
+      if (!/^[A-Z0-9]{2,4} [0-9][A-Z]{2}$/.test(postcode)) continue;
+      if (!this.postcodes.has(outcode)) this.postcodes.set(outcode, {});
+      this.postcodes.get(outcode)[postcode] = [latitude, longitude];
+      count++;
+    }
+    console.log(`📮 ${path.basename(name)}: ${count} live postcodes`);
+  }
+
+  async importOpenNames(name, firstRow, rows) {
+    this.places = this.places || [];
+    let count = 0;
+    const add = row => {
+      const localType = row[OPEN_NAMES.localType];
+      const isStreet = this.streets && localType === 'Named Road';
+      const type = isStreet ? 'street' : SETTLEMENT_TYPES[localType];
+      if (!type) return;
+
+      const area = isStreet
+        ? row[OPEN_NAMES.populatedPlace] || row[OPEN_NAMES.district] || row[OPEN_NAMES.county] || null
+        : row[OPEN_NAMES.county] || row[OPEN_NAMES.district] || null;
+      if (isStreet) {
+        const key = `${row[OPEN_NAMES.name]}|${area}`;
+        if (this.streetKeys.has(key)) return;
+        this.streetKeys.add(key);
+      }
+
+      const { lat, lng } = gridToLatLng(parseFloat(row[OPEN_NAMES.x]), parseFloat(row[OPEN_NAMES.y]));
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) return;
+      this.places.push([row[OPEN_NAMES.name], type, lat, lng, area]);
+      count++;
+    };
+
+    if (firstRow) add(firstRow);
+    for await (const row of rows) add(row);
+    if (count > 0) console.log(`🏘️ ${path.basename(name)}: ${count} places`);
+  }
+
+  async writePostcodes(dir) {
+    const target = path.join(dir, 'postcodes');
+    const staging = `${target}.${process.pid}.tmp`;
+    await fs.promises.rm(staging, { recursive: true, force: true });
+    await fs.promises.mkdir(staging, { recursive: true });
+
+    const outcodes = {};
+    let total = 0;
+    for (const [outcode, postcodes] of this.postcodes) {
+      await fs.promises.writeFile(path.join(staging, `${outcode}.json`), JSON.stringify(postcodes));
+      const coords = Object.values(postcodes);
+      const mean = i => Number((coords.reduce((sum, c) => sum + c[i], 0) / coords.length).toFixed(6));
+      outcodes[outcode] = [mean(0), mean(1), coords.length];
+      total += coords.length;
+    }
+
+    // Swap the new set in, then drop the old one
+    const previous = `${target}.old`;
+    await fs.promises.rm(previous, { recursive: true, force: true });
+    await fs.promises.rename(target, previous).catch(err => { if (err.code !== 'ENOENT') throw err; });
+    await fs.promises.rename(staging, target);
+    await fs.promises.rm(previous, { recursive: true, force: true });
+    await writeJsonAtomic(path.join(dir, 'outcodes.json'), outcodes);
+    return { postcodes: total, outcodes: this.postcodes.size };
+  }
+
+  async write(dir) {
+    const manifestFile = path.join(dir, 'manifest.json');
+    const manifest = await fs.promises.readFile(manifestFile, 'utf8').then(JSON.parse).catch(() => ({}));
+    const importedAt = new Date().toISOString();
+
+    if (this.places) {
+      await writeJsonAtomic(path.join(dir, 'places.json'), this.places);
+      manifest.places = { count: this.places.length, importedAt };
+    }
+    if (this.postcodes) {
+      manifest.postcodes = { ...(await this.writePostcodes(dir)), importedAt };
+    }
+    // Written last: the server reloads when the manifest changes
+    manifest.importedAt = importedAt;
+    await writeJsonAtomic(manifestFile, manifest);
+    return manifest;
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || options.inputs.length === 0) {
+    console.log('Usage: npm run import-gazetteer -- <zip|dir|csv> [...] [--dir data/gazetteer] [--streets]');
+    process.exit(options.help ? 0 : 1);
+  }
+
+  const importer = new GazetteerImporter(options);
+  for (const input of options.inputs) {
+    await eachInputFile(input, (name, stream) => importer.importFile(name, stream));
+  }
+  if (!importer.places && !importer.postcodes) {
+    console.error('❌ No ONSPD or OS Open Names data found in the input');
+    process.exit(1);
+  }
+
+  const manifest = await importer.write(options.dir);
+  console.log(`✅ Gazetteer written to ${options.dir}: ` +
+    `${manifest.places?.count || 0} places, ${manifest.postcodes?.postcodes || 0} postcodes ` +
+    `(${importer.skipped} files skipped)`);
+}
+
+main().catch(err => {
+  console.error('❌ Import failed:', err.message);
+  process.exit(1);
+});
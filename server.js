@@ -1,22 +1,134 @@
 // server.js
 const express = require('express');
-const fetch = require('node-fetch');
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
+const { PoliceApiClient, PoliceApiError, RETRYABLE_STATUS } = require('./lib/police-api');
+const { TieredCache } = require('./lib/tiered-cache');
+const { ArchiveStore } = require('./lib/archive-store');
+const { Gazetteer } = require('./lib/gazetteer');
+const { CityRegistry } = require('./lib/cities');
+const { COVERAGE_DESCRIPTION, isAreaCovered } = require('./lib/coverage');
+const { ApiError, toApiError, errorBody } = require('./lib/api-errors');
+const { RateLimiter } = require('./lib/rate-limiter');
+const { ApiKeyStore } = require('./lib/api-keys');
+const { buildOpenApiSpec } = require('./lib/openapi');
+const { createRequestValidator, findUndocumented } = require('./lib/request-validator');
+const { version: APP_VERSION } = require('./package.json');
+const {
+  parsePolygon, formatPolyParam, parseBounds, boundsAreaKm2, boundsToPolygon, tileBounds, countTiles,
+  pointInBounds, polygonBounds, quadrants, clipPolygonToBounds, distanceKm
+} = require('./lib/geo');
+const { mapSettled } = require('./lib/concurrency');
+const { formatCsvRow } = require('./lib/csv');
+const { crimesToFeatureCollection } = require('./lib/geojson');
+const { projectCrime, queryFingerprint, encodeCursor, decodeCursor } = require('./lib/crime-query');
+const { isValidMonth, addMonths, monthRange } = require('./lib/months');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const ADSENSE_CLIENT = (process.env.ADSENSE_CLIENT || 'ca-pub-3968743526469768').trim();
 const ADSENSE_HOME_SLOT = (process.env.ADSENSE_HOME_SLOT || '').trim();
+// Point at a local stand-in for tests/staging, e.g. POLICE_API_BASE_URL=http://localhost:4010/api
+const POLICE_API_BASE_URL = (process.env.POLICE_API_BASE_URL || 'https://data.police.uk/api').trim();
 
+const policeApi = new PoliceApiClient({
+  baseUrl: POLICE_API_BASE_URL,
+  retries: parseInt(process.env.POLICE_API_RETRIES || '3', 10)
+});
+
+// Street-crime responses: published months never change, so they are kept indefinitely;
+// the latest month can still be revised upstream and gets a TTL.
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, 'data', 'cache');
+const CURRENT_MONTH_TTL = 6 * 60 * 60 * 1000; // 6 hours
+const CACHE_COORD_PRECISION = 3;               // ~110m grid
+const crimeCache = new TieredCache({
+  dir: process.env.CACHE_DISABLE_DISK === '1' ? null : path.join(CACHE_DIR, 'crimes'),
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '500', 10)
+});
+// Neighbourhood and force reference data: changes occasionally, so everything has a TTL
+const referenceCache = new TieredCache({
+  dir: process.env.CACHE_DISABLE_DISK === '1' ? null : path.join(CACHE_DIR, 'reference'),
+  maxEntries: 1000
+});
+const REFERENCE_TTL = 24 * 60 * 60 * 1000;       // 1 day (team, contacts, boundaries)
+const PRIORITIES_TTL = 6 * 60 * 60 * 1000;       // 6 hours (priorities, events)
+
+// Per-area monthly totals for range queries: tiny, so the memory tier can hold far more
+const summaryCache = new TieredCache({
+  dir: process.env.CACHE_DISABLE_DISK === '1' ? null : path.join(CACHE_DIR, 'summaries'),
+  maxEntries: 5000
+});
 
 
+// Street crimes imported from the monthly archives (npm run import-archive). Answers months
+// that have dropped out of the live API, and any imported month the area is covered for.
+const archiveStore = new ArchiveStore({
+  dir: process.env.ARCHIVE_DIR || path.join(__dirname, 'data', 'archive')
+});
+
+// Per-client request budgets for /api (tokens: burst size, refilled at perMinute).
+// Upstream-backed routes get the tightest budgets; viewport and range requests fan out
+// into several upstream calls each. Anonymous clients (our own pages, mostly) are told by
+// IP, so `trust proxy` below must match the number of proxies in front of us or everyone
+// shares the proxy's budget. Requests with an API key get their own, larger buckets.
+// RATE_LIMIT_DISABLE=1 turns limiting off (load tests, trusted deployments).
+const RATE_LIMITS_ENABLED = process.env.RATE_LIMIT_DISABLE !== '1';
+const RATE_LIMIT_MAX_CLIENTS = parseInt(process.env.RATE_LIMIT_MAX_CLIENTS || '10000', 10);
+const apiLimiter = new RateLimiter({
+  crimes: { capacity: 20, perMinute: 20 },     // /crimes (and its exports), /stops, /outcomes
+  viewport: { capacity: 20, perMinute: 20 },   // /crimes/viewport and /crimes/range
+  details: { capacity: 60, perMinute: 60 },    // /outcomes/:id, /crimes/no-location (map popups and notes)
+  reference: { capacity: 60, perMinute: 60 },  // neighbourhoods, forces, dates
+  search: { capacity: 120, perMinute: 120 },   // geocode, reverse, search (local, typed as you go)
+  contact: { capacity: 5, perMinute: 1 }
+}, { maxClients: RATE_LIMIT_MAX_CLIENTS });
+const keyLimiter = new RateLimiter({
+  crimes: { capacity: 120, perMinute: 120 },
+  viewport: { capacity: 60, perMinute: 60 },
+  details: { capacity: 240, perMinute: 240 },
+  reference: { capacity: 240, perMinute: 240 },
+  search: { capacity: 240, perMinute: 240 },
+  contact: { capacity: 5, perMinute: 1 }
+}, { maxClients: RATE_LIMIT_MAX_CLIENTS });
+
+// Partner API keys (npm run api-keys), sent as X-API-Key. Keys are optional: without one a
+// request is anonymous. ADMIN_TOKEN enables GET /api/admin/usage.
+const apiKeys = new ApiKeyStore({
+  dir: process.env.API_KEYS_DIR || path.join(__dirname, 'data', 'keys')
+});
+const ADMIN_TOKEN = (process.env.ADMIN_TOKEN || '').trim();
+
 // If you're behind a proxy/CDN (Render/Heroku/Nginx), this makes req.protocol honor X-Forwarded-Proto
-app.set('trust proxy', 1);
+// and req.ip the client's address. TRUST_PROXY takes a hop count, true/false or a list of
+// proxy addresses/subnets, as Express's `trust proxy` does; the default trusts one hop.
+function parseTrustProxy(value) {
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+}
+app.set('trust proxy', parseTrustProxy((process.env.TRUST_PROXY || '1').trim()));
 
 // -------------------- Middleware --------------------
+// Every request gets an id, echoed in X-Request-Id and in API error bodies. A well-formed
+// id from an upstream proxy is kept so logs can be matched across hops.
+const REQUEST_ID_PATTERN = /^[\w-]{8,64}$/;
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+});
+
+// /api/v1/... is the versioned path of the API; /api/... stays as its alias, so both reach
+// the same routes. Rewritten before routing, so nothing downstream sees the version.
+app.use((req, res, next) => {
+  if (req.url.startsWith('/api/v1/')) req.url = `/api${req.url.slice('/api/v1'.length)}`;
+  next();
+});
+
 app.use(helmet({
   contentSecurityPolicy: false, // allow inline scripts/styles while developing
 }));
@@ -27,6 +139,8 @@ app.use(express.urlencoded({ extended: true }));
 
 // Static + views
 app.use(express.static('public'));
+// The map builds its GeoJSON export with the same code as the API
+app.get('/js/geojson.js', (req, res) => res.sendFile(path.join(__dirname, 'lib', 'geojson.js')));
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
@@ -37,6 +151,7 @@ app.use((req, res, next) => {
   if (p === '/') page = 'index';
   else if (p.startsWith('/cities')) page = 'cities';
   else if (p.startsWith('/city')) page = 'city';
+  else if (p.startsWith('/force')) page = 'force';
   else if (p.startsWith('/about')) page = 'about';
   else if (p.startsWith('/privacy')) page = 'privacy';
   else if (p.startsWith('/terms')) page = 'terms';
@@ -49,44 +164,70 @@ app.use((req, res, next) => {
 });
 
 // -------------------- Data --------------------
-// Hoisted city database so multiple routes (and sitemap) can use it.
-const cityData = {
-  london: { name: 'London', lat: 51.5074, lng: -0.1278, region: 'Greater London' },
-  manchester: { name: 'Manchester', lat: 53.4808, lng: -2.2426, region: 'Greater Manchester' },
-  birmingham: { name: 'Birmingham', lat: 52.4862, lng: -1.8904, region: 'West Midlands' },
-  leeds: { name: 'Leeds', lat: 53.8008, lng: -1.5491, region: 'West Yorkshire' },
-  liverpool: { name: 'Liverpool', lat: 53.4084, lng: -2.9916, region: 'Merseyside' },
-  sheffield: { name: 'Sheffield', lat: 53.3811, lng: -1.4701, region: 'South Yorkshire' },
-  bristol: { name: 'Bristol', lat: 51.4545, lng: -2.5879, region: 'South West' },
-  newcastle: { name: 'Newcastle', lat: 54.9783, lng: -1.6178, region: 'Tyne and Wear' },
-  nottingham: { name: 'Nottingham', lat: 52.9548, lng: -1.1581, region: 'East Midlands' },
-  plymouth: { name: 'Plymouth', lat: 50.3755, lng: -4.1427, region: 'Devon' },
-  southampton: { name: 'Southampton', lat: 50.9097, lng: -1.4044, region: 'Hampshire' },
-  portsmouth: { name: 'Portsmouth', lat: 50.8198, lng: -1.0880, region: 'Hampshire' },
-  leicester: { name: 'Leicester', lat: 52.6369, lng: -1.1398, region: 'Leicestershire' },
-  coventry: { name: 'Coventry', lat: 52.4068, lng: -1.5197, region: 'West Midlands' },
-  cardiff: { name: 'Cardiff', lat: 51.4816, lng: -3.1791, region: 'Wales' },
-  swansea: { name: 'Swansea', lat: 51.6214, lng: -3.9436, region: 'Wales' },
-  bradford: { name: 'Bradford', lat: 53.7960, lng: -1.7594, region: 'West Yorkshire' },
-  brighton: { name: 'Brighton & Hove', lat: 50.8225, lng: -0.1372, region: 'East Sussex' },
-  oxford: { name: 'Oxford', lat: 51.7520, lng: -1.2577, region: 'Oxfordshire' },
-  cambridge: { name: 'Cambridge', lat: 52.2053, lng: 0.1218, region: 'Cambridgeshire' },
-  exeter: { name: 'Exeter', lat: 50.7256, lng: -3.5269, region: 'Devon' },
-  york: { name: 'York', lat: 53.9600, lng: -1.0873, region: 'North Yorkshire' },
-  bath: { name: 'Bath', lat: 51.3811, lng: -2.3590, region: 'Somerset' },
-  norwich: { name: 'Norwich', lat: 52.6309, lng: 1.2974, region: 'Norfolk' },
-  reading: { name: 'Reading', lat: 51.4543, lng: -0.9781, region: 'Berkshire' },
-  derby: { name: 'Derby', lat: 52.9226, lng: -1.4746, region: 'Derbyshire' },
-  stoke: { name: 'Stoke-on-Trent', lat: 53.0027, lng: -2.1794, region: 'Staffordshire' },
-  wolverhampton: { name: 'Wolverhampton', lat: 52.5865, lng: -2.1288, region: 'West Midlands' },
-  'milton-keynes': { name: 'Milton Keynes', lat: 52.0406, lng: -0.7594, region: 'Buckinghamshire' },
-  newport: { name: 'Newport', lat: 51.5842, lng: -2.9977, region: 'Wales' }
-};
-const citySlugs = Object.keys(cityData);
+// City registry shared by the city pages, the sitemap and place search. Populations are
+// rounded local authority estimates, used to rank search results.
+const cities = CityRegistry.fromFile(process.env.CITIES_FILE || path.join(__dirname, 'data', 'cities.json'));
+
+// Place names and postcodes for /api/geocode (npm run import-gazetteer). Our own cities are
+// built in, so place search still works before anything has been imported.
+const gazetteer = new Gazetteer({
+  dir: process.env.GAZETTEER_DIR || path.join(__dirname, 'data', 'gazetteer'),
+  places: cities.all()
+    .map(({ name, lat, lng, region, population }) => ({ name, type: 'city', lat, lng, area: region, population }))
+});
+
+// Viewport queries are split into grid tiles of roughly 2.8 x 2.7 km (a little smaller
+// than upstream's one-mile radius) and fetched a few at a time to respect rate limits.
+const VIEWPORT_TILE_LAT = 0.025;
+const VIEWPORT_TILE_LNG = 0.04;
+const VIEWPORT_MAX_AREA_KM2 = 250;
+const VIEWPORT_MAX_TILES = 48;
+const UPSTREAM_CONCURRENCY = 4;
+
+// data.police.uk answers 503 when a custom area holds more than 10,000 crimes. Such
+// areas are split into quadrants and retried, with a budget of extra calls for each area
+// and month. Only a 503 means too many crimes: any other failure of a quadrant is taken as
+// an outage, and the other areas of the same client request stop splitting.
+const AREA_SPLIT_MAX_DEPTH = 3;
+const AREA_SPLIT_MAX_REQUESTS = 20; // the four quadrants, then each of them in four again
+const POLY_RETRY_STATUS = new Set([...RETRYABLE_STATUS].filter(status => status !== 503));
+
+// Outcomes for an individual crime keep changing as cases progress
+const OUTCOME_HISTORY_TTL = 12 * 60 * 60 * 1000; // 12 hours
+const FORCE_ID_PATTERN = /^[a-z0-9-]{2,60}$/;
+
+// Range queries: how many months a single request may span, and the default span
+const RANGE_MAX_MONTHS = 24;
+const RANGE_DEFAULT_MONTHS = 9;
+
+// Search suggestions; the client starts asking at the same length
+const SEARCH_MIN_LENGTH = 2;
+const SEARCH_DEFAULT_LIMIT = 8;
+const SEARCH_MAX_LIMIT = 20;
+
+// Pages of crimes (?limit=&cursor= on /api/crimes)
+const CRIMES_PAGE_DEFAULT = 500;
+const CRIMES_PAGE_MAX = 10000;
+
+// The API description (/api/openapi.json) doubles as the request schema for every API route
+const openApiSpec = buildOpenApiSpec({
+  version: APP_VERSION,
+  rangeMaxMonths: RANGE_MAX_MONTHS,
+  rangeDefaultMonths: RANGE_DEFAULT_MONTHS,
+  searchMinLength: SEARCH_MIN_LENGTH,
+  searchDefaultLimit: SEARCH_DEFAULT_LIMIT,
+  searchMaxLimit: SEARCH_MAX_LIMIT,
+  viewportMaxAreaKm2: VIEWPORT_MAX_AREA_KM2,
+  crimesPageDefault: CRIMES_PAGE_DEFAULT,
+  crimesPageMax: CRIMES_PAGE_MAX
+});
+const validateRequest = createRequestValidator(openApiSpec);
 
 // Dates cache (for latest available month)
 let datesCache = {
   data: null,         // 'YYYY-MM'
+  months: null,       // every published month, newest first
+  stopForces: null,   // month -> forces publishing stop and search for it
   timestamp: null,
   ttl: 60 * 60 * 1000 // 1 hour
 };
@@ -98,11 +239,15 @@ async function getAvailableDates() {
     return datesCache.data;
   }
   try {
-    const response = await fetch('https://data.police.uk/api/crimes-street-dates', { timeout: 10000 });
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    const dates = await response.json();
+    const dates = await policeApi.get('crimes-street-dates', {}, { timeout: 10000 });
     const latestDate = (dates && dates.length > 0) ? dates[0].date : '2025-06';
-    datesCache = { data: latestDate, timestamp: now, ttl: datesCache.ttl };
+    datesCache = {
+      data: latestDate,
+      months: (dates || []).map(d => d.date),
+      stopForces: Object.fromEntries((dates || []).map(d => [d.date, d['stop-and-search'] || []])),
+      timestamp: now,
+      ttl: datesCache.ttl
+    };
     console.log(`📅 Updated dates cache: ${latestDate}`);
     return latestDate;
   } catch (err) {
@@ -111,6 +256,12 @@ async function getAvailableDates() {
   }
 }
 
+// Every month data.police.uk currently publishes, newest first (null if unknown)
+async function getAvailableMonths() {
+  await getAvailableDates();
+  return datesCache.months;
+}
+
 function validateCoordinates(lat, lng) {
   const latitude = parseFloat(lat);
   const longitude = parseFloat(lng);
@@ -122,6 +273,349 @@ function validateCoordinates(lat, lng) {
   return { valid: true, lat: latitude, lng: longitude };
 }
 
+// Resolve ?poly= (preferred) or ?lat=&lng= into an area for getStreetCrimes
+function parseAreaQuery({ lat, lng, poly }) {
+  if (poly !== undefined) {
+    const polygon = parsePolygon(poly);
+    if (!polygon.valid) return polygon;
+    return {
+      valid: true,
+      area: { poly: polygon.points },
+      location: `polygon (${polygon.points.length} vertices, ${polygon.areaKm2.toFixed(2)} km²)`
+    };
+  }
+  const validation = validateCoordinates(lat, lng);
+  if (!validation.valid) return validation;
+  return {
+    valid: true,
+    area: { lat: validation.lat, lng: validation.lng },
+    location: `${validation.lat}, ${validation.lng}`
+  };
+}
+
+// Reject areas data.police.uk has no street-level data for (Scotland, abroad, out at sea)
+function assertCovered(area) {
+  if (!isAreaCovered(area)) {
+    throw new ApiError('OUTSIDE_COVERAGE',
+      `Street-level crime data only covers ${COVERAGE_DESCRIPTION}; this location is outside it`);
+  }
+}
+
+// ?date= for crime queries: omitted means the latest month; otherwise it must be a
+// well-formed month that upstream publishes or the archive holds
+async function resolveCrimeDate(date) {
+  if (date === undefined || date === '') return getAvailableDates();
+  if (!isValidMonth(date)) {
+    throw new ApiError('INVALID_DATE', `date must be a month in YYYY-MM format (got "${String(date).slice(0, 20)}")`);
+  }
+  const months = await getQueryableMonths();
+  if (months && months.length > 0 && !months.includes(date)) {
+    throw new ApiError('DATE_UNAVAILABLE',
+      `No crime data is available for ${date}; available months run from ${months[months.length - 1]} to ${months[0]}`);
+  }
+  return date;
+}
+
+// The area, month and category filter of a crime query (?lat=&lng= or ?poly=, ?date=,
+// ?category=), shared by /api/crimes and its exports. Throws ApiError.
+async function resolveCrimeQuery(query) {
+  const { lat = '51.5074', lng = '-0.1278', poly, date } = query;
+  const target = parseAreaQuery({ lat, lng, poly });
+  if (!target.valid) {
+    throw new ApiError('INVALID_LOCATION', target.error);
+  }
+  assertCovered(target.area);
+  const queryDate = await resolveCrimeDate(date);
+  return { area: target.area, location: target.location, date: queryDate, only: parseCategoryFilter(query.category) };
+}
+
+// ?category= for crime queries: a set of category slugs, or null for every category
+function parseCategoryFilter(category) {
+  if (!category) return null;
+  const slugs = category.split(',').map(slug => slug.trim()).filter(slug => slug && slug !== 'all-crime');
+  return slugs.length > 0 ? new Set(slugs) : null;
+}
+
+// Resolves once a streamed response can take more, or the client has gone
+function drained(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Answer an /api request with the error envelope (lib/api-errors.js)
+function sendApiError(req, res, err, context, options) {
+  const apiError = toApiError(err, context, options);
+  if (apiError.status >= 500) {
+    console.error(`❌ ${req.method} ${req.path} [${req.id}] ${apiError.code}:`, (apiError.cause || apiError).message);
+  }
+  if (apiError.retryable) res.set('Retry-After', String(apiError.retryAfter));
+  res.status(apiError.status).json(errorBody(apiError, req.id));
+}
+
+// Middleware: spend one token from the caller's `budget` (per API key, or per IP for
+// anonymous requests), or answer 429 RATE_LIMITED. A request with an API key that gets
+// past the limiter is then charged to the key's daily quota, so requests for routes that
+// do not exist or that are rate limited never count against it.
+function rateLimit(budget) {
+  return (req, res, next) => {
+    if (RATE_LIMITS_ENABLED) {
+      const client = req.apiKey ? `key ${req.apiKey.id}` : req.ip;
+      const result = req.apiKey ? keyLimiter.take(budget, req.apiKey.id) : apiLimiter.take(budget, req.ip);
+      res.set('RateLimit-Limit', String(result.limit));
+      res.set('RateLimit-Remaining', String(result.remaining));
+      if (!result.allowed) {
+        console.warn(`🚦 Rate limited ${client} on ${budget} (${req.method} ${req.path})`);
+        return sendApiError(req, res, new ApiError('RATE_LIMITED',
+          `Too many requests. Please wait ${result.retryAfter} seconds and try again.`,
+          { retryAfter: result.retryAfter }));
+      }
+    }
+    if (req.apiKey && !checkQuota(req, res, apiKeys.recordUse(req.apiKey))) return;
+    next();
+  };
+}
+
+// Report a key's daily quota in the response headers, and answer 429 QUOTA_EXCEEDED
+// (returning false) once it is used up
+function checkQuota(req, res, quota) {
+  if (quota.quota > 0) {
+    res.set('X-Quota-Limit', String(quota.quota));
+    res.set('X-Quota-Remaining', String(Math.max(0, quota.quota - quota.used)));
+  }
+  if (quota.allowed) return true;
+  const record = req.apiKey;
+  console.warn(`🚦 Daily quota used up for key ${record.id} (${record.name})`);
+  sendApiError(req, res, new ApiError('QUOTA_EXCEEDED',
+    `This API key has used its ${quota.quota} requests for today (UTC)`, { retryAfter: quota.resetsIn }));
+  return false;
+}
+
+// Middleware for /api: identify the caller by X-API-Key. No key means an anonymous
+// request; a key that is wrong, revoked or used from an origin it is not issued for is
+// refused rather than quietly treated as anonymous, and one whose daily quota is used up
+// is refused here too. The quota is charged later, by rateLimit.
+function identifyClient(req, res, next) {
+  const key = req.get('X-API-Key');
+  if (!key) return next();
+
+  const record = apiKeys.authenticate(key);
+  if (!record) {
+    return sendApiError(req, res, new ApiError('INVALID_API_KEY', 'This API key is not valid or has been revoked'));
+  }
+  const origin = req.get('Origin');
+  if (!apiKeys.isOriginAllowed(record, origin)) {
+    return sendApiError(req, res, new ApiError('ORIGIN_NOT_ALLOWED', `This API key cannot be used from ${origin}`));
+  }
+
+  req.apiKey = record;
+  if (!checkQuota(req, res, apiKeys.checkQuota(record))) return;
+  next();
+}
+
+// Middleware for admin routes: Authorization: Bearer <ADMIN_TOKEN>. Without ADMIN_TOKEN
+// set the admin routes do not exist.
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return sendApiError(req, res, new ApiError('ROUTE_NOT_FOUND', `No API route for ${req.method} ${req.path}`));
+  }
+  const presented = crypto.createHash('sha256').update(String(req.get('Authorization') || '')).digest();
+  const expected = crypto.createHash('sha256').update(`Bearer ${ADMIN_TOKEN}`).digest();
+  if (!crypto.timingSafeEqual(presented, expected)) {
+    return sendApiError(req, res, new ApiError('UNAUTHORIZED', 'Admin routes need Authorization: Bearer <ADMIN_TOKEN>'));
+  }
+  next();
+}
+
+function roundCoord(value) {
+  return Number(value.toFixed(CACHE_COORD_PRECISION));
+}
+
+// Street crimes for one month within an area, from the local archive when it holds that
+// month for the area, otherwise from the tiered cache or upstream.
+// `area` is either { lat, lng } (upstream's one-mile radius) or { poly: [[lat, lng], ...] }.
+// Coordinates are rounded before the upstream call so the cache key matches what was fetched.
+// Callers querying several areas for one client request pass them all the same splitContext.
+async function getStreetCrimes(area, date, splitContext = createSplitContext()) {
+  if (await useArchive(date)) {
+    return { crimes: await archiveStore.query(area, date), cacheHit: false, source: 'archive' };
+  }
+
+  const query = area.poly
+    ? { poly: formatPolyParam(area.poly) }
+    : { lat: roundCoord(area.lat), lng: roundCoord(area.lng) };
+  const key = area.poly
+    ? `crimes-street:poly:${query.poly}:${date}`
+    : `crimes-street:${query.lat}:${query.lng}:${date}`;
+
+  const cached = await crimeCache.get(key);
+  if (cached !== undefined) return { crimes: cached, cacheHit: true, source: 'live' };
+
+  const crimes = area.poly
+    ? await getPolygonCrimes(area.poly, date, splitContext)
+    : await policeApi.get('crimes-street/all-crime', { ...query, date });
+  await crimeCache.set(key, crimes, { ttl: await cacheTtlFor(date) });
+  return { crimes, cacheHit: false, source: 'live' };
+}
+
+// Months upstream no longer serves always come from the archive. Months it still serves
+// only do once every force upstream publishes for that month has been imported, since an
+// archive month may hold just some forces. `kind` is 'street' or 'stops'.
+async function useArchive(date, kind = 'street') {
+  const imported = kind === 'stops' ? await archiveStore.hasStopsMonth(date) : await archiveStore.hasMonth(date);
+  if (!imported) return false;
+  const published = await getAvailableMonths();
+  if (published && !published.includes(date)) return true;
+  const forces = kind === 'stops'
+    ? datesCache.stopForces?.[date] || []
+    : await getReference('forces').then(list => list.map(force => force.id), () => []);
+  return archiveStore.covers(date, forces, kind);
+}
+
+// Force-wide street crime figures for `date`, or the newest imported month before it.
+// Upstream has no street-level totals by force, so these only come from the archive.
+async function getForceSummary(force, date) {
+  const month = (await archiveStore.forceMonths(force)).find(m => m <= date);
+  return month ? { month, ...await archiveStore.forceSummary(force, month) } : null;
+}
+
+// Months we can answer for, newest first: upstream's plus any only held in the archive
+async function getQueryableMonths() {
+  const [published, archived] = await Promise.all([getAvailableMonths(), archiveStore.months()]);
+  if (!published) return null;
+  return [...new Set([...published, ...archived])].sort().reverse();
+}
+
+// Published months are immutable; only the latest month expires
+async function cacheTtlFor(date) {
+  const latest = await getAvailableDates();
+  return date === latest ? CURRENT_MONTH_TTL : null;
+}
+
+function areaCacheKey(area) {
+  return area.poly
+    ? `poly:${formatPolyParam(area.poly)}`
+    : `${roundCoord(area.lat)}:${roundCoord(area.lng)}`;
+}
+
+// Total and per-category counts for one area and month
+async function getMonthlySummary(area, date, splitContext) {
+  const key = `summary:${areaCacheKey(area)}:${date}`;
+  const cached = await summaryCache.get(key);
+  if (cached !== undefined) return cached;
+
+  const { crimes } = await getStreetCrimes(area, date, splitContext);
+  const summary = { total: crimes.length, categories: processCrimeCategories(crimes) };
+  await summaryCache.set(key, summary, { ttl: await cacheTtlFor(date) });
+  return summary;
+}
+
+// What the areas of one client request share while splitting: the first outage seen
+function createSplitContext() {
+  return { outage: null };
+}
+
+function areaTooLargeError() {
+  return new PoliceApiError('UK Police API error: area still too large after splitting', { status: 503 });
+}
+
+// Query a polygon upstream, splitting it into quadrants when upstream says it is too large
+async function getPolygonCrimes(points, date, splitContext) {
+  try {
+    return await queryPolygon(points, date);
+  } catch (err) {
+    if (err.status !== 503) throw err;
+    if (splitContext.outage) throw splitContext.outage;
+  }
+  console.log('✂️ Area too large for upstream, splitting into quadrants');
+  return splitPolygon(points, date, { remaining: AREA_SPLIT_MAX_REQUESTS, context: splitContext }, 1);
+}
+
+function queryPolygon(points, date) {
+  return policeApi.get('crimes-street/all-crime', { poly: formatPolyParam(points), date }, { retryOn: POLY_RETRY_STATUS });
+}
+
+// Query the quadrants of a polygon upstream already refused, splitting again those that
+// are still too large. `budget` counts the calls left for this area.
+async function splitPolygon(points, date, budget, depth) {
+  if (budget.context.outage) throw budget.context.outage;
+  const parts = quadrants(polygonBounds(points))
+    .map(q => clipPolygonToBounds(points, q))
+    .filter(part => part.length >= 3);
+  if (depth > AREA_SPLIT_MAX_DEPTH || parts.length > budget.remaining) throw areaTooLargeError();
+  budget.remaining -= parts.length;
+
+  const results = await mapSettled(parts, UPSTREAM_CONCURRENCY, part => queryPolygon(part, date));
+  const outage = results.find(r => r.status === 'rejected' && r.reason.status !== 503);
+  if (outage) {
+    // Anything but upstream's too-many-crimes 503 is upstream failing, so stop splitting
+    budget.context.outage = budget.context.outage || outage.reason;
+    throw outage.reason;
+  }
+
+  const settled = await mapSettled(results, UPSTREAM_CONCURRENCY, (result, i) => {
+    if (result.status === 'fulfilled') return result.value;
+    return splitPolygon(parts[i], date, budget, depth + 1);
+  });
+  const failed = settled.find(r => r.status === 'rejected');
+  if (failed) throw failed.reason;
+  // Crimes sitting exactly on a split line can come back from both sides
+  return mergeCrimes(settled.map(r => r.value));
+}
+
+// Merge crime lists from overlapping queries, keeping the first copy of each crime id
+function mergeCrimes(lists) {
+  const seen = new Set();
+  const merged = [];
+  lists.forEach(list => (list || []).forEach(crime => {
+    if (crime.id !== undefined && seen.has(crime.id)) return;
+    if (crime.id !== undefined) seen.add(crime.id);
+    merged.push(crime);
+  }));
+  return merged;
+}
+
+// Crimes within the viewport in ?north=&south=&east=&west=, fetched as polygon tiles
+// that share one split context. Edge tiles reach past the viewport, so only crimes inside
+// it are kept. Returns { bounds, location, date, crimes, tiles, failed }, with the errors
+// of tiles that did not load in `failed`; throws when the viewport is too large or every
+// tile failed.
+async function getViewportCrimes(query) {
+  const parsed = parseBounds(query);
+  if (!parsed.valid) {
+    throw new ApiError('INVALID_LOCATION', parsed.error);
+  }
+  const { bounds } = parsed;
+  // Sized before any tiles are built: a continent-sized box would be millions of them
+  const areaKm2 = boundsAreaKm2(bounds);
+  if (areaKm2 > VIEWPORT_MAX_AREA_KM2 || countTiles(bounds, VIEWPORT_TILE_LAT, VIEWPORT_TILE_LNG) > VIEWPORT_MAX_TILES) {
+    throw new ApiError('VIEWPORT_TOO_LARGE',
+      `Area too large (${areaKm2.toFixed(0)} km²). Zoom in to view crimes for up to ${VIEWPORT_MAX_AREA_KM2} km².`);
+  }
+  const tiles = tileBounds(bounds, VIEWPORT_TILE_LAT, VIEWPORT_TILE_LNG);
+
+  const queryDate = await resolveCrimeDate(query.date);
+  const splitContext = createSplitContext();
+  const results = await mapSettled(tiles, UPSTREAM_CONCURRENCY,
+    tile => getStreetCrimes({ poly: boundsToPolygon(tile) }, queryDate, splitContext));
+
+  const failed = results.filter(r => r.status === 'rejected').map(r => r.reason);
+  if (failed.length === results.length) throw failed[0];
+  failed.forEach(err => console.error('❌ Viewport tile failed:', err.message));
+
+  const crimes = mergeCrimes(results.filter(r => r.status === 'fulfilled').map(r => r.value.crimes))
+    .filter(c => pointInBounds(parseFloat(c.location?.latitude), parseFloat(c.location?.longitude), bounds));
+  console.log(`✅ Viewport: ${crimes.length} crimes from ${tiles.length} tiles (${queryDate})`);
+  const location = `${bounds.south}, ${bounds.west} to ${bounds.north}, ${bounds.east}`;
+  return { bounds, location, date: queryDate, crimes, tiles: tiles.length, failed };
+}
+
 function calculateBounds(crimes) {
   if (!Array.isArray(crimes) || crimes.length === 0) return null;
   const points = crimes.filter(c => c?.location?.latitude && c?.location?.longitude);
@@ -140,6 +634,170 @@ function processCrimeCategories(crimes) {
   return categories;
 }
 
+// Police API free-text fields (priorities, bios, event descriptions) contain HTML
+function stripHtml(value) {
+  if (!value) return '';
+  return String(value)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;|&apos;/g, "'")
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// GET a reference resource through referenceCache
+async function getReference(pathname, query = {}, ttl = REFERENCE_TTL) {
+  const key = `${pathname}?${new URLSearchParams(query)}`;
+  const cached = await referenceCache.get(key);
+  if (cached !== undefined) return cached;
+  const value = await policeApi.get(pathname, query);
+  await referenceCache.set(key, value, { ttl });
+  return value;
+}
+
+// Team, priorities and events for one neighbourhood. Parts that fail upstream come back
+// empty rather than sinking the whole profile.
+async function getNeighbourhoodProfile(force, id) {
+  const base = `${encodeURIComponent(force)}/${encodeURIComponent(id)}`;
+  const [details, people, priorities, events] = await Promise.allSettled([
+    getReference(base),
+    getReference(`${base}/people`),
+    getReference(`${base}/priorities`, {}, PRIORITIES_TTL),
+    getReference(`${base}/events`, {}, PRIORITIES_TTL)
+  ]);
+  if (details.status === 'rejected') throw details.reason;
+
+  const value = (result) => (result.status === 'fulfilled' && Array.isArray(result.value) ? result.value : []);
+  const info = details.value || {};
+  const now = new Date().toISOString();
+
+  return {
+    force,
+    id,
+    name: info.name || id,
+    description: stripHtml(info.description),
+    url: info.url_force || null,
+    population: info.population || null,
+    contact: info.contact_details || {},
+    centre: info.centre || null,
+    team: value(people).map(p => ({
+      name: p.name,
+      rank: p.rank,
+      bio: stripHtml(p.bio),
+      contact: p.contact_details || {}
+    })),
+    priorities: value(priorities).map(p => ({
+      issue: stripHtml(p.issue),
+      issueDate: p['issue-date'] || null,
+      action: stripHtml(p.action),
+      actionDate: p['action-date'] || null
+    })),
+    // Only events that have not finished yet, soonest first
+    events: value(events)
+      .filter(e => !e.end_date || e.end_date >= now.slice(0, 19))
+      .sort((a, b) => String(a.start_date).localeCompare(String(b.start_date)))
+      .map(e => ({
+        title: e.title,
+        type: e.type,
+        description: stripHtml(e.description),
+        address: e.address,
+        start: e.start_date,
+        end: e.end_date,
+        contact: e.contact_details || {}
+      }))
+  };
+}
+
+// Force details, senior officers and neighbourhood list
+async function getForceProfile(id) {
+  const [details, people, neighbourhoods] = await Promise.allSettled([
+    getReference(`forces/${encodeURIComponent(id)}`),
+    getReference(`forces/${encodeURIComponent(id)}/people`),
+    getReference(`${encodeURIComponent(id)}/neighbourhoods`)
+  ]);
+  if (details.status === 'rejected') throw details.reason;
+
+  const value = (result) => (result.status === 'fulfilled' && Array.isArray(result.value) ? result.value : []);
+  const info = details.value || {};
+  return {
+    id: info.id || id,
+    name: info.name || id,
+    url: info.url || null,
+    telephone: info.telephone || null,
+    description: stripHtml(info.description),
+    engagementMethods: (info.engagement_methods || []).map(m => ({
+      type: m.type,
+      title: m.title,
+      url: m.url,
+      description: stripHtml(m.description)
+    })),
+    seniorOfficers: value(people).map(p => ({
+      name: p.name,
+      rank: p.rank,
+      bio: stripHtml(p.bio),
+      contact: p.contact_details || {}
+    })),
+    neighbourhoods: value(neighbourhoods)
+      .map(n => ({ id: n.id, name: n.name }))
+      .sort((a, b) => String(a.name).localeCompare(String(b.name)))
+  };
+}
+
+// City page link and coverage for a gazetteer hit that is one of our cities
+// (covered: null when we cannot tell, i.e. anywhere else)
+function cityLink(hit) {
+  const city = hit.type === 'city' ? cities.findByName(hit.name) : null;
+  return city
+    ? { url: `/city/${city.slug}`, covered: cities.isCovered(city) }
+    : { url: null, covered: null };
+}
+
+// Which force polices a point (null outside any force, e.g. Scotland)
+async function getForceAt(lat, lng) {
+  try {
+    const located = await getReference('locate-neighbourhood', { q: `${roundCoord(lat)},${roundCoord(lng)}` });
+    return located.force || null;
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+// Crimes the force recorded in a month that could not be placed on the map
+async function getNoLocationCrimes(force, date, category = 'all-crime') {
+  const key = `crimes-no-location:${force}:${category}:${date}`;
+  const cached = await crimeCache.get(key);
+  if (cached !== undefined) return cached;
+  const crimes = await policeApi.get('crimes-no-location', { category, force, date });
+  await crimeCache.set(key, crimes, { ttl: await cacheTtlFor(date) });
+  return crimes;
+}
+
+function countBy(items, keyFn) {
+  const counts = {};
+  (items || []).forEach(item => {
+    const k = keyFn(item) || 'Not stated';
+    counts[k] = (counts[k] || 0) + 1;
+  });
+  return counts;
+}
+
+function summariseStops(stops) {
+  return {
+    objectOfSearch: countBy(stops, s => s.object_of_search),
+    outcome: countBy(stops, s => s.outcome_object?.name || s.outcome || 'Unknown'),
+    ageRange: countBy(stops, s => s.age_range),
+    legislation: countBy(stops, s => s.legislation),
+    type: countBy(stops, s => s.type)
+  };
+}
+
 // -------------------- Page Routes --------------------
 app.get('/', async (req, res) => {
   try {
@@ -160,7 +818,11 @@ app.get('/', async (req, res) => {
 
 app.get('/cities', (req, res) => {
   try {
-    res.render('cities', { title: 'Browse by City - CrimeSpotter UK', cities: cityData });
+    res.render('cities', {
+      title: 'Browse by City - CrimeSpotter UK',
+      featured: cities.all().filter(city => city.featured),
+      countries: cities.byCountry()
+    });
   } catch (err) {
     console.error('Cities render error:', err);
     res.status(500).render('error', { title: 'Error - CrimeSpotter UK', error: 'Unable to load cities page' });
@@ -170,12 +832,24 @@ app.get('/cities', (req, res) => {
 app.get('/city/:cityname', async (req, res) => {
   try {
     const slug = (req.params.cityname || '').toLowerCase();
-    const city = cityData[slug];
+    const city = cities.get(slug);
     if (!city) {
       return res.status(404).render('error', { title: '404 - CrimeSpotter UK', error: 'City not found' });
     }
+    if (!cities.isCovered(city)) {
+      return res.render('city-not-covered', {
+        title: `${city.name} - Not Covered - CrimeSpotter UK`,
+        city,
+        nearby: cities.all()
+          .filter(other => cities.isCovered(other))
+          .map(other => ({ ...other, distanceKm: distanceKm(city.lat, city.lng, other.lat, other.lng) }))
+          .sort((a, b) => a.distanceKm - b.distanceKm)
+          .slice(0, 3)
+      });
+    }
     res.render('city', {
       title: `${city.name} Crime Statistics - CrimeSpotter UK`,
+      citySlug: city.slug,
       cityName: city.name,
       cityLat: city.lat,
       cityLng: city.lng,
@@ -187,6 +861,62 @@ app.get('/city/:cityname', async (req, res) => {
   }
 });
 
+app.get('/force/:id', async (req, res) => {
+  try {
+    const id = (req.params.id || '').toLowerCase();
+    if (!FORCE_ID_PATTERN.test(id)) {
+      return res.status(404).render('error', { title: '404 - CrimeSpotter UK', error: 'Police force not found' });
+    }
+
+    let force;
+    try {
+      force = await getForceProfile(id);
+    } catch (err) {
+      if (err.status === 404) {
+        return res.status(404).render('error', { title: '404 - CrimeSpotter UK', error: 'Police force not found' });
+      }
+      throw err;
+    }
+
+    const date = await getAvailableDates();
+    const forceCities = cities.inForce(id);
+    // Force-wide figures come from the archive; the totals around the force's cities (one
+    // mile from each centre) stand in for them when the force has not been imported.
+    const [forceSummary, noLocationCrimes, summaries] = await Promise.all([
+      getForceSummary(id, date).catch(() => null),
+      getNoLocationCrimes(id, date).catch(() => null),
+      mapSettled(forceCities, UPSTREAM_CONCURRENCY, city => getMonthlySummary({ lat: city.lat, lng: city.lng }, date))
+    ]);
+    const cityTotals = forceCities.map((city, i) => ({
+      slug: city.slug,
+      name: city.name,
+      total: summaries[i].status === 'fulfilled' ? summaries[i].value.total : null
+    }));
+    const aroundCities = { count: 0, categories: {} };
+    summaries.filter(r => r.status === 'fulfilled').forEach(({ value }) => {
+      aroundCities.count += value.total;
+      Object.entries(value.categories).forEach(([k, v]) => { aroundCities.categories[k] = (aroundCities.categories[k] || 0) + v; });
+    });
+
+    const noLocation = noLocationCrimes
+      ? { count: noLocationCrimes.length, categories: processCrimeCategories(noLocationCrimes) }
+      : null;
+
+    res.render('force', {
+      title: `${force.name}: Force Profile and Local Crime - CrimeSpotter UK`,
+      force,
+      date,
+      cities: cityTotals,
+      forceSummary,
+      aroundCities,
+      noLocation
+    });
+  } catch (err) {
+    console.error('Force render error:', err);
+    res.status(500).render('error', { title: 'Error - CrimeSpotter UK', error: 'Unable to load police force page' });
+  }
+});
+
 app.get('/about', (req, res) => {
   try {
     res.render('about', { title: 'About - CrimeSpotter UK' });
@@ -220,74 +950,534 @@ app.get('/contact', (req, res) => {
 });
 
 // -------------------- API Routes --------------------
-app.get('/api/crimes', async (req, res) => {
+// Per-key usage: today, remaining quota and daily counts for the kept history (31 days)
+app.get('/api/admin/usage', requireAdmin, validateRequest, (req, res) => {
+  res.json({ success: true, ...apiKeys.usageReport() });
+});
+
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+
+app.get('/api/docs', (req, res) => {
+  res.render('api-docs', { title: 'API Documentation - CrimeSpotter UK' });
+});
+
+app.use('/api', identifyClient);
+
+// ?lat=&lng= queries the one-mile radius around a point; ?poly= takes a custom area as
+// "lat,lng:lat,lng:..." or GeoJSON Polygon and takes precedence over lat/lng.
+// Optional: ?category= (comma-separated slugs), ?fields= (crime properties to return),
+// ?limit=&cursor= (pages of crimes) and ?summary=only (counts, no crimes). Without them the
+// response is the same one /api/crimes has always given.
+app.get('/api/crimes', rateLimit('crimes'), validateRequest, async (req, res) => {
   try {
-    const { lat = '51.5074', lng = '-0.1278', date } = req.query;
-    const validation = validateCoordinates(lat, lng);
-    if (!validation.valid) {
-      return res.status(400).json({ success: false, error: validation.error });
+    const { area, location, date: queryDate, only } = await resolveCrimeQuery(req.query);
+    const noCrimesMessage = 'No crimes found in this area for the selected period';
+
+    // Counts only: answered from the per-month summaries, which the range queries share
+    if (req.query.summary === 'only') {
+      const summary = await getMonthlySummary(area, queryDate);
+      const categories = only
+        ? Object.fromEntries(Object.entries(summary.categories).filter(([slug]) => only.has(slug)))
+        : summary.categories;
+      const count = Object.values(categories).reduce((sum, n) => sum + n, 0);
+      return res.json({
+        success: true,
+        location,
+        date: queryDate,
+        count,
+        categories,
+        message: count === 0 ? noCrimesMessage : null
+      });
     }
 
-    const queryDate = date || await getAvailableDates();
-    const ukApiUrl = `https://data.police.uk/api/crimes-street/all-crime?lat=${validation.lat}&lng=${validation.lng}&date=${queryDate}`;
-    console.log(`🔍 Fetching: ${ukApiUrl}`);
+    const { crimes: found, cacheHit, source } = await getStreetCrimes(area, queryDate);
+    console.log(`✅ Found ${found.length} crimes for ${location} (${queryDate}, ${source}, cache ${cacheHit ? 'hit' : 'miss'})`);
+    res.set('X-Cache', cacheHit ? 'HIT' : 'MISS');
+    res.set('X-Data-Source', source);
 
-    const response = await fetch(ukApiUrl, {
-      timeout: 15000,
-      headers: { 'User-Agent': 'CrimeSpotter-UK/1.0' }
-    });
-    if (!response.ok) throw new Error(`UK Police API error: ${response.status} ${response.statusText}`);
+    const matching = only ? found.filter(crime => only.has(crime.category)) : found;
+    const categories = processCrimeCategories(matching);
+    const bounds = calculateBounds(matching);
 
-    const crimes = await response.json();
-    console.log(`✅ Found ${crimes.length} crimes for ${validation.lat}, ${validation.lng}`);
-
-    const categories = processCrimeCategories(crimes);
-    const bounds = calculateBounds(crimes);
+    let crimes = matching;
+    let pagination;
+    if (req.query.limit || req.query.cursor) {
+      const limit = req.query.limit ? parseInt(req.query.limit, 10) : CRIMES_PAGE_DEFAULT;
+      const fingerprint = queryFingerprint([areaCacheKey(area), queryDate, [...(only || [])].sort().join(',')]);
+      const offset = req.query.cursor ? decodeCursor(req.query.cursor, fingerprint) : 0;
+      if (offset === null) {
+        throw new ApiError('INVALID_INPUT', 'cursor is not valid for this query; start again without it');
+      }
+      crimes = matching.slice(offset, offset + limit);
+      const next = offset + crimes.length;
+      pagination = { limit, returned: crimes.length, nextCursor: next < matching.length ? encodeCursor(next, fingerprint) : null };
+    }
+    if (req.query.fields) {
+      const fields = req.query.fields.split(',').map(field => field.trim());
+      crimes = crimes.map(crime => projectCrime(crime, fields));
+    }
 
     res.json({
       success: true,
-      location: `${validation.lat}, ${validation.lng}`,
+      location,
       date: queryDate,
-      count: crimes.length,
+      count: matching.length,
       crimes,
       categories,
       bounds,
       sample: crimes.length > 0 ? crimes[0] : null,
-      message: crimes.length === 0 ? 'No crimes found in this area for the selected period' : null
+      ...(pagination && { pagination }),
+      message: matching.length === 0 ? noCrimesMessage : null
     });
   } catch (error) {
-    console.error('❌ /api/crimes error:', error.message);
-    const statusCode = error.message.includes('timeout') ? 504 :
-                       error.message.includes('UK Police API') ? 502 : 500;
-    res.status(statusCode).json({
-      success: false,
-      error: 'Failed to fetch crime data. Please try again.',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    sendApiError(req, res, error, 'Failed to fetch crime data');
+  }
+});
+
+// Crime CSV exports: one row per crime, written in batches so a large area does not build
+// one huge string
+const CRIME_CSV_COLUMNS = ['category', 'month', 'street', 'latitude', 'longitude', 'location_type', 'outcome', 'outcome_date', 'persistent_id'];
+const CSV_BATCH_ROWS = 500;
+
+async function sendCrimesCsv(res, crimes, queryDate) {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="crimes-${queryDate}.csv"`);
+  res.write(formatCsvRow(CRIME_CSV_COLUMNS));
+  for (let i = 0; i < crimes.length && !res.destroyed; i += CSV_BATCH_ROWS) {
+    const chunk = crimes.slice(i, i + CSV_BATCH_ROWS).map(crime => formatCsvRow([
+      crime.category,
+      crime.month,
+      crime.location?.street?.name,
+      crime.location?.latitude,
+      crime.location?.longitude,
+      crime.location_type,
+      crime.outcome_status?.category,
+      crime.outcome_status?.date,
+      crime.persistent_id
+    ])).join('');
+    if (!res.write(chunk)) await drained(res);
+  }
+  res.end();
+}
+
+// The crimes of an /api/crimes query as CSV
+app.get('/api/crimes.csv', rateLimit('crimes'), validateRequest, async (req, res) => {
+  let crimes;
+  let queryDate;
+  try {
+    const query = await resolveCrimeQuery(req.query);
+    queryDate = query.date;
+    const { crimes: found, source } = await getStreetCrimes(query.area, query.date);
+    crimes = query.only ? found.filter(crime => query.only.has(crime.category)) : found;
+    console.log(`📄 CSV export: ${crimes.length} crimes for ${query.location} (${query.date}, ${source})`);
+  } catch (err) {
+    return sendApiError(req, res, err, 'Failed to export crime data');
+  }
+  await sendCrimesCsv(res, crimes, queryDate);
+});
+
+// The crimes of an /api/crimes query as a GeoJSON FeatureCollection, for GIS tools and maps
+app.get('/api/crimes.geojson', rateLimit('crimes'), validateRequest, async (req, res) => {
+  try {
+    const { area, location, date: queryDate, only } = await resolveCrimeQuery(req.query);
+    const { crimes: found, source } = await getStreetCrimes(area, queryDate);
+    const crimes = only ? found.filter(crime => only.has(crime.category)) : found;
+    const collection = crimesToFeatureCollection(crimes, {
+      location,
+      date: queryDate,
+      categories: only ? [...only] : null,
+      source: 'data.police.uk',
+      licence: 'Open Government Licence v3.0'
     });
+    console.log(`🗺️ GeoJSON export: ${collection.features.length} crimes for ${location} (${queryDate}, ${source})`);
+    res.type('application/geo+json').send(JSON.stringify(collection));
+  } catch (err) {
+    sendApiError(req, res, err, 'Failed to export crime data');
   }
 });
 
-app.get('/api/dates', async (req, res) => {
+// Crimes covering a whole map viewport: ?north=&south=&east=&west=&date=
+app.get('/api/crimes/viewport', rateLimit('viewport'), validateRequest, async (req, res) => {
   try {
-    const response = await fetch('https://data.police.uk/api/crimes-street-dates', { timeout: 10000 });
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    const dates = await response.json();
-    res.json({ success: true, dates: dates.slice(0, 12), latest: dates[0]?.date || null });
+    const { location, date: queryDate, crimes, tiles, failed } = await getViewportCrimes(req.query);
+    res.json({
+      success: true,
+      location,
+      date: queryDate,
+      count: crimes.length,
+      crimes,
+      categories: processCrimeCategories(crimes),
+      bounds: calculateBounds(crimes),
+      tiles,
+      incomplete: failed.length > 0,
+      message: failed.length > 0
+        ? `Some of this area could not be loaded (${failed.length} of ${tiles} tiles failed)`
+        : crimes.length === 0 ? 'No crimes found in this area for the selected period' : null
+    });
+  } catch (error) {
+    sendApiError(req, res, error, 'Failed to fetch crime data');
+  }
+});
+
+// The crimes of an /api/crimes/viewport query as CSV, with ?category= as on /api/crimes.csv.
+// A viewport is usually larger than a ?poly= may be, so the map exports through here.
+// An export with missing tiles would look complete, so any failed tile fails the export.
+app.get('/api/crimes/viewport.csv', rateLimit('viewport'), validateRequest, async (req, res) => {
+  let crimes;
+  let queryDate;
+  try {
+    const only = parseCategoryFilter(req.query.category);
+    const viewport = await getViewportCrimes(req.query);
+    if (viewport.failed.length > 0) throw viewport.failed[0];
+    queryDate = viewport.date;
+    crimes = only ? viewport.crimes.filter(crime => only.has(crime.category)) : viewport.crimes;
+    console.log(`📄 CSV export: ${crimes.length} crimes from ${viewport.tiles} viewport tiles (${queryDate})`);
+  } catch (err) {
+    return sendApiError(req, res, err, 'Failed to export crime data');
+  }
+  await sendCrimesCsv(res, crimes, queryDate);
+});
+
+// The crimes of an /api/crimes/viewport query as GeoJSON, with ?category= as on
+// /api/crimes.geojson. Like the CSV export, any failed tile fails the export.
+app.get('/api/crimes/viewport.geojson', rateLimit('viewport'), validateRequest, async (req, res) => {
+  try {
+    const only = parseCategoryFilter(req.query.category);
+    const viewport = await getViewportCrimes(req.query);
+    if (viewport.failed.length > 0) throw viewport.failed[0];
+    const crimes = only ? viewport.crimes.filter(crime => only.has(crime.category)) : viewport.crimes;
+    const collection = crimesToFeatureCollection(crimes, {
+      location: viewport.location,
+      date: viewport.date,
+      categories: only ? [...only] : null,
+      source: 'data.police.uk',
+      licence: 'Open Government Licence v3.0'
+    });
+    console.log(`🗺️ GeoJSON export: ${collection.features.length} crimes from ${viewport.tiles} viewport tiles (${viewport.date})`);
+    res.type('application/geo+json').send(JSON.stringify(collection));
   } catch (err) {
-    console.error('❌ /api/dates error:', err.message);
-    res.status(500).json({ success: false, error: 'Unable to fetch available dates' });
+    sendApiError(req, res, err, 'Failed to export crime data');
   }
 });
 
-app.get('/api/forces', async (req, res) => {
+// Monthly totals for a point or polygon: ?lat=&lng= or ?poly=, plus &from=YYYY-MM&to=YYYY-MM.
+// `to` defaults to the latest month and `from` to RANGE_DEFAULT_MONTHS (or ?months=) before it.
+app.get('/api/crimes/range', rateLimit('viewport'), validateRequest, async (req, res) => {
   try {
-    const response = await fetch('https://data.police.uk/api/forces', { timeout: 10000 });
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    const forces = await response.json();
+    const { from, to, months } = req.query;
+    const target = parseAreaQuery(req.query);
+    if (!target.valid) {
+      throw new ApiError('INVALID_LOCATION', target.error);
+    }
+    const { area, location } = target;
+
+    const span = months ? parseInt(months, 10) : RANGE_DEFAULT_MONTHS;
+    const toMonth = to || await getAvailableDates();
+    const fromMonth = from || addMonths(toMonth, -(span - 1));
+    if (fromMonth > toMonth) {
+      throw new ApiError('INVALID_INPUT', 'from must not be after to');
+    }
+    const requested = monthRange(fromMonth, toMonth);
+    if (requested.length > RANGE_MAX_MONTHS) {
+      throw new ApiError('INVALID_INPUT', `A range may cover at most ${RANGE_MAX_MONTHS} months`);
+    }
+
+    // Months neither upstream nor the archive holds are reported rather than queried
+    const published = await getQueryableMonths();
+    const isPublished = m => !published || published.includes(m);
+    const splitContext = createSplitContext();
+    const results = await mapSettled(requested.filter(isPublished), UPSTREAM_CONCURRENCY,
+      m => getMonthlySummary(area, m, splitContext));
+    const failed = results.filter(r => r.status === 'rejected');
+    if (failed.length > 0 && failed.length === results.length) throw failed[0].reason;
+
+    const byMonth = {};
+    requested.filter(isPublished).forEach((m, i) => { byMonth[m] = results[i]; });
+    const totals = { count: 0, categories: {} };
+    const series = requested.map(month => {
+      const result = byMonth[month];
+      if (!result) return { month, available: false, count: null, categories: {} };
+      if (result.status === 'rejected') {
+        console.error(`❌ Range month ${month} failed:`, result.reason.message);
+        return { month, available: true, error: true, count: null, categories: {} };
+      }
+      const { total, categories } = result.value;
+      totals.count += total;
+      Object.entries(categories).forEach(([k, v]) => { totals.categories[k] = (totals.categories[k] || 0) + v; });
+      return { month, available: true, count: total, categories };
+    });
+
+    res.json({
+      success: true,
+      location,
+      from: fromMonth,
+      to: toMonth,
+      months: series,
+      totals,
+      incomplete: failed.length > 0
+    });
+  } catch (error) {
+    sendApiError(req, res, error, 'Failed to fetch crime data');
+  }
+});
+
+// Full outcome history for one crime, oldest first
+app.get('/api/outcomes/:persistentId', rateLimit('details'), validateRequest, async (req, res) => {
+  try {
+    const { persistentId } = req.params;
+
+    const key = `outcomes-for-crime:${persistentId.toLowerCase()}`;
+    let result = await crimeCache.get(key);
+    if (result === undefined) {
+      try {
+        result = await policeApi.get(`outcomes-for-crime/${persistentId}`);
+      } catch (err) {
+        // Crimes from months upstream has dropped may still have imported outcomes
+        const archived = err.status === 404 ? await archiveStore.outcomesFor(persistentId) : [];
+        if (archived.length === 0) throw err;
+        res.set('X-Data-Source', 'archive');
+        return res.json({
+          success: true,
+          crime: null,
+          outcomes: archived.map(o => ({ category: o.outcome, code: null, date: o.month }))
+        });
+      }
+      await crimeCache.set(key, result, { ttl: OUTCOME_HISTORY_TTL });
+    }
+
+    const outcomes = (result.outcomes || [])
+      .map(o => ({ category: o.category?.name || o.category?.code || 'Unknown', code: o.category?.code || null, date: o.date || null }))
+      .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+
+    res.json({ success: true, crime: result.crime || null, outcomes });
+  } catch (err) {
+    sendApiError(req, res, err, 'Unable to fetch crime outcomes', { notFound: 'No outcomes recorded for this crime' });
+  }
+});
+
+// Outcomes recorded in a month around a point (?lat=&lng=) or within a polygon (?poly=)
+app.get('/api/outcomes', rateLimit('crimes'), validateRequest, async (req, res) => {
+  try {
+    const target = parseAreaQuery(req.query);
+    if (!target.valid) {
+      throw new ApiError('INVALID_LOCATION', target.error);
+    }
+    const { area, location } = target;
+    const queryDate = await resolveCrimeDate(req.query.date);
+
+    const query = area.poly
+      ? { poly: formatPolyParam(area.poly) }
+      : { lat: roundCoord(area.lat), lng: roundCoord(area.lng) };
+    const key = `outcomes-at-location:${areaCacheKey(area)}:${queryDate}`;
+    let outcomes = await crimeCache.get(key);
+    if (outcomes === undefined) {
+      outcomes = await policeApi.get('outcomes-at-location', { ...query, date: queryDate });
+      await crimeCache.set(key, outcomes, { ttl: await cacheTtlFor(queryDate) });
+    }
+
+    const categories = {};
+    outcomes.forEach(o => {
+      const k = o.category?.name || 'Unknown';
+      categories[k] = (categories[k] || 0) + 1;
+    });
+
+    res.json({ success: true, location, date: queryDate, count: outcomes.length, categories, outcomes });
+  } catch (err) {
+    sendApiError(req, res, err, 'Unable to fetch outcomes');
+  }
+});
+
+// Stops for an area and month, taken from the archive when getStreetCrimes would take the
+// area's crimes from it
+async function getAreaStops(area, date) {
+  if (await useArchive(date, 'stops')) {
+    return { stops: await archiveStore.queryStops(area, date), source: 'archive' };
+  }
+  const query = area.poly
+    ? { poly: formatPolyParam(area.poly) }
+    : { lat: roundCoord(area.lat), lng: roundCoord(area.lng) };
+  const key = `stops-street:${areaCacheKey(area)}:${date}`;
+  let stops = await crimeCache.get(key);
+  if (stops === undefined) {
+    stops = await policeApi.get('stops-street', { ...query, date });
+    await crimeCache.set(key, stops, { ttl: await cacheTtlFor(date) });
+  }
+  return { stops, source: 'live' };
+}
+
+// A force's stops for a month. The archive only stands in for months upstream has dropped:
+// it keeps just the stops with a location, and stops-force also returns the others.
+async function getForceStops(force, date) {
+  const published = await getAvailableMonths();
+  if (published && !published.includes(date)) {
+    const archived = await archiveStore.forceStops(force, date);
+    if (archived) return { stops: archived, source: 'archive' };
+  }
+  const key = `stops-force:force:${force}:${date}`;
+  let stops = await crimeCache.get(key);
+  if (stops === undefined) {
+    stops = await policeApi.get('stops-force', { force, date });
+    await crimeCache.set(key, stops, { ttl: await cacheTtlFor(date) });
+  }
+  return { stops, source: 'live' };
+}
+
+// Stop-and-search records for a month: ?lat=&lng= (one-mile radius), ?poly=, or ?force=<force id>
+app.get('/api/stops', rateLimit('crimes'), validateRequest, async (req, res) => {
+  try {
+    const { force } = req.query;
+    let area = null;
+    let location = `force ${force}`;
+    if (force === undefined) {
+      const target = parseAreaQuery(req.query);
+      if (!target.valid) {
+        throw new ApiError('INVALID_LOCATION', target.error);
+      }
+      ({ area, location } = target);
+    }
+
+    const queryDate = await resolveCrimeDate(req.query.date);
+    const { stops, source } = area ? await getAreaStops(area, queryDate) : await getForceStops(force, queryDate);
+    res.set('X-Data-Source', source);
+
+    res.json({
+      success: true,
+      location,
+      date: queryDate,
+      count: stops.length,
+      stops,
+      summary: summariseStops(stops),
+      bounds: calculateBounds(stops),
+      message: stops.length === 0 ? 'No stop and search records found for this area and period' : null
+    });
+  } catch (err) {
+    sendApiError(req, res, err, 'Unable to fetch stop and search data');
+  }
+});
+
+// Which policing neighbourhood covers a point, with its team, priorities and events
+app.get('/api/neighbourhood', rateLimit('reference'), validateRequest, async (req, res) => {
+  try {
+    const validation = validateCoordinates(req.query.lat, req.query.lng);
+    if (!validation.valid) {
+      throw new ApiError('INVALID_LOCATION', validation.error);
+    }
+
+    const located = await getReference('locate-neighbourhood', {
+      q: `${roundCoord(validation.lat)},${roundCoord(validation.lng)}`
+    });
+    const neighbourhood = await getNeighbourhoodProfile(located.force, located.neighbourhood);
+    res.json({ success: true, location: `${validation.lat}, ${validation.lng}`, neighbourhood });
+  } catch (err) {
+    sendApiError(req, res, err, 'Unable to fetch neighbourhood information', { notFound: 'No policing neighbourhood found for this location' });
+  }
+});
+
+app.get('/api/neighbourhoods/:force/:id', rateLimit('reference'), validateRequest, async (req, res) => {
+  try {
+    const { force, id } = req.params;
+    const neighbourhood = await getNeighbourhoodProfile(force, id);
+    res.json({ success: true, neighbourhood });
+  } catch (err) {
+    sendApiError(req, res, err, 'Unable to fetch neighbourhood information', { notFound: 'Neighbourhood not found' });
+  }
+});
+
+// Neighbourhood boundary as [lat, lng] pairs (ready for L.polygon)
+app.get('/api/neighbourhoods/:force/:id/boundary', rateLimit('reference'), validateRequest, async (req, res) => {
+  try {
+    const { force, id } = req.params;
+    const boundary = await getReference(`${encodeURIComponent(force)}/${encodeURIComponent(id)}/boundary`);
+    const points = (boundary || []).map(p => [parseFloat(p.latitude), parseFloat(p.longitude)]);
+    res.json({ success: true, force, id, count: points.length, boundary: points });
+  } catch (err) {
+    sendApiError(req, res, err, 'Unable to fetch neighbourhood boundary', { notFound: 'Neighbourhood not found' });
+  }
+});
+
+// Crimes recorded without a location, for ?force= or for the force covering ?lat=&lng=
+app.get('/api/crimes/no-location', rateLimit('details'), validateRequest, async (req, res) => {
+  try {
+    const { force, lat, lng, category = 'all-crime' } = req.query;
+    let forceId;
+    if (force !== undefined) {
+      forceId = force;
+    } else {
+      const validation = validateCoordinates(lat, lng);
+      if (!validation.valid) {
+        throw new ApiError('INVALID_LOCATION', 'Provide a force id or a valid lat/lng');
+      }
+      forceId = await getForceAt(validation.lat, validation.lng);
+      if (!forceId) {
+        throw new ApiError('OUTSIDE_COVERAGE', 'No police force publishes data for this location');
+      }
+    }
+
+    const queryDate = await resolveCrimeDate(req.query.date);
+    const [crimes, details, summary] = await Promise.all([
+      getNoLocationCrimes(forceId, queryDate, category),
+      getReference(`forces/${encodeURIComponent(forceId)}`).catch(() => null),
+      archiveStore.forceSummary(forceId, queryDate).catch(() => null)
+    ]);
+    // Everything the force recorded that month in the category, located or not; only known
+    // when its archive is imported, since upstream has no street-level totals by force
+    let forceTotal = null;
+    if (summary) {
+      forceTotal = category === 'all-crime' ? summary.total : (summary.categories[category] || 0) + crimes.length;
+    }
+
+    res.json({
+      success: true,
+      force: { id: forceId, name: details?.name || forceId },
+      date: queryDate,
+      category,
+      count: crimes.length,
+      forceTotal,
+      categories: processCrimeCategories(crimes),
+      crimes
+    });
+  } catch (err) {
+    sendApiError(req, res, err, 'Unable to fetch crimes with no location', { notFound: 'Police force not found' });
+  }
+});
+
+app.get('/api/dates', rateLimit('reference'), validateRequest, async (req, res) => {
+  try {
+    const [dates, archived] = await Promise.all([
+      policeApi.get('crimes-street-dates', {}, { timeout: 10000 }),
+      archiveStore.months()
+    ]);
+    const live = new Set(dates.map(d => d.date));
+    res.json({
+      success: true,
+      dates: dates.slice(0, 12),
+      latest: dates[0]?.date || null,
+      // Older months only available from the imported archives
+      archived: archived.filter(month => !live.has(month))
+    });
+  } catch (err) {
+    sendApiError(req, res, err, 'Unable to fetch available dates');
+  }
+});
+
+app.get('/api/forces', rateLimit('reference'), validateRequest, async (req, res) => {
+  try {
+    const forces = await policeApi.get('forces', {}, { timeout: 10000 });
     res.json({ success: true, forces });
   } catch (err) {
-    console.error('❌ /api/forces error:', err.message);
-    res.status(500).json({ success: false, error: 'Unable to fetch police forces' });
+    sendApiError(req, res, err, 'Unable to fetch police forces');
+  }
+});
+
+app.get('/api/forces/:id', rateLimit('reference'), validateRequest, async (req, res) => {
+  try {
+    const id = req.params.id.toLowerCase();
+    const force = await getForceProfile(id);
+    res.json({ success: true, force });
+  } catch (err) {
+    sendApiError(req, res, err, 'Unable to fetch police force details', { notFound: 'Police force not found' });
   }
 });
 
@@ -297,35 +1487,111 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     service: 'CrimeSpotter UK API',
     version: '1.0.0',
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    cache: {
+      crimes: crimeCache.stats(),
+      summaries: summaryCache.stats(),
+      reference: referenceCache.stats()
+    },
+    archive: archiveStore.stats(),
+    gazetteer: gazetteer.stats(),
+    upstream: policeApi.stats(),
+    rateLimit: { enabled: RATE_LIMITS_ENABLED, anonymous: apiLimiter.stats(), apiKeys: keyLimiter.stats() },
+    apiKeys: apiKeys.stats()
   });
 });
 
-app.get('/api/search', async (req, res) => {
-  const { q } = req.query;
-  if (!q || q.length < 3) return res.json({ suggestions: [] });
-  const suggestions = [
-    { name: 'London', coords: [51.5074, -0.1278] },
-    { name: 'Manchester', coords: [53.4808, -2.2426] },
-    { name: 'Birmingham', coords: [52.4862, -1.8904] },
-    { name: 'Leeds', coords: [53.8008, -1.5491] },
-    { name: 'Liverpool', coords: [53.4084, -2.9916] }
-  ].filter(s => s.name.toLowerCase().includes(q.toLowerCase()));
-  res.json({ suggestions });
+// Resolve a place name, "Name, County", full postcode or postcode district: ?q=
+app.get('/api/geocode', rateLimit('search'), validateRequest, async (req, res) => {
+  try {
+    const q = req.query.q.trim();
+    if (!q) {
+      throw new ApiError('INVALID_INPUT', 'Provide a place name or postcode (up to 100 characters) in q');
+    }
+
+    const matches = (await gazetteer.geocode(q, { limit: 5 })).map(match => ({ ...match, ...cityLink(match) }));
+    if (matches.length === 0) {
+      throw new ApiError('NOT_FOUND', `No location found for "${q}"`);
+    }
+    res.json({ success: true, query: q, location: matches[0], matches });
+  } catch (err) {
+    sendApiError(req, res, err, 'Unable to look up this location');
+  }
 });
 
-// Handle contact form submissions
-app.post('/api/contact', async (req, res) => {
+// Name a point: ?lat=&lng= -> nearest locality, its district and the police force.
+// The force lookup goes upstream (cached); if that fails the place name still comes back.
+app.get('/api/reverse', rateLimit('search'), validateRequest, async (req, res) => {
   try {
-    const { name, email, subject, message } = req.body;
-    if (!name || !email || !subject || !message) {
-      return res.status(400).json({ success: false, error: 'All fields are required' });
+    const validation = validateCoordinates(req.query.lat, req.query.lng);
+    if (!validation.valid) {
+      throw new ApiError('INVALID_LOCATION', validation.error);
     }
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ success: false, error: 'Invalid email address' });
+    const { lat, lng } = validation;
+
+    const [place, forceId] = await Promise.all([
+      gazetteer.nearest(lat, lng),
+      getForceAt(lat, lng).catch(err => {
+        console.warn('⚠️ Reverse lookup without force:', err.message);
+        return null;
+      })
+    ]);
+    const details = forceId
+      ? await getReference(`forces/${encodeURIComponent(forceId)}`).catch(() => null)
+      : null;
+
+    const locality = place
+      ? { name: place.name, type: place.type, area: place.area, distanceKm: place.distanceKm, within: place.within }
+      : null;
+    const force = forceId ? { id: forceId, name: details?.name || forceId } : null;
+    const name = locality
+      ? (locality.within ? locality.name : `Near ${locality.name}`)
+      : force?.name || null;
+
+    res.json({
+      success: true,
+      lat,
+      lng,
+      name,
+      locality,
+      district: place?.area || null,
+      postcodeDistrict: place?.outcode || null,
+      force
+    });
+  } catch (err) {
+    sendApiError(req, res, err, 'Unable to name this location');
+  }
+});
+
+// Autocomplete: ?q= (at least SEARCH_MIN_LENGTH characters) &limit=
+app.get('/api/search', rateLimit('search'), validateRequest, async (req, res) => {
+  try {
+    const q = req.query.q.trim();
+    const limit = req.query.limit ? Number(req.query.limit) : SEARCH_DEFAULT_LIMIT;
+    // Too short to suggest anything useful yet; not an error while someone is typing
+    if (q.length < SEARCH_MIN_LENGTH) {
+      return res.json({ success: true, query: q, suggestions: [] });
     }
 
+    const hits = await gazetteer.search(q, { limit });
+    const suggestions = hits.map(hit => ({
+      name: hit.name,
+      type: hit.type,
+      area: hit.area,
+      coords: [hit.lat, hit.lng],
+      score: Number(hit.score.toFixed(3)),
+      ...cityLink(hit)
+    }));
+    res.json({ success: true, query: q, suggestions });
+  } catch (err) {
+    sendApiError(req, res, err, 'Search is unavailable right now');
+  }
+});
+
+// Handle contact form submissions
+app.post('/api/contact', rateLimit('contact'), validateRequest, async (req, res) => {
+  try {
+    const { name, email, subject, message } = req.body;
     const sanitized = {
       name: String(name).slice(0, 100).replace(/[<>]/g, ''),
       email: String(email).slice(0, 100),
@@ -343,8 +1609,7 @@ app.post('/api/contact', async (req, res) => {
     // TODO: send via nodemailer or external email service
     res.json({ success: true, message: 'Thank you for your message. We will respond within 24-48 hours.' });
   } catch (err) {
-    console.error('❌ Contact form error:', err);
-    res.status(500).json({ success: false, error: 'Failed to send message. Please try again later.' });
+    sendApiError(req, res, err, 'Failed to send message');
   }
 });
 
@@ -367,8 +1632,11 @@ app.get('/sitemap.xml', async (req, res) => {
       ...staticPaths.map(p => ({
         loc: `${base}${p}`, lastmod: isoToday, changefreq: 'weekly', priority: p === '/' ? '1.0' : '0.8'
       })),
-      ...citySlugs.map(slug => ({
-        loc: `${base}/city/${slug}`, lastmod: lastmodCity, changefreq: 'weekly', priority: '0.7'
+      ...cities.all().map(city => ({
+        loc: `${base}/city/${city.slug}`,
+        lastmod: cities.isCovered(city) ? lastmodCity : isoToday,
+        changefreq: cities.isCovered(city) ? 'weekly' : 'yearly',
+        priority: cities.isCovered(city) ? '0.7' : '0.3'
       }))
     ];
 
@@ -409,6 +1677,10 @@ Sitemap: https://crimespotter.co.uk/sitemap.xml
 
 
 // -------------------- Error Handlers (MUST BE LAST) --------------------
+app.use('/api', (req, res) => {
+  sendApiError(req, res, new ApiError('ROUTE_NOT_FOUND', `No API route for ${req.method} ${req.originalUrl.split('?')[0]}`));
+});
+
 app.use((req, res) => {
   res.status(404).render('error', {
     error: 'Page not found',
@@ -417,6 +1689,8 @@ app.use((req, res) => {
 });
 
 app.use((error, req, res, next) => {
+  // Errors raised before a route runs (e.g. malformed JSON bodies) still get the API envelope
+  if (req.path.startsWith('/api/')) return sendApiError(req, res, error, 'Unable to handle this request');
   console.error('Unhandled error:', error);
   res.status(500).render('error', {
     error: 'Internal server error',
@@ -425,8 +1699,31 @@ app.use((error, req, res, next) => {
 });
 
 // -------------------- Start --------------------
+// API key usage is flushed every few seconds; write the rest out before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    try {
+      apiKeys.saveUsage();
+    } catch (err) {
+      console.error('⚠️ Unable to save API key usage:', err.message);
+    }
+    process.exit(0);
+  });
+}
+
+// Every API route should be in the OpenAPI document and every documented operation routed
+function checkApiDocumented() {
+  const routes = app._router.stack
+    .filter(layer => layer.route && (layer.route.path.startsWith('/api/') || layer.route.path === '/health'))
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({ method, path: layer.route.path })));
+  const { undocumented, unrouted } = findUndocumented(openApiSpec, routes);
+  undocumented.forEach(route => console.warn(`⚠️ ${route} is missing from the OpenAPI document`));
+  unrouted.forEach(route => console.warn(`⚠️ ${route} is documented but has no route`));
+}
+
 app.listen(PORT, '0.0.0.0', async () => {
   console.log(`🚀 CrimeSpotter UK server running on port ${PORT}`);
+  checkApiDocumented();
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`📡 Health check: http://localhost:${PORT}/health`);
   try {
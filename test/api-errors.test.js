@@ -0,0 +1,84 @@
+const { ApiError, ERROR_STATUS, toApiError, errorBody } = require('../lib/api-errors');
+const { PoliceApiError } = require('../lib/police-api');
+
+describe('ApiError', () => {
+  test('takes its status from the code', () => {
+    const err = new ApiError('OUTSIDE_COVERAGE', 'Outside coverage');
+    expect(err).toMatchObject({ code: 'OUTSIDE_COVERAGE', status: 422, message: 'Outside coverage' });
+    expect(err.retryable).toBe(false);
+    expect(err.retryAfter).toBeNull();
+  });
+
+  test('maps an unknown code to INTERNAL_ERROR', () => {
+    expect(new ApiError('NO_SUCH_CODE', 'x')).toMatchObject({ code: 'INTERNAL_ERROR', status: 500 });
+  });
+
+  test('defaults retryAfter by code, unless given', () => {
+    expect(new ApiError('UPSTREAM_RATE_LIMITED', 'x').retryAfter).toBe(10);
+    expect(new ApiError('UPSTREAM_TIMEOUT', 'x').retryAfter).toBe(5);
+    expect(new ApiError('UPSTREAM_RATE_LIMITED', 'x', { retryAfter: 42 }).retryAfter).toBe(42);
+    expect(new ApiError('RATE_LIMITED', 'x', { retryAfter: 3 }).retryable).toBe(true);
+  });
+
+  test('every code answers with an error status', () => {
+    Object.values(ERROR_STATUS).forEach(status => expect(status).toBeGreaterThanOrEqual(400));
+  });
+});
+
+describe('toApiError', () => {
+  test('passes ApiErrors through', () => {
+    const err = new ApiError('INVALID_DATE', 'Bad date');
+    expect(toApiError(err, 'Unable to fetch crimes')).toBe(err);
+  });
+
+  test('maps an upstream 404 to NOT_FOUND with the given message', () => {
+    const err = toApiError(new PoliceApiError('404', { status: 404 }), 'Unable to fetch force', { notFound: 'Force not found' });
+    expect(err).toMatchObject({ code: 'NOT_FOUND', status: 404, message: 'Force not found', retryable: false });
+    expect(toApiError(new PoliceApiError('404', { status: 404 })).message).toBe('Not found');
+  });
+
+  test('maps an upstream 429 and keeps its Retry-After', () => {
+    const err = toApiError(new PoliceApiError('429', { status: 429, retryAfter: 120 }), 'Unable to fetch crimes');
+    expect(err).toMatchObject({
+      code: 'UPSTREAM_RATE_LIMITED',
+      status: 503,
+      retryAfter: 120,
+      message: 'Unable to fetch crimes: the police data service is busy'
+    });
+  });
+
+  test('maps an upstream timeout, with the default wait', () => {
+    const err = toApiError(new PoliceApiError('timeout', { timedOut: true }), 'Unable to fetch crimes');
+    expect(err).toMatchObject({ code: 'UPSTREAM_TIMEOUT', status: 504, retryAfter: 5 });
+  });
+
+  test('maps other upstream failures to UPSTREAM_UNAVAILABLE', () => {
+    const err = toApiError(new PoliceApiError('500', { status: 500 }));
+    expect(err).toMatchObject({ code: 'UPSTREAM_UNAVAILABLE', status: 502, retryAfter: 30 });
+    expect(err.message).toBe('The police data service is unavailable');
+    expect(err.cause).toBeInstanceOf(PoliceApiError);
+  });
+
+  test('maps exposed client errors such as body parser failures to INVALID_INPUT', () => {
+    const parseError = Object.assign(new Error('Unexpected token } in JSON'), { status: 400, expose: true });
+    expect(toApiError(parseError)).toMatchObject({ code: 'INVALID_INPUT', status: 400, message: parseError.message });
+  });
+
+  test('hides the message of anything else', () => {
+    const err = toApiError(new TypeError('cannot read properties of undefined'), 'Unable to fetch crimes');
+    expect(err).toMatchObject({ code: 'INTERNAL_ERROR', status: 500, message: 'Unable to fetch crimes' });
+    expect(toApiError(null).message).toBe('Something went wrong');
+    expect(toApiError(Object.assign(new Error('secret'), { status: 400 })).code).toBe('INTERNAL_ERROR');
+  });
+});
+
+describe('errorBody', () => {
+  test('includes retryAfter only for retryable errors', () => {
+    expect(errorBody(new ApiError('INVALID_INPUT', 'Bad'), 'req-1')).toEqual({
+      success: false, error: 'Bad', code: 'INVALID_INPUT', status: 400, requestId: 'req-1', retryable: false
+    });
+    expect(errorBody(new ApiError('UPSTREAM_UNAVAILABLE', 'Down'))).toEqual({
+      success: false, error: 'Down', code: 'UPSTREAM_UNAVAILABLE', status: 502, requestId: null, retryable: true, retryAfter: 30
+    });
+  });
+});
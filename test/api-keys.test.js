@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ApiKeyStore, normaliseOrigin } = require('../lib/api-keys');
+
+let dir;
+let clock;
+let store;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+  clock = new Date('2025-03-10T23:59:00Z');
+  store = new ApiKeyStore({ dir, now: () => clock });
+});
+
+afterEach(() => {
+  clearTimeout(store.saveTimer);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('creating and authenticating keys', () => {
+  test('stores only a hash of the key', () => {
+    const { key, record } = store.create({ name: ' Partner ', dailyQuota: 5 });
+    expect(key).toMatch(/^cs_[a-f0-9]{8}_[A-Za-z0-9_-]{32}$/);
+    expect(record).toMatchObject({ name: 'Partner', dailyQuota: 5, origins: [], revokedAt: null });
+    const saved = fs.readFileSync(path.join(dir, 'keys.json'), 'utf8');
+    expect(saved).toContain(record.hash);
+    expect(saved).not.toContain(key.split('_')[2]);
+  });
+
+  test('authenticates the issued key only', () => {
+    const { key, record } = store.create({ name: 'Partner' });
+    expect(store.authenticate(key)).toBe(record);
+    expect(store.authenticate(` ${key} `)).toBe(record);
+    expect(store.authenticate(`${key.slice(0, -1)}x`)).toBeNull();
+    expect(store.authenticate('cs_00000000_' + 'a'.repeat(32))).toBeNull();
+    expect(store.authenticate('not a key')).toBeNull();
+    expect(store.authenticate(undefined)).toBeNull();
+  });
+
+  test('refuses a revoked key', () => {
+    const { key, record } = store.create({ name: 'Partner' });
+    store.revoke(record.id);
+    expect(store.authenticate(key)).toBeNull();
+    expect(() => store.revoke('ffffffff')).toThrow('No API key with id ffffffff');
+  });
+
+  test('loads keys written by another process', () => {
+    const { key } = store.create({ name: 'Partner' });
+    expect(new ApiKeyStore({ dir }).authenticate(key)).not.toBeNull();
+  });
+
+  test.each([
+    [{ name: '' }, 'A key needs a name'],
+    [{ name: 'Partner', dailyQuota: -1 }, 'dailyQuota must be a whole number, 0 for none'],
+    [{ name: 'Partner', dailyQuota: 1.5 }, 'dailyQuota must be a whole number, 0 for none'],
+    [{ name: 'Partner', origins: ['ftp://partner.example'] }, 'Origin must be http or https']
+  ])('rejects %p', (options, error) => {
+    expect(() => store.create(options)).toThrow(error);
+  });
+});
+
+describe('origins', () => {
+  test('normalises origins to scheme, host and port', () => {
+    expect(normaliseOrigin('https://Partner.example:443/path')).toBe('https://partner.example');
+    expect(normaliseOrigin('http://localhost:8080')).toBe('http://localhost:8080');
+  });
+
+  test('limits a key to its origins, but not requests without one', () => {
+    const { record } = store.create({ name: 'Partner', origins: ['https://partner.example'] });
+    expect(store.isOriginAllowed(record, 'https://partner.example')).toBe(true);
+    expect(store.isOriginAllowed(record, 'https://evil.example')).toBe(false);
+    expect(store.isOriginAllowed(record, 'null')).toBe(false);
+    expect(store.isOriginAllowed(record, undefined)).toBe(true);
+  });
+
+  test('allows any origin for a key without origins', () => {
+    const { record } = store.create({ name: 'Partner' });
+    expect(store.isOriginAllowed(record, 'https://anywhere.example')).toBe(true);
+  });
+});
+
+describe('daily quota', () => {
+  test('counts requests until the quota is used up', () => {
+    const { record } = store.create({ name: 'Partner', dailyQuota: 2 });
+    expect(store.recordUse(record)).toEqual({ allowed: true, used: 1, quota: 2, resetsIn: 60 });
+    expect(store.recordUse(record).used).toBe(2);
+    expect(store.recordUse(record)).toEqual({ allowed: false, used: 2, quota: 2, resetsIn: 60 });
+  });
+
+  test('checking the quota does not count a request', () => {
+    const { record } = store.create({ name: 'Partner', dailyQuota: 1 });
+    expect(store.checkQuota(record)).toMatchObject({ allowed: true, used: 0 });
+    expect(store.checkQuota(record)).toMatchObject({ allowed: true, used: 0 });
+    store.recordUse(record);
+    expect(store.checkQuota(record)).toMatchObject({ allowed: false, used: 1 });
+  });
+
+  test('starts again at UTC midnight', () => {
+    const { record } = store.create({ name: 'Partner', dailyQuota: 1 });
+    store.recordUse(record);
+    expect(store.recordUse(record).allowed).toBe(false);
+    clock = new Date('2025-03-11T00:00:01Z');
+    expect(store.recordUse(record)).toEqual({ allowed: true, used: 1, quota: 1, resetsIn: 86399 });
+  });
+
+  test('never refuses a key without a quota', () => {
+    const { record } = store.create({ name: 'Partner', dailyQuota: 0 });
+    for (let i = 0; i < 100; i++) store.recordUse(record);
+    expect(store.recordUse(record)).toMatchObject({ allowed: true, used: 101, quota: 0 });
+  });
+});
+
+describe('usage', () => {
+  test('saves usage, dropping days beyond the kept history', () => {
+    const { record } = store.create({ name: 'Partner' });
+    store.usage.days['2025-01-01'] = { [record.id]: 7 };
+    store.recordUse(record);
+    store.saveUsage();
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'usage.json'), 'utf8'));
+    expect(saved).toEqual({ days: { '2025-03-10': { [record.id]: 1 } } });
+  });
+
+  test('reports each key against today and in total', () => {
+    const { record } = store.create({ name: 'Partner', dailyQuota: 10 });
+    const other = store.create({ name: 'Other' }).record;
+    store.recordUse(record);
+    clock = new Date('2025-03-11T09:00:00Z');
+    store.recordUse(record);
+    store.recordUse(record);
+    store.recordUse(other);
+
+    const report = store.usageReport();
+    expect(report).toMatchObject({ today: '2025-03-11', since: '2025-03-10' });
+    expect(report.keys.find(k => k.id === record.id)).toMatchObject({
+      today: 2, remainingToday: 8, total: 3, daily: { '2025-03-10': 1, '2025-03-11': 2 }
+    });
+    expect(store.stats()).toEqual({ keys: 2, revoked: 0, requestsToday: 3 });
+  });
+});
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ArchiveStore, categorySlug } = require('../lib/archive-store');
+
+let dir;
+let store;
+
+function crime(n, latitude, longitude, extra = {}) {
+  return {
+    id: `2019-06-metropolitan-${n}`,
+    persistentId: `p${n}`,
+    category: 'burglary',
+    latitude: String(latitude),
+    longitude: String(longitude),
+    street: `On or near Street ${n}`,
+    outcome: null,
+    context: '',
+    ...extra
+  };
+}
+
+function stop(latitude, longitude, extra = {}) {
+  return {
+    datetime: '2019-06-03T10:00:00+00:00',
+    type: 'Person search',
+    latitude: String(latitude),
+    longitude: String(longitude),
+    gender: 'Female',
+    ageRange: '25-34',
+    legislation: 'Misuse of Drugs Act 1971 (section 23)',
+    objectOfSearch: 'Controlled drugs',
+    outcome: 'Arrest',
+    outcomeLinked: true,
+    removal: false,
+    operation: false,
+    ...extra
+  };
+}
+
+const files = kind => {
+  const root = path.join(dir, kind);
+  return fs.existsSync(root) ? fs.readdirSync(root, { recursive: true }).filter(f => f.endsWith('.json')).sort() : [];
+};
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-store-'));
+  store = new ArchiveStore({ dir });
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('street crimes', () => {
+  test('an empty store has no months and answers nothing', async () => {
+    expect(await store.months()).toEqual([]);
+    expect(await store.hasMonth('2019-06')).toBe(false);
+    expect(await store.query({ lat: 51.5, lng: -0.12 }, '2019-06')).toEqual([]);
+  });
+
+  test('answers one-mile radius and polygon queries in the crimes-street shape', async () => {
+    await store.importForceMonth('2019-06', 'metropolitan', [
+      crime(1, 51.5, -0.12, { outcome: 'Under investigation' }),
+      crime(2, 51.51, -0.12),   // about 1.1 km north
+      crime(3, 51.53, -0.12)    // about 3.3 km north, outside the mile
+    ], { noLocation: 4 });
+
+    expect(await store.months()).toEqual(['2019-06']);
+    const nearby = await store.query({ lat: 51.5, lng: -0.12 }, '2019-06');
+    expect(nearby.map(c => c.persistent_id)).toEqual(['p1', 'p2']);
+    expect(nearby[0]).toMatchObject({
+      category: 'burglary',
+      month: '2019-06',
+      location: { latitude: '51.5', longitude: '-0.12', street: { name: 'On or near Street 1' } },
+      outcome_status: { category: 'Under investigation', date: null }
+    });
+
+    const triangle = { poly: [[51.52, -0.13], [51.54, -0.13], [51.54, -0.10]] };
+    expect((await store.query(triangle, '2019-06')).map(c => c.persistent_id)).toEqual(['p3']);
+  });
+
+  test('re-importing a force-month replaces its records and empties cells it left', async () => {
+    await store.importForceMonth('2019-06', 'metropolitan', [crime(1, 51.5, -0.12), crime(2, 52.5, -1.9)]);
+    expect(files('street')).toHaveLength(2);
+
+    await store.importForceMonth('2019-06', 'metropolitan', [crime(1, 51.5, -0.12)]);
+    expect(files('street')).toHaveLength(1);
+    expect(await store.query({ lat: 52.5, lng: -1.9 }, '2019-06')).toEqual([]);
+    expect(await store.query({ lat: 51.5, lng: -0.12 }, '2019-06')).toHaveLength(1);
+  });
+
+  test('keeps other forces in a shared cell', async () => {
+    await store.importForceMonth('2019-06', 'metropolitan', [crime(1, 51.5, -0.12)]);
+    await store.importForceMonth('2019-06', 'city-of-london', [crime(2, 51.501, -0.121)]);
+    await store.importForceMonth('2019-06', 'metropolitan', []);
+    expect((await store.query({ lat: 51.5, lng: -0.12 }, '2019-06')).map(c => c.persistent_id)).toEqual(['p2']);
+  });
+
+  test('picks up an import made by another instance', async () => {
+    expect(await store.hasMonth('2019-06')).toBe(false);
+    await new ArchiveStore({ dir }).importForceMonth('2019-06', 'metropolitan', [crime(1, 51.5, -0.12)]);
+    expect(await store.hasMonth('2019-06')).toBe(true);
+  });
+});
+
+describe('force summaries', () => {
+  test('count a force-month with and without a location, by category', async () => {
+    await store.importForceMonth('2019-06', 'metropolitan', [
+      crime(1, 51.5, -0.12),
+      crime(2, 51.5, -0.12, { category: 'drugs' }),
+      crime(3, 51.6, -0.2)
+    ], { noLocation: 4 });
+    await store.importForceMonth('2019-05', 'metropolitan', [crime(4, 51.5, -0.12)]);
+    await store.importForceMonth('2019-07', 'essex', [crime(5, 51.8, 0.5)]);
+
+    expect(await store.forceSummary('metropolitan', '2019-06'))
+      .toEqual({ total: 7, located: 3, noLocation: 4, categories: { burglary: 2, drugs: 1 } });
+    expect(await store.forceSummary('essex', '2019-06')).toBeNull();
+    expect(await store.forceMonths('metropolitan')).toEqual(['2019-06', '2019-05']);
+  });
+
+  test('count categories from the cells of imports that predate the tally', async () => {
+    await store.importForceMonth('2019-06', 'metropolitan', [crime(1, 51.5, -0.12), crime(2, 52.5, -1.9)]);
+    const file = path.join(dir, 'manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    delete manifest.months['2019-06'].forces.metropolitan.categories;
+    fs.writeFileSync(file, JSON.stringify(manifest));
+
+    const older = new ArchiveStore({ dir });
+    expect(await older.forceSummary('metropolitan', '2019-06')).toMatchObject({ total: 2, categories: { burglary: 2 } });
+  });
+});
+
+describe('covers', () => {
+  beforeEach(async () => {
+    await store.importForceMonth('2019-06', 'metropolitan', [crime(1, 51.4, -0.3), crime(2, 51.6, 0)]);
+  });
+
+  test('covers a month once every publishing force is imported', async () => {
+    expect(await store.covers('2019-06', ['metropolitan'])).toBe(true);
+    await store.importForceMonth('2019-06', 'surrey', [crime(3, 51.37, -0.36)]);
+    expect(await store.covers('2019-06', ['metropolitan', 'surrey'])).toBe(true);
+  });
+
+  test('does not cover a month while a neighbouring force is missing', async () => {
+    // Esher (Surrey) sits inside the Met's crimes' bounding box and shares grid cells with them
+    expect(await store.query({ lat: 51.37, lng: -0.365 }, '2019-06')).toEqual([]);
+    expect(await store.covers('2019-06', ['metropolitan', 'surrey'])).toBe(false);
+  });
+
+  test('does not cover other months or kinds, or an unknown list of forces', async () => {
+    expect(await store.covers('2019-07', ['metropolitan'])).toBe(false);
+    expect(await store.covers('2019-06', ['metropolitan'], 'stops')).toBe(false);
+    expect(await store.covers('2019-06', [])).toBe(false);
+  });
+});
+
+describe('stops', () => {
+  test('answers area and force queries in the stops-street shape', async () => {
+    await store.importForceStops('2019-06', 'metropolitan', [
+      stop(51.5, -0.12),
+      stop(52.5, -1.9, { type: 'Vehicle search', gender: '' })
+    ], { noLocation: 2 });
+
+    expect(await store.hasStopsMonth('2019-06')).toBe(true);
+    expect(await store.hasMonth('2019-06')).toBe(false);
+
+    const nearby = await store.queryStops({ lat: 51.5, lng: -0.12 }, '2019-06');
+    expect(nearby).toEqual([expect.objectContaining({
+      type: 'Person search',
+      involved_person: true,
+      gender: 'Female',
+      outcome_object: { id: null, name: 'Arrest' },
+      outcome_linked_to_object_of_search: true,
+      removal_of_more_than_outer_clothing: false,
+      location: { latitude: '51.5', longitude: '-0.12', street: { id: null, name: null } }
+    })]);
+
+    const all = await store.forceStops('metropolitan', '2019-06');
+    expect(all).toHaveLength(2);
+    expect(all.find(s => s.type === 'Vehicle search')).toMatchObject({ involved_person: false, gender: null });
+    expect(await store.forceStops('essex', '2019-06')).toBeNull();
+  });
+
+  test('are kept apart from street crimes in the same cell', async () => {
+    await store.importForceMonth('2019-06', 'metropolitan', [crime(1, 51.5, -0.12)]);
+    await store.importForceStops('2019-06', 'metropolitan', [stop(51.5, -0.12)]);
+    expect(await store.query({ lat: 51.5, lng: -0.12 }, '2019-06')).toHaveLength(1);
+    expect(await store.queryStops({ lat: 51.5, lng: -0.12 }, '2019-06')).toHaveLength(1);
+  });
+});
+
+describe('outcomes', () => {
+  const id = 'ab'.repeat(32);
+
+  test('collects a crime\'s outcomes across months, oldest first, ignoring id case', async () => {
+    await store.importForceOutcomes('2019-07', 'metropolitan', [{ crimeId: id.toUpperCase(), outcome: 'Offender sent to prison' }]);
+    await store.importForceOutcomes('2019-06', 'metropolitan', [
+      { crimeId: id, outcome: 'Awaiting court outcome' },
+      { crimeId: 'cd'.repeat(32), outcome: 'Offender given a caution' }
+    ]);
+
+    expect(await store.outcomesFor(id)).toEqual([
+      { month: '2019-06', force: 'metropolitan', outcome: 'Awaiting court outcome' },
+      { month: '2019-07', force: 'metropolitan', outcome: 'Offender sent to prison' }
+    ]);
+    expect(await store.outcomesFor('ef'.repeat(32))).toEqual([]);
+  });
+
+  test('re-importing a force-month replaces only that force-month', async () => {
+    await store.importForceOutcomes('2019-06', 'metropolitan', [{ crimeId: id, outcome: 'Under investigation' }]);
+    await store.importForceOutcomes('2019-07', 'metropolitan', [{ crimeId: id, outcome: 'Local resolution' }]);
+    await store.importForceOutcomes('2019-06', 'metropolitan', [{ crimeId: id, outcome: 'Court result unavailable' }]);
+    expect((await store.outcomesFor(id)).map(o => o.outcome)).toEqual(['Court result unavailable', 'Local resolution']);
+
+    await store.importForceOutcomes('2019-06', 'metropolitan', []);
+    await store.importForceOutcomes('2019-07', 'metropolitan', []);
+    expect(files('outcomes')).toEqual([]);
+  });
+
+  test('an import only rewrites the buckets of its own month', async () => {
+    await store.importForceOutcomes('2019-06', 'metropolitan', [{ crimeId: id, outcome: 'Under investigation' }]);
+    const june = path.join(dir, 'outcomes', '2019-06', 'ab.json');
+    const before = fs.statSync(june).ino;
+
+    await store.importForceOutcomes('2019-07', 'metropolitan', [{ crimeId: id, outcome: 'Local resolution' }]);
+    await store.importForceOutcomes('2019-07', 'essex', [{ crimeId: id, outcome: 'Under investigation' }]);
+    expect(fs.statSync(june).ino).toBe(before);
+    expect(files('outcomes')).toEqual([path.join('2019-06', 'ab.json'), path.join('2019-07', 'ab.json')]);
+    expect(await store.outcomesFor(id)).toHaveLength(3);
+  });
+
+  test('buckets ids that are not hex', async () => {
+    await store.importForceOutcomes('2019-06', 'metropolitan', [{ crimeId: 'Crime-42', outcome: 'Local resolution' }]);
+    expect(await store.outcomesFor('crime-42')).toHaveLength(1);
+  });
+});
+
+test('reads a manifest written before stops and outcomes were imported', async () => {
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({ months: { '2019-06': { forces: {} } } }));
+  expect(await store.months()).toEqual(['2019-06']);
+  expect(await store.hasStopsMonth('2019-06')).toBe(false);
+  await store.importForceOutcomes('2019-06', 'metropolitan', []);
+  expect(store.stats()).toMatchObject({ months: 1, outcomeMonths: 1, stopsMonths: 0 });
+});
+
+test('categorySlug maps archive labels to API slugs', () => {
+  expect(categorySlug('Violence and sexual offences')).toBe('violent-crime');
+  expect(categorySlug('Criminal damage and arson')).toBe('criminal-damage-arson');
+  expect(categorySlug('Some New Type')).toBe('some-new-type');
+  expect(categorySlug('')).toBe('other-crime');
+});
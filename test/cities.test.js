@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CityRegistry } = require('../lib/cities');
+
+const CITIES = [
+  { slug: 'leeds', name: 'Leeds', lat: 53.8008, lng: -1.5491, country: 'England', force: 'west-yorkshire', coverage: 'street' },
+  { slug: 'cardiff', name: 'Cardiff', lat: 51.4816, lng: -3.1791, country: 'Wales', force: 'south-wales', coverage: 'street' },
+  { slug: 'bradford', name: 'Bradford', lat: 53.7960, lng: -1.7594, country: 'England', force: 'west-yorkshire', coverage: 'street' },
+  { slug: 'glasgow', name: 'Glasgow', lat: 55.8642, lng: -4.2518, country: 'Scotland', force: null, coverage: 'none' }
+];
+
+describe('CityRegistry', () => {
+  const registry = new CityRegistry(CITIES);
+
+  test('looks cities up by slug and by name', () => {
+    expect(registry.get('cardiff').name).toBe('Cardiff');
+    expect(registry.findByName('Glasgow').slug).toBe('glasgow');
+    expect(registry.get('atlantis')).toBeNull();
+    expect(registry.findByName('Atlantis')).toBeNull();
+  });
+
+  test('fills in optional fields', () => {
+    expect(registry.get('leeds')).toMatchObject({ region: null, population: null, featured: false });
+  });
+
+  test('keeps registry order', () => {
+    expect(registry.slugs()).toEqual(['leeds', 'cardiff', 'bradford', 'glasgow']);
+    expect(registry.all().map(city => city.name)).toEqual(['Leeds', 'Cardiff', 'Bradford', 'Glasgow']);
+  });
+
+  test('lists the cities policed by one force', () => {
+    expect(registry.inForce('west-yorkshire').map(city => city.slug)).toEqual(['leeds', 'bradford']);
+    expect(registry.inForce('kent')).toEqual([]);
+  });
+
+  test('groups cities by country, sorted by name, and marks countries without coverage', () => {
+    expect(registry.byCountry().map(({ country, covered, cities }) =>
+      [country, covered, cities.map(city => city.slug)])).toEqual([
+      ['England', true, ['bradford', 'leeds']],
+      ['Wales', true, ['cardiff']],
+      ['Scotland', false, ['glasgow']]
+    ]);
+  });
+
+  test('puts cities without a country under Other', () => {
+    const [group] = new CityRegistry([{ ...CITIES[0], country: undefined }]).byCountry();
+    expect(group.country).toBe('Other');
+  });
+
+  test.each([
+    [{ ...CITIES[0], slug: 'Leeds City' }, /cities\[0\].*slug must be lower-case words joined by hyphens/],
+    [{ ...CITIES[0], name: '' }, /cities\[0\] \(leeds\): name is required/],
+    [{ ...CITIES[0], lat: 95 }, /lat\/lng must be valid coordinates/],
+    [{ ...CITIES[0], coverage: 'partial' }, /coverage must be one of street, none/],
+    [{ ...CITIES[0], force: null }, /a covered city needs a force id/]
+  ])('rejects an invalid entry %#', (city, error) => {
+    expect(() => new CityRegistry([city])).toThrow(error);
+  });
+
+  test('rejects duplicate slugs', () => {
+    expect(() => new CityRegistry([CITIES[0], { ...CITIES[1], slug: 'leeds' }])).toThrow('City slugs must be unique');
+  });
+});
+
+describe('CityRegistry.fromFile', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cities-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('loads a JSON array', () => {
+    const file = path.join(dir, 'cities.json');
+    fs.writeFileSync(file, JSON.stringify(CITIES));
+    expect(CityRegistry.fromFile(file).slugs()).toHaveLength(4);
+  });
+
+  test('names the file it could not read', () => {
+    const file = path.join(dir, 'cities.json');
+    fs.writeFileSync(file, '[{');
+    expect(() => CityRegistry.fromFile(file)).toThrow(`Unable to read city registry ${file}`);
+    expect(() => CityRegistry.fromFile(path.join(dir, 'missing.json'))).toThrow(/ENOENT/);
+  });
+
+  test('requires an array', () => {
+    const file = path.join(dir, 'cities.json');
+    fs.writeFileSync(file, JSON.stringify({ leeds: CITIES[0] }));
+    expect(() => CityRegistry.fromFile(file)).toThrow('must be a JSON array');
+  });
+
+  test('the shipped registry is valid', () => {
+    const registry = CityRegistry.fromFile(path.join(__dirname, '..', 'data', 'cities.json'));
+    expect(registry.all().length).toBeGreaterThan(0);
+    expect(registry.all().filter(city => city.featured).length).toBeGreaterThan(0);
+  });
+});
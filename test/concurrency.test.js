@@ -0,0 +1,35 @@
+const { mapSettled } = require('../lib/concurrency');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('mapSettled', () => {
+  test('settles every item in order, keeping failures', async () => {
+    const results = await mapSettled([1, 2, 3], 2, async n => {
+      if (n === 2) throw new Error('two');
+      return n * 10;
+    });
+    expect(results).toEqual([
+      { status: 'fulfilled', value: 10 },
+      { status: 'rejected', reason: new Error('two') },
+      { status: 'fulfilled', value: 30 }
+    ]);
+  });
+
+  test('never runs more than `limit` calls at once', async () => {
+    let running = 0;
+    let peak = 0;
+    await mapSettled(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await tick();
+      running--;
+    });
+    expect(peak).toBe(3);
+  });
+
+  test('passes the index and copes with fewer items than the limit', async () => {
+    const results = await mapSettled(['a', 'b'], 8, async (item, index) => `${item}${index}`);
+    expect(results.map(r => r.value)).toEqual(['a0', 'b1']);
+    expect(await mapSettled([], 4, async () => 1)).toEqual([]);
+  });
+});
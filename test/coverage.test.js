@@ -0,0 +1,66 @@
+const { coverageAt, isAreaCovered, COVERED_REGIONS } = require('../lib/coverage');
+
+describe('coverageAt', () => {
+  test.each([
+    ['London', 51.5074, -0.1278, 'england-wales'],
+    ['Cardiff', 51.4816, -3.1791, 'england-wales'],
+    ['Carlisle', 54.8925, -2.9329, 'england-wales'],
+    ['Berwick-upon-Tweed', 55.7700, -2.0054, 'england-wales'],
+    ['Penzance', 50.1188, -5.5376, 'england-wales'],
+    ['Belfast', 54.5973, -5.9301, 'northern-ireland'],
+    ['Derry', 54.9966, -7.3086, 'northern-ireland']
+  ])('%s is covered', (_, lat, lng, id) => {
+    expect(coverageAt(lat, lng).id).toBe(id);
+  });
+
+  test.each([
+    ['Gretna', 55.0010, -3.0650],
+    ['Glasgow', 55.8642, -4.2518],
+    ['Edinburgh', 55.9533, -3.1883],
+    ['Douglas, Isle of Man', 54.1523, -4.4861],
+    ['St Helier, Jersey', 49.1868, -2.1070],
+    ['Dublin', 53.3498, -6.2603],
+    ['Donegal', 54.6538, -8.1096],
+    ['Calais', 50.9513, 1.8587]
+  ])('%s is not covered', (_, lat, lng) => {
+    expect(coverageAt(lat, lng)).toBeNull();
+  });
+
+  test('names the region', () => {
+    expect(coverageAt(54.5973, -5.9301)).toEqual({ id: 'northern-ireland', name: 'Northern Ireland' });
+  });
+
+  test('regions are listed clockwise', () => {
+    // Positive shoelace sum over [lng, lat] means clockwise
+    COVERED_REGIONS.forEach(({ polygon }) => {
+      const sum = polygon.reduce((total, [lat, lng], i) => {
+        const [nextLat, nextLng] = polygon[(i + 1) % polygon.length];
+        return total + (nextLng - lng) * (nextLat + lat);
+      }, 0);
+      expect(sum).toBeGreaterThan(0);
+    });
+  });
+});
+
+describe('isAreaCovered', () => {
+  test('checks a point area', () => {
+    expect(isAreaCovered({ lat: 53.8008, lng: -1.5491 })).toBe(true);
+    expect(isAreaCovered({ lat: 55.8642, lng: -4.2518 })).toBe(false);
+  });
+
+  test('accepts a polygon with any covered vertex', () => {
+    // Straddles the border between Gretna and Carlisle
+    expect(isAreaCovered({ poly: [[55.02, -3.1], [55.02, -2.95], [54.9, -2.95], [54.9, -3.1]] })).toBe(true);
+  });
+
+  test('accepts a polygon whose centre alone is covered', () => {
+    // Corners in the Highlands, northern France and the west of Ireland; centre in Wales
+    const poly = [[56.5, -4.0], [50.0, 2.5], [52.5, -9.0]];
+    expect(poly.every(([lat, lng]) => coverageAt(lat, lng) === null)).toBe(true);
+    expect(isAreaCovered({ poly })).toBe(true);
+  });
+
+  test('rejects a polygon entirely outside coverage', () => {
+    expect(isAreaCovered({ poly: [[55.9, -4.3], [55.9, -4.2], [55.8, -4.2]] })).toBe(false);
+  });
+});
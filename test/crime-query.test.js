@@ -0,0 +1,84 @@
+const { CRIME_FIELDS, projectCrime, queryFingerprint, encodeCursor, decodeCursor } = require('../lib/crime-query');
+
+const CRIME = {
+  category: 'burglary',
+  month: '2025-06',
+  id: 123,
+  persistent_id: 'abc',
+  context: '',
+  location_type: 'Force',
+  location_subtype: '',
+  location: { latitude: '51.5', longitude: '-0.1', street: { id: 9, name: 'On or near High Street' } },
+  outcome_status: null
+};
+
+describe('projectCrime', () => {
+  test('keeps only the selected top-level fields', () => {
+    expect(projectCrime(CRIME, ['category', 'month'])).toEqual({ category: 'burglary', month: '2025-06' });
+  });
+
+  test('picks nested fields into the same shape', () => {
+    expect(projectCrime(CRIME, ['location.latitude', 'location.street.name'])).toEqual({
+      location: { latitude: '51.5', street: { name: 'On or near High Street' } }
+    });
+  });
+
+  test('skips fields already inside another selected field', () => {
+    expect(projectCrime(CRIME, ['location.street.id', 'location'])).toEqual({ location: CRIME.location });
+  });
+
+  test('gives null under a missing parent', () => {
+    expect(projectCrime(CRIME, ['outcome_status.category', 'outcome_status.date'])).toEqual({
+      outcome_status: { category: null, date: null }
+    });
+    expect(projectCrime({}, ['context'])).toEqual({ context: null });
+  });
+
+  test('keeps empty strings and zeros as they are', () => {
+    expect(projectCrime({ ...CRIME, id: 0 }, ['id', 'context'])).toEqual({ id: 0, context: '' });
+  });
+
+  test('every selectable field resolves on a full crime', () => {
+    const full = { ...CRIME, outcome_status: { category: 'Under investigation', date: '2025-07' } };
+    CRIME_FIELDS.forEach(field => {
+      const value = field.split('.').reduce((parent, key) => parent[key], projectCrime(full, [field]));
+      expect(value).not.toBeNull();
+    });
+  });
+});
+
+describe('cursors', () => {
+  const fingerprint = queryFingerprint(['51.5,-0.1', '2025-06', 'burglary']);
+
+  test('round-trip an offset for the same query', () => {
+    expect(decodeCursor(encodeCursor(500, fingerprint), fingerprint)).toBe(500);
+    expect(decodeCursor(encodeCursor(0, fingerprint), fingerprint)).toBe(0);
+  });
+
+  test('are URL-safe', () => {
+    expect(encodeCursor(123456, fingerprint)).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  test('fingerprints differ by area, month and filter, not by filter order', () => {
+    expect(queryFingerprint(['51.5,-0.1', '2025-07', 'burglary'])).not.toBe(fingerprint);
+    expect(queryFingerprint(['51.6,-0.1', '2025-06', 'burglary'])).not.toBe(fingerprint);
+    expect(queryFingerprint(['51.5,-0.1', '2025-06', ''])).not.toBe(fingerprint);
+    expect(queryFingerprint(['51.5,-0.1', '2025-06', 'burglary'])).toBe(fingerprint);
+  });
+
+  test('are refused for another query', () => {
+    const other = queryFingerprint(['51.5,-0.1', '2025-07', 'burglary']);
+    expect(decodeCursor(encodeCursor(500, other), fingerprint)).toBeNull();
+  });
+
+  test.each([
+    ['not base64 json', 'abc'],
+    ['empty', ''],
+    ['a negative offset', Buffer.from(JSON.stringify({ o: -1, q: 'x' })).toString('base64url')],
+    ['a fractional offset', Buffer.from(JSON.stringify({ o: 1.5, q: 'x' })).toString('base64url')],
+    ['a string offset', Buffer.from(JSON.stringify({ o: '5', q: 'x' })).toString('base64url')],
+    ['JSON null', Buffer.from('null').toString('base64url')]
+  ])('are refused when %s', (_, cursor) => {
+    expect(decodeCursor(cursor, 'x')).toBeNull();
+  });
+});
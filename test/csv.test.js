@@ -0,0 +1,71 @@
+const { Readable } = require('stream');
+const { readCsvRecords, readCsvRows, formatCsvRow } = require('../lib/csv');
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+}
+
+const rows = (...chunks) => collect(readCsvRows(Readable.from(chunks)));
+const records = (...chunks) => collect(readCsvRecords(Readable.from(chunks)));
+
+describe('readCsvRows', () => {
+  test('splits plain fields and LF or CRLF lines', async () => {
+    expect(await rows('a,b,c\r\n1,2,3\n')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+  });
+
+  test('reads quoted fields with commas, doubled quotes and line breaks', async () => {
+    expect(await rows('"On or near ""The Street"", Soho","line one\nline two",x\n'))
+      .toEqual([['On or near "The Street", Soho', 'line one\nline two', 'x']]);
+  });
+
+  test('keeps empty fields and a last line with no line break', async () => {
+    expect(await rows('a,,c\n,,\nlast')).toEqual([['a', '', 'c'], ['', '', ''], ['last']]);
+  });
+
+  test('handles rows, quotes and characters split across chunks', async () => {
+    const text = Buffer.from('name,place\n"Ynys Môn, ""Anglesey""",Caergybi\n');
+    const split = text.indexOf('ô') + 1; // inside the two-byte character
+    expect(await rows(text.subarray(0, 14), text.subarray(14, split), text.subarray(split)))
+      .toEqual([['name', 'place'], ['Ynys Môn, "Anglesey"', 'Caergybi']]);
+  });
+});
+
+describe('readCsvRecords', () => {
+  test('keys rows by a trimmed header, dropping a byte order mark', async () => {
+    expect(await records('﻿Crime ID, Month\nabc,2019-06\n'))
+      .toEqual([{ 'Crime ID': 'abc', Month: '2019-06' }]);
+  });
+
+  test('skips blank lines and fills short rows with empty strings', async () => {
+    expect(await records('a,b,c\n1,2,3\n\n4\n')).toEqual([
+      { a: '1', b: '2', c: '3' },
+      { a: '4', b: '', c: '' }
+    ]);
+  });
+
+  test('yields nothing for a header-only file', async () => {
+    expect(await records('a,b\n')).toEqual([]);
+  });
+});
+
+describe('formatCsvRow', () => {
+  test('joins plain values with commas and ends with CRLF', () => {
+    expect(formatCsvRow(['burglary', '2025-06', 51.5, -0.1])).toBe('burglary,2025-06,51.5,-0.1\r\n');
+  });
+
+  test('writes null and undefined as empty fields, but keeps zero and false', () => {
+    expect(formatCsvRow([null, undefined, 0, false, ''])).toBe(',,0,false,\r\n');
+  });
+
+  test('quotes fields with commas, quotes or line breaks', () => {
+    expect(formatCsvRow(['On or near High Street, Leeds', 'say "hi"', 'two\nlines', 'cr\r'])).toBe(
+      '"On or near High Street, Leeds","say ""hi""","two\nlines","cr\r"\r\n');
+  });
+
+  test('round-trips through the reader', async () => {
+    const values = ['a,b', '"quoted"', 'multi\r\nline', '', 'plain'];
+    expect(await rows(formatCsvRow(values), formatCsvRow(['x']))).toEqual([values, ['x']]);
+  });
+});
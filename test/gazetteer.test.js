@@ -0,0 +1,278 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Gazetteer, normaliseName, normalisePostcode } = require('../lib/gazetteer');
+
+const BUILT_IN = [
+  { name: 'Newport', type: 'city', lat: 51.5842, lng: -2.9977, area: 'Newport', population: 159600 },
+  { name: 'Leeds', type: 'city', lat: 53.8008, lng: -1.5491, area: 'West Yorkshire', population: 812000 }
+];
+
+let dir;
+
+function writeJson(name, value) {
+  const file = path.join(dir, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(value));
+}
+
+function importData({ places = [], outcodes = {}, postcodes = {} } = {}) {
+  writeJson('places.json', places);
+  writeJson('outcodes.json', outcodes);
+  Object.entries(postcodes).forEach(([outcode, file]) => writeJson(`postcodes/${outcode}.json`, file));
+  writeJson('manifest.json', { importedAt: '2025-01-01T00:00:00.000Z' });
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gazetteer-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe('normalising', () => {
+  test.each([
+    ['  Stoke-on-Trent ', 'stoke on trent'],
+    ['Ynys Môn', 'ynys mon'],
+    ['Brighton & Hove', 'brighton and hove'],
+    ["King's Lynn", 'king s lynn'],
+    [null, '']
+  ])('normaliseName(%p)', (input, expected) => {
+    expect(normaliseName(input)).toBe(expected);
+  });
+
+  test.each([
+    ['sw1a1aa', 'SW1A 1AA'],
+    [' SW1A   1AA ', 'SW1A 1AA'],
+    ['m1 1ae', 'M1 1AE'],
+    ['SW1A', null],
+    ['not a postcode', null],
+    [undefined, null]
+  ])('normalisePostcode(%p)', (input, expected) => {
+    expect(normalisePostcode(input)).toBe(expected);
+  });
+});
+
+describe('built-in places only', () => {
+  test('finds a place by exact name without any imported data', async () => {
+    const gazetteer = new Gazetteer({ dir: null, places: BUILT_IN });
+    expect(await gazetteer.geocode('leeds')).toEqual([
+      { name: 'Leeds', type: 'city', lat: 53.8008, lng: -1.5491, area: 'West Yorkshire' }
+    ]);
+  });
+
+  test('treats a postcode as a miss rather than failing', async () => {
+    const gazetteer = new Gazetteer({ dir: null, places: BUILT_IN });
+    expect(await gazetteer.geocode('LS1 1UR')).toEqual([]);
+    expect(gazetteer.stats()).toMatchObject({ lookups: 1, misses: 1 });
+  });
+
+  test('carries on with built-in places when the data directory is empty', async () => {
+    const gazetteer = new Gazetteer({ dir, places: BUILT_IN });
+    expect(await gazetteer.geocode('Newport')).toHaveLength(1);
+    expect(gazetteer.stats().importedAt).toBeNull();
+  });
+});
+
+describe('imported data', () => {
+  let gazetteer;
+
+  beforeEach(() => {
+    importData({
+      places: [
+        ['Newport', 'town', 50.7006, -1.2920, 'Isle of Wight'],
+        ['Newport', 'city', 51.585, -2.998, 'Newport'],       // the built-in Newport again
+        ['Newport Pagnell', 'town', 52.0870, -0.7220, 'Milton Keynes'],
+        ['Newport', 'village', 51.9481, 0.2139, 'Essex'],
+        ['Headingley', 'suburb', 53.8191, -1.5784, 'Leeds']
+      ],
+      outcodes: { LS6: [53.8190, -1.5760, 2], SW1A: [51.5010, -0.1416, 1] },
+      postcodes: { LS6: { 'LS6 3HN': [53.8195, -1.5790], 'LS6 1AA': [53.8101, -1.5601] } }
+    });
+    gazetteer = new Gazetteer({ dir, places: BUILT_IN });
+  });
+
+  test('drops imported places that repeat a nearby built-in place', async () => {
+    await gazetteer.refresh();
+    const newports = gazetteer.findPlaces('newport', 10);
+    expect(newports.map(p => p.area)).toEqual(['Newport', 'Isle of Wight', 'Essex']);
+    expect(gazetteer.stats().places).toBe(BUILT_IN.length + 4);
+  });
+
+  test('ranks exact matches by settlement type', async () => {
+    const [first, second, third] = await gazetteer.geocode('Newport');
+    expect([first.type, second.type, third.type]).toEqual(['city', 'town', 'village']);
+  });
+
+  test('narrows matches with ", Area"', async () => {
+    expect(await gazetteer.geocode('Newport, Isle of Wight')).toEqual([
+      { name: 'Newport', type: 'town', lat: 50.7006, lng: -1.2920, area: 'Isle of Wight' }
+    ]);
+    expect(await gazetteer.geocode('Newport, Cornwall')).toEqual([]);
+  });
+
+  test('falls back to places starting with the query', async () => {
+    expect((await gazetteer.geocode('Newport Pag')).map(p => p.name)).toEqual(['Newport Pagnell']);
+    expect((await gazetteer.geocode('head')).map(p => p.name)).toEqual(['Headingley']);
+     expect(await gazetteer.geocode('pagnell')).toEqual([]);
+  });
+
+  test('respects the limit', async () => {
+    expect(await gazetteer.geocode('Newport', { limit: 2 })).toHaveLength(2);
+  });
+
+  test('resolves a full postcode from its district file', async () => {
+    expect(await gazetteer.geocode('ls63hn')).toEqual([
+      { name: 'LS6 3HN', type: 'postcode', lat: 53.8195, lng: -1.5790, area: 'LS6' }
+    ]);
+  });
+
+  test('falls back to the district centre for an unknown postcode in a known district', async () => {
+    expect(await gazetteer.geocode('LS6 9ZZ')).toEqual([
+      { name: 'LS6', type: 'outcode', lat: 53.8190, lng: -1.5760, area: null }
+    ]);
+  });
+
+  test('resolves a postcode district', async () => {
+    expect((await gazetteer.geocode('sw1a'))[0]).toMatchObject({ name: 'SW1A', type: 'outcode' });
+  });
+
+  test('counts postcode hits, place hits and misses', async () => {
+    await gazetteer.geocode('LS6 3HN');
+    await gazetteer.geocode('Leeds');
+    await gazetteer.geocode('Atlantis');
+    expect(gazetteer.stats()).toMatchObject({ lookups: 3, postcodeHits: 1, placeHits: 1, misses: 1, outcodes: 2 });
+  });
+
+  test('reloads only when the manifest changes', async () => {
+    await gazetteer.refresh();
+    expect(await gazetteer.geocode('Headingley')).toHaveLength(1);
+
+    // A new import rewrites the data files and then the manifest
+    writeJson('places.json', [['Kirkstall', 'suburb', 53.8170, -1.6010, 'Leeds']]);
+    expect(await gazetteer.geocode('Kirkstall')).toEqual([]);
+
+    const later = new Date(Date.now() + 60000);
+    writeJson('manifest.json', { importedAt: later.toISOString() });
+    fs.utimesSync(path.join(dir, 'manifest.json'), later, later);
+    expect(await gazetteer.geocode('Kirkstall')).toHaveLength(1);
+    expect(await gazetteer.geocode('Headingley')).toEqual([]);
+    expect(gazetteer.stats().importedAt).toBe(later.toISOString());
+  });
+
+  test('evicts the oldest postcode district file beyond its cache size', async () => {
+    gazetteer.maxPostcodeFiles = 1;
+    await gazetteer.geocode('LS6 3HN');
+    await gazetteer.geocode('SW1A 1AA');
+    expect([...gazetteer.postcodeFiles.keys()]).toEqual(['SW1A']);
+  });
+});
+
+describe('search', () => {
+  let gazetteer;
+
+  beforeEach(() => {
+    importData({
+      places: [
+        ['Headingley', 'suburb', 53.8191, -1.5784, 'Leeds'],
+        ['Leek', 'town', 53.1050, -2.0260, 'Staffordshire']
+      ],
+      outcodes: {
+        LS1: [53.7970, -1.5450, 1], LS10: [53.7650, -1.5300, 1], LS6: [53.8190, -1.5760, 3], L1: [53.4050, -2.9800, 1]
+      },
+      postcodes: { LS6: { 'LS6 3HN': [53.8195, -1.5790], 'LS6 3HA': [53.8180, -1.5770], 'LS6 1AA': [53.8101, -1.5601] } }
+    });
+    gazetteer = new Gazetteer({ dir, places: BUILT_IN });
+  });
+
+  test('ranks built-in and imported places together', async () => {
+    const hits = await gazetteer.search('lee');
+    expect(hits.map(h => h.name)).toEqual(['Leeds', 'Leek']);
+    expect(hits[0]).toMatchObject({ type: 'city', area: 'West Yorkshire' });
+    expect(hits[0].score).toBeGreaterThan(hits[1].score);
+  });
+
+  test('finds places despite a typo', async () => {
+    expect((await gazetteer.search('headingly')).map(h => h.name)).toEqual(['Headingley']);
+  });
+
+  test('lists postcode districts starting with the query, shortest first', async () => {
+    expect((await gazetteer.search('ls1')).map(h => h.name)).toEqual(['LS1', 'LS10']);
+    expect((await gazetteer.search('l1'))[0]).toMatchObject({ name: 'L1', type: 'outcode' });
+  });
+
+  test('lists full postcodes once the query runs past a district', async () => {
+    expect((await gazetteer.search('ls63h')).map(h => h.name)).toEqual(['LS6 3HA', 'LS6 3HN']);
+    expect((await gazetteer.search('LS6 3HN'))[0]).toMatchObject({ name: 'LS6 3HN', type: 'postcode', area: 'LS6' });
+  });
+
+  test('waits for a district digit before searching postcodes, and respects the limit', async () => {
+    expect(await gazetteer.searchPostcodes('ls', 5)).toEqual([]);
+    expect((await gazetteer.search('ls6', { limit: 1 })).map(h => h.name)).toEqual(['LS6']);
+  });
+
+  test('does not search postcodes without imported data', async () => {
+    const builtInOnly = new Gazetteer({ dir: null, places: BUILT_IN });
+    expect(await builtInOnly.searchPostcodes('LS6', 5)).toEqual([]);
+  });
+});
+
+describe('nearest', () => {
+  let gazetteer;
+
+  beforeEach(() => {
+    importData({
+      places: [
+        ['Headingley', 'suburb', 53.8191, -1.5784, 'Leeds'],
+        ['Otley', 'town', 53.9050, -1.6930, 'Leeds'],
+        ['Headingley Lane', 'street', 53.8150, -1.5700, 'Leeds']
+      ],
+      outcodes: { LS6: [53.8190, -1.5760, 3], LS1: [53.7970, -1.5450, 1] }
+    });
+    gazetteer = new Gazetteer({ dir, places: BUILT_IN });
+  });
+
+  test('prefers the suburb a point is in over the city around it', async () => {
+    const place = await gazetteer.nearest(53.8200, -1.5790);
+    expect(place).toMatchObject({ name: 'Headingley', type: 'suburb', area: 'Leeds', within: true, outcode: 'LS6' });
+    expect(place.distanceKm).toBeLessThan(0.2);
+  });
+
+  test('falls back to the city outside any suburb', async () => {
+    expect(await gazetteer.nearest(53.7900, -1.5300)).toMatchObject({ name: 'Leeds', within: true, outcode: 'LS1' });
+  });
+
+  test('never answers with a street', async () => {
+    expect((await gazetteer.nearest(53.8150, -1.5700)).type).not.toBe('street');
+  });
+
+  test('reports the closest place as only near it outside every radius', async () => {
+    // Open country about 6 km north-west of Otley
+    const place = await gazetteer.nearest(53.9500, -1.7600);
+    expect(place).toMatchObject({ name: 'Otley', within: false, outcode: null });
+    expect(place.distanceKm).toBeGreaterThan(4);
+  });
+
+  test('returns null with nothing within range', async () => {
+    expect(await gazetteer.nearest(55.5, -4.5)).toBeNull();
+    expect(gazetteer.stats().reverseLookups).toBe(1);
+  });
+
+  test('finds places across grid cell boundaries', async () => {
+    // South-west of Otley, one grid cell down and one to the left of it
+    expect(await gazetteer.nearest(53.8950, -1.7600)).toMatchObject({ name: 'Otley', within: false });
+  });
+});
+
+describe('nearestOutcode', () => {
+  test('returns the closest district within a town radius', async () => {
+    importData({ outcodes: { LS6: [53.8190, -1.5760, 3], LS1: [53.7970, -1.5450, 1] } });
+    const gazetteer = new Gazetteer({ dir, places: BUILT_IN });
+    await gazetteer.refresh();
+    expect(gazetteer.nearestOutcode(53.7980, -1.5460)).toBe('LS1');
+    expect(gazetteer.nearestOutcode(53.9, -1.9)).toBeNull();
+  });
+});
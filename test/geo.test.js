@@ -0,0 +1,206 @@
+const geo = require('../lib/geo');
+
+// About 5.6 km north-south by 3.5 km east-west, around central London
+const SQUARE = [[51.50, -0.15], [51.55, -0.15], [51.55, -0.10], [51.50, -0.10]];
+
+describe('parsePolygon', () => {
+  test('parses a lat,lng:lat,lng list', () => {
+    const result = geo.parsePolygon('51.50,-0.15:51.55,-0.15:51.55,-0.10:51.50,-0.10');
+    expect(result.valid).toBe(true);
+    expect(result.points).toEqual(SQUARE);
+    expect(result.areaKm2).toBeCloseTo(19.3, 0);
+  });
+
+  test('parses a GeoJSON Polygon, swapping [lng, lat] and dropping the closing vertex', () => {
+    const ring = [...SQUARE, SQUARE[0]].map(([lat, lng]) => [lng, lat]);
+    const polygon = { type: 'Polygon', coordinates: [ring] };
+    expect(geo.parsePolygon(JSON.stringify(polygon)).points).toEqual(SQUARE);
+    expect(geo.parsePolygon({ type: 'Feature', geometry: polygon }).points).toEqual(SQUARE);
+  });
+
+  test('drops an explicit closing vertex from a lat,lng list', () => {
+    const result = geo.parsePolygon('51.5,-0.15:51.55,-0.15:51.55,-0.1:51.5,-0.15');
+    expect(result.points).toHaveLength(3);
+  });
+
+  test.each([
+    [undefined, 'Polygon is required'],
+    ['', 'Polygon is required'],
+    ['{"type":', 'Polygon GeoJSON is not valid JSON'],
+    ['{"type":"Point","coordinates":[0,51]}', 'GeoJSON must be a Polygon geometry or a Feature containing one'],
+    ['51.5,-0.1:abc,def:51.6,-0.2', 'Polygon contains an invalid coordinate'],
+    ['91,0:51,0:51,1', 'Polygon contains an invalid coordinate'],
+    ['51.5,-0.1:51.6,-0.1', 'Polygon needs at least 3 vertices'],
+    ['51.5,-0.1:51.6,-0.1:51.7,-0.1', 'Polygon has no area']
+  ])('rejects %p', (input, error) => {
+    expect(geo.parsePolygon(input)).toEqual({ valid: false, error });
+  });
+
+  test('enforces the vertex limit', () => {
+    const circle = Array.from({ length: 101 }, (_, i) => {
+      const angle = 2 * Math.PI * i / 101;
+      return `${(51.5 + 0.01 * Math.sin(angle)).toFixed(5)},${(-0.1 + 0.01 * Math.cos(angle)).toFixed(5)}`;
+    }).join(':');
+    expect(geo.parsePolygon(circle).error).toBe('Polygon may have at most 100 vertices');
+    expect(geo.parsePolygon(circle, { ...geo.POLYGON_LIMITS, maxVertices: 200 }).valid).toBe(true);
+  });
+
+  test('enforces the area limit', () => {
+    // 0.2° of latitude by 0.2° of longitude is about 22 km by 14 km
+    const large = '51.4,-0.2:51.6,-0.2:51.6,0:51.4,0';
+    expect(geo.parsePolygon(large).error).toMatch(/^Polygon covers 3\d\d\.\d km²; the limit is 100 km²$/);
+    expect(geo.parsePolygon(large, { ...geo.POLYGON_LIMITS, maxAreaKm2: 500 }).valid).toBe(true);
+  });
+});
+
+describe('polygon helpers', () => {
+  test('polygonAreaKm2 is independent of winding order', () => {
+    expect(geo.polygonAreaKm2([...SQUARE].reverse())).toBeCloseTo(geo.polygonAreaKm2(SQUARE), 6);
+  });
+
+  test('polygonBounds and boundsToPolygon round-trip a rectangle', () => {
+    const bounds = geo.polygonBounds(SQUARE);
+    expect(bounds).toEqual({ north: 51.55, south: 51.5, east: -0.1, west: -0.15 });
+    expect(geo.polygonBounds(geo.boundsToPolygon(bounds))).toEqual(bounds);
+  });
+
+  test('formatPolyParam rounds to five decimal places', () => {
+    expect(geo.formatPolyParam([[51.123456789, -0.987654321], [51.5, -0.1]]))
+      .toBe('51.12346,-0.98765:51.5,-0.1');
+  });
+
+  test('isLatLng checks ranges and finiteness', () => {
+    expect(geo.isLatLng(51.5, -0.1)).toBe(true);
+    expect(geo.isLatLng(-90, 180)).toBe(true);
+    expect(geo.isLatLng(90.1, 0)).toBe(false);
+    expect(geo.isLatLng(0, -180.1)).toBe(false);
+    expect(geo.isLatLng(NaN, 0)).toBe(false);
+  });
+});
+
+describe('viewport bounds', () => {
+  test('parseBounds reads numeric strings', () => {
+    expect(geo.parseBounds({ north: '51.6', south: '51.5', east: '-0.1', west: '-0.2' }))
+      .toEqual({ valid: true, bounds: { north: 51.6, south: 51.5, east: -0.1, west: -0.2 } });
+  });
+
+  test.each([
+    [{ north: '51.6', south: '51.5', east: '-0.1' }, 'north, south, east and west must all be numbers'],
+    [{ north: '95', south: '51.5', east: '-0.1', west: '-0.2' }, 'Bounds are outside valid latitude/longitude ranges'],
+    [{ north: '51.5', south: '51.6', east: '-0.1', west: '-0.2' }, 'Bounds must satisfy north > south and east > west'],
+    [{ north: '51.6', south: '51.5', east: '-0.2', west: '-0.2' }, 'Bounds must satisfy north > south and east > west']
+  ])('parseBounds rejects %p', (query, error) => {
+    expect(geo.parseBounds(query)).toEqual({ valid: false, error });
+  });
+
+  test('tileBounds snaps tiles to the grid so overlapping viewports share tiles', () => {
+    const a = geo.tileBounds({ north: 51.52, south: 51.49, east: -0.11, west: -0.17 }, 0.025, 0.04);
+    const b = geo.tileBounds({ north: 51.51, south: 51.48, east: -0.09, west: -0.15 }, 0.025, 0.04);
+    expect(a).toContainEqual({ north: 51.5, south: 51.475, east: -0.12, west: -0.16 });
+    expect(b).toContainEqual({ north: 51.5, south: 51.475, east: -0.12, west: -0.16 });
+  });
+
+  test('tileBounds covers the whole viewport', () => {
+    const bounds = { north: 51.52, south: 51.49, east: -0.11, west: -0.17 };
+    const tiles = geo.tileBounds(bounds, 0.025, 0.04);
+    expect(tiles).toHaveLength(2 * 3);
+    expect(Math.min(...tiles.map(t => t.south))).toBeLessThanOrEqual(bounds.south);
+    expect(Math.max(...tiles.map(t => t.north))).toBeGreaterThanOrEqual(bounds.north);
+    expect(Math.min(...tiles.map(t => t.west))).toBeLessThanOrEqual(bounds.west);
+    expect(Math.max(...tiles.map(t => t.east))).toBeGreaterThanOrEqual(bounds.east);
+  });
+
+  test('countTiles matches the tiles tileBounds builds', () => {
+    [
+      { north: 51.52, south: 51.49, east: -0.11, west: -0.17 },
+      { north: 51.5, south: 51.475, east: -0.12, west: -0.16 },
+      { north: 53.81234, south: 53.70001, east: -1.40009, west: -1.69999 },
+      { north: 51.5, south: 51.5, east: -0.1, west: -0.1 }
+    ].forEach(bounds => {
+      expect(geo.countTiles(bounds, 0.025, 0.04)).toBe(geo.tileBounds(bounds, 0.025, 0.04).length);
+    });
+  });
+
+  test('tileBounds does not add a tile past a north edge on the grid', () => {
+    expect(geo.tileBounds({ north: 51.5, south: 51.475, east: -0.12, west: -0.16 }, 0.025, 0.04)).toEqual([
+      { north: 51.5, south: 51.475, east: -0.12, west: -0.16 }
+    ]);
+  });
+
+  test('countTiles sizes a huge box without building it', () => {
+    const world = { north: 90, south: -90, east: 180, west: -180 };
+    expect(geo.countTiles(world, 0.025, 0.04)).toBe(7200 * 9000);
+    expect(geo.countTiles({ north: 60, south: 30, east: 30, west: -30 }, 0.025, 0.04)).toBe(1200 * 1500);
+  });
+
+  test('pointInBounds includes the edges', () => {
+    const bounds = { north: 51.6, south: 51.5, east: -0.1, west: -0.2 };
+    expect(geo.pointInBounds(51.55, -0.15, bounds)).toBe(true);
+    expect(geo.pointInBounds(51.6, -0.2, bounds)).toBe(true);
+    expect(geo.pointInBounds(51.61, -0.15, bounds)).toBe(false);
+  });
+
+  test('boundsAreaKm2 matches the polygon area of the rectangle', () => {
+    const bounds = { north: 51.55, south: 51.5, east: -0.1, west: -0.15 };
+    expect(geo.boundsAreaKm2(bounds)).toBeCloseTo(geo.polygonAreaKm2(SQUARE), 6);
+  });
+});
+
+describe('splitting areas', () => {
+  test('quadrants divide bounds into four equal parts', () => {
+    const parts = geo.quadrants({ north: 52, south: 51, east: 1, west: 0 });
+    expect(parts).toEqual([
+      { north: 52, south: 51.5, east: 0.5, west: 0 },
+      { north: 52, south: 51.5, east: 1, west: 0.5 },
+      { north: 51.5, south: 51, east: 0.5, west: 0 },
+      { north: 51.5, south: 51, east: 1, west: 0.5 }
+    ]);
+  });
+
+  test('clipping a polygon to its quadrants preserves its area', () => {
+    const triangle = [[51.5, -0.2], [51.6, -0.1], [51.5, 0]];
+    const parts = geo.quadrants(geo.polygonBounds(triangle))
+      .map(q => geo.clipPolygonToBounds(triangle, q))
+      .filter(part => part.length >= 3);
+    const total = parts.reduce((sum, part) => sum + geo.polygonAreaKm2(part), 0);
+    // Each part is projected about its own mean latitude, so allow a sliver of difference
+    expect(Math.abs(total / geo.polygonAreaKm2(triangle) - 1)).toBeLessThan(0.001);
+  });
+
+  test('clipping a rectangle to a rectangle inside it gives the inner rectangle', () => {
+    const inner = { north: 51.54, south: 51.51, east: -0.11, west: -0.14 };
+    const clipped = geo.clipPolygonToBounds(SQUARE, inner);
+    expect(geo.polygonBounds(clipped)).toEqual(inner);
+    expect(geo.polygonAreaKm2(clipped)).toBeCloseTo(geo.boundsAreaKm2(inner), 6);
+  });
+
+  test('clipping to a rectangle the polygon misses leaves fewer than three vertices', () => {
+    expect(geo.clipPolygonToBounds(SQUARE, { north: 52.1, south: 52, east: 1, west: 0.9 }).length).toBeLessThan(3);
+  });
+});
+
+describe('point queries', () => {
+  test('pointInPolygon handles concave polygons', () => {
+    // A U shape open to the north
+    const u = [[51.5, -0.2], [51.6, -0.2], [51.6, -0.17], [51.53, -0.17], [51.53, -0.13], [51.6, -0.13], [51.6, -0.1], [51.5, -0.1]];
+    expect(geo.pointInPolygon(51.55, -0.19, u)).toBe(true);
+    expect(geo.pointInPolygon(51.51, -0.15, u)).toBe(true);
+    expect(geo.pointInPolygon(51.55, -0.15, u)).toBe(false);
+    expect(geo.pointInPolygon(51.7, -0.15, u)).toBe(false);
+  });
+
+  test('distanceKm measures great-circle distance', () => {
+    expect(geo.distanceKm(51.5, -0.12, 51.5, -0.12)).toBe(0);
+    // One degree of latitude is about 111.2 km
+    expect(geo.distanceKm(51, 0, 52, 0)).toBeCloseTo(111.2, 1);
+    // London to Manchester, about 262 km
+    expect(geo.distanceKm(51.5074, -0.1278, 53.4808, -2.2426)).toBeCloseTo(262, -1);
+  });
+
+  test('radiusBounds encloses the circle', () => {
+    const bounds = geo.radiusBounds(51.5, -0.12, 1.609);
+    expect(geo.distanceKm(51.5, -0.12, bounds.north, -0.12)).toBeCloseTo(1.609, 3);
+    expect(geo.distanceKm(51.5, -0.12, 51.5, bounds.east)).toBeCloseTo(1.609, 3);
+    expect(bounds.south).toBeCloseTo(51.5 - (bounds.north - 51.5), 9);
+  });
+});
@@ -0,0 +1,88 @@
+const { crimeToFeature, crimesToFeatureCollection } = require('../lib/geojson');
+
+function crime(id, latitude, longitude, extra = {}) {
+  return {
+    id,
+    persistent_id: `p${id}`,
+    category: 'burglary',
+    month: '2025-06',
+    context: '',
+    location_type: 'Force',
+    location_subtype: '',
+    location: { latitude, longitude, street: { id: 1000 + id, name: `On or near Street ${id}` } },
+    outcome_status: null,
+    ...extra
+  };
+}
+
+describe('crimeToFeature', () => {
+  test('makes a Point with numeric [lng, lat] and flat properties', () => {
+    expect(crimeToFeature(crime(1, '51.5', '-0.1', { outcome_status: { category: 'Under investigation', date: '2025-07' } }))).toEqual({
+      type: 'Feature',
+      id: 1,
+      geometry: { type: 'Point', coordinates: [-0.1, 51.5] },
+      properties: {
+        id: 1,
+        persistent_id: 'p1',
+        category: 'burglary',
+        month: '2025-06',
+        street_id: 1001,
+        street_name: 'On or near Street 1',
+        location_type: 'Force',
+        location_subtype: null,
+        context: null,
+        outcome_category: 'Under investigation',
+        outcome_date: '2025-07'
+      }
+    });
+  });
+
+  test('gives null for missing properties rather than leaving them out', () => {
+    const feature = crimeToFeature({ location: { latitude: '51.5', longitude: '0' } });
+    expect(feature.id).toBeNull();
+    expect(Object.values(feature.properties).every(value => value === null)).toBe(true);
+    expect(feature.geometry.coordinates).toEqual([0, 51.5]);
+  });
+
+  test('keeps a street id of 0', () => {
+    const feature = crimeToFeature(crime(2, '51.5', '-0.1', { location: { latitude: '51.5', longitude: '-0.1', street: { id: 0 } } }));
+    expect(feature.properties.street_id).toBe(0);
+  });
+
+  test.each([
+    ['no location', { location: null }],
+    ['an empty latitude', { location: { latitude: '', longitude: '-0.1' } }],
+    ['a non-numeric longitude', { location: { latitude: '51.5', longitude: 'west' } }]
+  ])('gives null for a crime with %s', (_, extra) => {
+    expect(crimeToFeature(crime(3, '51.5', '-0.1', extra))).toBeNull();
+  });
+});
+
+describe('crimesToFeatureCollection', () => {
+  test('collects features with their bbox, leaving out crimes without a location', () => {
+    const collection = crimesToFeatureCollection([
+      crime(1, '51.5', '-0.1'),
+      crime(2, '51.6', '-0.3'),
+      crime(3, null, null),
+      crime(4, '51.4', '0.2')
+    ]);
+    expect(collection.type).toBe('FeatureCollection');
+    expect(collection.features.map(f => f.id)).toEqual([1, 2, 4]);
+    expect(collection.bbox).toEqual([-0.3, 51.4, 0.2, 51.6]);
+    expect(collection).not.toHaveProperty('metadata');
+  });
+
+  test('has no bbox when empty', () => {
+    expect(crimesToFeatureCollection([])).toEqual({ type: 'FeatureCollection', features: [] });
+  });
+
+  test('adds metadata as a foreign member', () => {
+    const metadata = { location: '51.5, -0.1', date: '2025-06', categories: null };
+    expect(crimesToFeatureCollection([crime(1, '51.5', '-0.1')], metadata).metadata).toBe(metadata);
+  });
+
+  test('survives a JSON round trip unchanged', () => {
+    const collection = crimesToFeatureCollection([crime(1, '51.5', '-0.1')], { date: '2025-06' });
+    expect(JSON.parse(JSON.stringify(collection))).toEqual(collection);
+  });
+});
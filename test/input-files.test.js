@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { eachInputFile } = require('../lib/input-files');
+
+let dir;
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// A zip with stored (uncompressed) entries; names ending in "/" are directories
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  entries.forEach(([name, text]) => {
+    const nameBuffer = Buffer.from(name);
+    const data = Buffer.from(text || '');
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stream.on('error', reject);
+  });
+}
+
+// Every file eachInputFile hands over, as [name, contents]
+async function collect(input) {
+  const files = [];
+  await eachInputFile(input, async (name, stream) => {
+    files.push([name, await readStream(stream)]);
+  });
+  return files;
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'input-files-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('reads a single file', async () => {
+  const file = path.join(dir, 'places.csv');
+  fs.writeFileSync(file, 'name\nLeeds\n');
+  expect(await collect(file)).toEqual([[file, 'name\nLeeds\n']]);
+});
+
+test('walks a directory recursively in name order', async () => {
+  fs.mkdirSync(path.join(dir, '2019-06'));
+  fs.mkdirSync(path.join(dir, '2019-05'));
+  fs.writeFileSync(path.join(dir, '2019-06', 'b.csv'), 'b');
+  fs.writeFileSync(path.join(dir, '2019-06', 'a.csv'), 'a');
+  fs.writeFileSync(path.join(dir, '2019-05', 'c.csv'), 'c');
+  fs.writeFileSync(path.join(dir, 'README'), 'readme');
+
+  expect(await collect(dir)).toEqual([
+    [path.join(dir, '2019-05', 'c.csv'), 'c'],
+    [path.join(dir, '2019-06', 'a.csv'), 'a'],
+    [path.join(dir, '2019-06', 'b.csv'), 'b'],
+    [path.join(dir, 'README'), 'readme']
+  ]);
+});
+
+test('reads zip entries in order, skipping directory entries', async () => {
+  const file = path.join(dir, 'archive.zip');
+  fs.writeFileSync(file, buildZip([
+    ['2019-06/', null],
+    ['2019-06/2019-06-avon-and-somerset-street.csv', 'Crime ID\n1\n'],
+    ['2019-06/2019-06-btp-street.csv', 'Crime ID\n2\n']
+  ]));
+
+  expect(await collect(file)).toEqual([
+    ['2019-06/2019-06-avon-and-somerset-street.csv', 'Crime ID\n1\n'],
+    ['2019-06/2019-06-btp-street.csv', 'Crime ID\n2\n']
+  ]);
+});
+
+test('moves past zip entries a handler only drains', async () => {
+  const file = path.join(dir, 'archive.zip');
+  fs.writeFileSync(file, buildZip([['skip.txt', 'ignored'], ['keep.csv', 'kept']]));
+
+  const kept = [];
+  await eachInputFile(file, async (name, stream) => {
+    if (!name.endsWith('.csv')) return stream.resume();
+    kept.push(await readStream(stream));
+  });
+  expect(kept).toEqual(['kept']);
+});
+
+test('rejects when a handler fails', async () => {
+  const file = path.join(dir, 'archive.zip');
+  fs.writeFileSync(file, buildZip([['a.csv', 'a']]));
+  await expect(eachInputFile(file, () => {
+    throw new Error('bad row');
+  })).rejects.toThrow('bad row');
+});
+
+test('rejects a file that is not a zip', async () => {
+  const file = path.join(dir, 'broken.zip');
+  fs.writeFileSync(file, 'not a zip');
+  await expect(collect(file)).rejects.toThrow();
+});
+
+test('rejects a missing input', async () => {
+  await expect(collect(path.join(dir, 'missing'))).rejects.toThrow(/ENOENT/);
+});
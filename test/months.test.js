@@ -0,0 +1,36 @@
+const { isValidMonth, addMonths, monthRange } = require('../lib/months');
+
+describe('isValidMonth', () => {
+  test.each(['2025-01', '2025-12', '1999-10'])('accepts %s', month => {
+    expect(isValidMonth(month)).toBe(true);
+  });
+
+  test.each(['2025-00', '2025-13', '2025-1', '25-01', '2025-01-01', '', null, 202501])('rejects %p', month => {
+    expect(isValidMonth(month)).toBe(false);
+  });
+});
+
+describe('addMonths', () => {
+  test('moves within a year', () => {
+    expect(addMonths('2025-03', 2)).toBe('2025-05');
+    expect(addMonths('2025-03', 0)).toBe('2025-03');
+  });
+
+  test('crosses year boundaries in both directions', () => {
+    expect(addMonths('2025-11', 3)).toBe('2026-02');
+    expect(addMonths('2025-02', -3)).toBe('2024-11');
+    expect(addMonths('2025-01', -1)).toBe('2024-12');
+    expect(addMonths('2025-08', -24)).toBe('2023-08');
+  });
+});
+
+describe('monthRange', () => {
+  test('lists months inclusively, oldest first, across a year end', () => {
+    expect(monthRange('2024-11', '2025-02')).toEqual(['2024-11', '2024-12', '2025-01', '2025-02']);
+  });
+
+  test('is a single month when from equals to, and empty when from is later', () => {
+    expect(monthRange('2025-08', '2025-08')).toEqual(['2025-08']);
+    expect(monthRange('2025-09', '2025-08')).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const { buildOpenApiSpec } = require('../lib/openapi');
+const { ERROR_STATUS } = require('../lib/api-errors');
+const { findUndocumented } = require('../lib/request-validator');
+
+const spec = buildOpenApiSpec({
+  version: '1.2.3',
+  rangeMaxMonths: 24,
+  rangeDefaultMonths: 12,
+  searchMinLength: 2,
+  searchDefaultLimit: 8,
+  searchMaxLimit: 20,
+  viewportMaxAreaKm2: 250,
+  crimesPageDefault: 500,
+  crimesPageMax: 10000
+});
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const operations = Object.entries(spec.paths).flatMap(([route, item]) =>
+  Object.entries(item).filter(([method]) => METHODS.includes(method)).map(([method, operation]) => ({ route, method, operation })));
+
+function collectRefs(node, refs = []) {
+  if (Array.isArray(node)) node.forEach(child => collectRefs(child, refs));
+  else if (node && typeof node === 'object') {
+    if (typeof node.$ref === 'string') refs.push(node.$ref);
+    Object.values(node).forEach(child => collectRefs(child, refs));
+  }
+  return refs;
+}
+
+function resolve(ref) {
+  return ref.replace(/^#\//, '').split('/').reduce((parent, key) => (parent ? parent[key] : undefined), spec);
+}
+
+describe('OpenAPI document', () => {
+  test('is OpenAPI 3.0 with the given version', () => {
+    expect(spec.openapi).toMatch(/^3\.0\./);
+    expect(spec.info.version).toBe('1.2.3');
+  });
+
+  test('every $ref resolves', () => {
+    const missing = [...new Set(collectRefs(spec))].filter(ref => resolve(ref) === undefined);
+    expect(missing).toEqual([]);
+  });
+
+  test('operation ids are unique', () => {
+    const ids = operations.map(({ operation }) => operation.operationId);
+    expect(ids.every(Boolean)).toBe(true);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  test('every parameter has a name, a location and a schema', () => {
+    operations.forEach(({ operation }) => (operation.parameters || []).forEach(ref => {
+      const parameter = ref.$ref ? resolve(ref.$ref) : ref;
+      expect(parameter).toEqual(expect.objectContaining({ name: expect.any(String), in: expect.any(String), schema: expect.any(Object) }));
+    }));
+  });
+
+  test('error codes exist and path parameters are required', () => {
+    operations.forEach(({ route, operation }) => (operation.parameters || []).forEach(ref => {
+      const parameter = ref.$ref ? resolve(ref.$ref) : ref;
+      if (parameter['x-error-code']) expect(ERROR_STATUS).toHaveProperty(parameter['x-error-code']);
+      if (parameter.in === 'path') {
+        expect(parameter.required).toBe(true);
+        expect(route).toContain(`{${parameter.name}}`);
+      }
+    }));
+  });
+
+  test('takes its limits from the server', () => {
+    const limitOf = operationId => operations.find(({ operation }) => operation.operationId === operationId)
+      .operation.parameters.find(parameter => parameter.name === 'limit').schema;
+    expect(limitOf('getCrimes')).toMatchObject({ maximum: 10000 });
+    expect(limitOf('search')).toMatchObject({ maximum: 20, default: 8 });
+  });
+
+  test('documents exactly the API routes server.js defines', () => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'server.js'), 'utf8');
+    const routes = [...source.matchAll(/^app\.(get|post|put|patch|delete)\('(\/api\/[^']*|\/health)'/gm)]
+      .map(([, method, route]) => ({ method, path: route }));
+    expect(routes.length).toBeGreaterThan(10);
+    expect(findUndocumented(spec, routes)).toEqual({ undocumented: [], unrouted: [] });
+  });
+});
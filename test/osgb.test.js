@@ -0,0 +1,31 @@
+const { gridToLatLng } = require('../lib/osgb');
+
+describe('gridToLatLng', () => {
+  test('matches the Ordnance Survey worked example (Caister water tower)', () => {
+    // OSGB36 52°39'28.7"N 1°43'4.5"E, about 52.65798, 1.71605 in WGS84
+    const point = gridToLatLng(651409.903, 313177.270);
+    expect(point.lat).toBeCloseTo(52.65798, 4);
+    expect(point.lng).toBeCloseTo(1.71605, 4);
+  });
+
+  test('places central London grid references in London', () => {
+    const point = gridToLatLng(530000, 180000);
+    expect(point.lat).toBeCloseTo(51.50399, 4);
+    expect(point.lng).toBeCloseTo(-0.12835, 4);
+  });
+
+  test('handles points west of the central meridian', () => {
+    // Land's End
+    const point = gridToLatLng(134000, 25300);
+    expect(point.lat).toBeGreaterThan(50.0);
+    expect(point.lat).toBeLessThan(50.1);
+    expect(point.lng).toBeGreaterThan(-5.75);
+    expect(point.lng).toBeLessThan(-5.65);
+  });
+
+  test('rounds to six decimal places', () => {
+    const { lat, lng } = gridToLatLng(400000, 300000);
+    expect(lat.toFixed(6)).toBe(String(lat));
+    expect(lng.toFixed(6)).toBe(String(lng));
+  });
+});
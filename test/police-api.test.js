@@ -0,0 +1,169 @@
+jest.mock('node-fetch', () => jest.fn());
+const fetch = require('node-fetch');
+const { PoliceApiClient, PoliceApiError, parseRetryAfter } = require('../lib/police-api');
+
+function reply(status, body = {}, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: `Status ${status}`,
+    headers: { get: name => headers[name.toLowerCase()] ?? null },
+    json: async () => body
+  };
+}
+
+function systemError(message) {
+  return Object.assign(new Error(message), { type: 'system' });
+}
+
+const client = (options = {}) => new PoliceApiClient({ baseDelay: 1, maxDelay: 50, ...options });
+
+beforeEach(() => {
+  fetch.mockReset();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+describe('parseRetryAfter', () => {
+  test('reads delta-seconds as milliseconds', () => {
+    expect(parseRetryAfter('5')).toBe(5000);
+    expect(parseRetryAfter('0')).toBe(0);
+  });
+
+  test('reads an HTTP date relative to now', () => {
+    const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+    const ms = parseRetryAfter(inTenSeconds);
+    expect(ms).toBeGreaterThan(8000);
+    expect(ms).toBeLessThanOrEqual(10000);
+  });
+
+  test('treats a date in the past as no wait', () => {
+    expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT')).toBe(0);
+  });
+
+  test('ignores missing and unparseable values', () => {
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter('')).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('PoliceApiClient', () => {
+  test('builds URLs from the base URL, dropping empty query values', () => {
+    const api = client({ baseUrl: 'http://upstream.test/api/' });
+    expect(api.buildUrl('/crimes-street/all-crime', { lat: 51.5, lng: -0.1, date: '', poly: null }))
+      .toBe('http://upstream.test/api/crimes-street/all-crime?lat=51.5&lng=-0.1');
+    expect(api.buildUrl('forces')).toBe('http://upstream.test/api/forces');
+  });
+
+  test('returns the parsed body of a successful response', async () => {
+    fetch.mockResolvedValueOnce(reply(200, [{ id: 'metropolitan' }]));
+    await expect(client().get('forces')).resolves.toEqual([{ id: 'metropolitan' }]);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries retryable statuses and then succeeds', async () => {
+    fetch
+      .mockResolvedValueOnce(reply(503))
+      .mockResolvedValueOnce(reply(502))
+      .mockResolvedValueOnce(reply(200, ['ok']));
+    const api = client();
+    await expect(api.get('forces')).resolves.toEqual(['ok']);
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(api.stats()).toMatchObject({ requests: 3, retries: 2, failures: 0 });
+  });
+
+  test('gives up after the configured retries with the last status', async () => {
+    fetch.mockResolvedValue(reply(500));
+    const api = client({ retries: 2 });
+    await expect(api.get('forces')).rejects.toMatchObject({ name: 'PoliceApiError', status: 500 });
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(api.stats().failures).toBe(1);
+  });
+
+  test('does not retry statuses outside the retry set', async () => {
+    fetch.mockResolvedValue(reply(404));
+    await expect(client().get('forces/nowhere')).rejects.toMatchObject({ status: 404 });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('retryOn overrides the retried statuses', async () => {
+    fetch.mockResolvedValue(reply(503));
+    await expect(client().get('crimes-street/all-crime', {}, { retryOn: new Set() }))
+      .rejects.toMatchObject({ status: 503 });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('waits for a short Retry-After before retrying', async () => {
+    fetch
+      .mockResolvedValueOnce(reply(429, {}, { 'retry-after': '0' }))
+      .mockResolvedValueOnce(reply(200, ['ok']));
+    await expect(client().get('forces')).resolves.toEqual(['ok']);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('passes a Retry-After longer than maxDelay on instead of retrying early', async () => {
+    fetch.mockResolvedValue(reply(429, {}, { 'retry-after': '60' }));
+    const error = await client({ maxDelay: 10000 }).get('forces').catch(err => err);
+    expect(error).toBeInstanceOf(PoliceApiError);
+    expect(error).toMatchObject({ status: 429, retryAfter: 60 });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports Retry-After in whole seconds when out of retries', async () => {
+    fetch.mockResolvedValue(reply(503, {}, { 'retry-after': '0.01' }));
+    await expect(client({ retries: 0 }).get('forces')).rejects.toMatchObject({ status: 503, retryAfter: 1 });
+  });
+
+  test('retries network errors but not timeouts', async () => {
+    fetch
+      .mockRejectedValueOnce(systemError('ECONNRESET'))
+      .mockResolvedValueOnce(reply(200, ['ok']));
+    await expect(client().get('forces')).resolves.toEqual(['ok']);
+
+    fetch.mockReset();
+    fetch.mockRejectedValue(Object.assign(new Error('network timeout'), { type: 'request-timeout' }));
+    await expect(client().get('forces')).rejects.toMatchObject({ timedOut: true, status: null });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('single-flight', () => {
+  test('concurrent calls for the same URL share one upstream request', async () => {
+    let resolve;
+    fetch.mockReturnValueOnce(new Promise(r => { resolve = r; }));
+    const api = client();
+    const first = api.get('crimes-street/all-crime', { lat: 51.5, lng: -0.1 });
+    const second = api.get('crimes-street/all-crime', { lat: 51.5, lng: -0.1 });
+    expect(api.stats()).toMatchObject({ inFlight: 1, coalesced: 1 });
+
+    resolve(reply(200, [{ id: 1 }]));
+    const [a, b] = await Promise.all([first, second]);
+    expect(a).toBe(b);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(api.stats().inFlight).toBe(0);
+  });
+
+  test('different URLs are fetched separately', async () => {
+    fetch.mockImplementation(async () => reply(200, []));
+    const api = client();
+    await Promise.all([api.get('forces'), api.get('crime-categories')]);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(api.stats().coalesced).toBe(0);
+  });
+
+  test('shares a failure, then fetches again on the next call', async () => {
+    fetch.mockResolvedValueOnce(reply(404));
+    const api = client();
+    const results = await Promise.allSettled([api.get('forces/x'), api.get('forces/x')]);
+    expect(results.map(r => r.status)).toEqual(['rejected', 'rejected']);
+    expect(api.stats().failures).toBe(1);
+
+    fetch.mockResolvedValueOnce(reply(200, { id: 'x' }));
+    await expect(api.get('forces/x')).resolves.toEqual({ id: 'x' });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,76 @@
+const { RateLimiter } = require('../lib/rate-limiter');
+
+let clock;
+const now = () => clock;
+
+beforeEach(() => {
+  clock = 1000000;
+});
+
+function limiter(options = {}) {
+  return new RateLimiter({
+    crimes: { capacity: 3, perMinute: 6 },
+    details: { capacity: 10, perMinute: 60 }
+  }, { now, ...options });
+}
+
+describe('RateLimiter', () => {
+  test('allows a full bucket as a burst, then refuses', () => {
+    const rl = limiter();
+    expect([1, 2, 3].map(() => rl.take('crimes', 'a').remaining)).toEqual([2, 1, 0]);
+    expect(rl.take('crimes', 'a')).toEqual({ allowed: false, limit: 3, remaining: 0, retryAfter: 10 });
+  });
+
+  test('refills at perMinute and counts down retryAfter', () => {
+    const rl = limiter();
+    for (let i = 0; i < 3; i++) rl.take('crimes', 'a');
+    clock += 4000;
+    expect(rl.take('crimes', 'a').retryAfter).toBe(6);
+    clock += 6000;
+    expect(rl.take('crimes', 'a').allowed).toBe(true);
+    expect(rl.take('crimes', 'a').allowed).toBe(false);
+  });
+
+  test('never refills past capacity', () => {
+    const rl = limiter();
+    rl.take('crimes', 'a');
+    clock += 3600000;
+    expect(rl.take('crimes', 'a').remaining).toBe(2);
+  });
+
+  test('keeps separate buckets per client and per budget', () => {
+    const rl = limiter();
+    for (let i = 0; i < 3; i++) rl.take('crimes', 'a');
+    expect(rl.take('crimes', 'a').allowed).toBe(false);
+    expect(rl.take('crimes', 'b').allowed).toBe(true);
+    expect(rl.take('details', 'a').allowed).toBe(true);
+  });
+
+  test('evicts the least recently used buckets', () => {
+    const rl = limiter({ maxClients: 2 });
+    for (let i = 0; i < 3; i++) rl.take('crimes', 'a');
+    rl.take('crimes', 'b');
+    rl.take('crimes', 'a');
+    rl.take('crimes', 'c');  // evicts b, which was used before a
+    expect(rl.take('crimes', 'a').allowed).toBe(false);
+    expect(rl.stats()).toMatchObject({ trackedClients: 2, evicted: 1 });
+  });
+
+  test('counts allowed and limited requests', () => {
+    const rl = limiter();
+    for (let i = 0; i < 5; i++) rl.take('crimes', 'a');
+    expect(rl.stats()).toMatchObject({ allowed: 3, limited: 2, limitedByBudget: { crimes: 2, details: 0 } });
+  });
+
+  test('rejects an unknown budget', () => {
+    expect(() => limiter().take('search', 'a')).toThrow('Unknown rate limit budget "search"');
+  });
+
+  test.each([
+    [{ capacity: 0, perMinute: 10 }],
+    [{ capacity: 10 }],
+    [{ capacity: -1, perMinute: -1 }]
+  ])('rejects an invalid budget %p', budget => {
+    expect(() => new RateLimiter({ bad: budget })).toThrow('Rate limit budget "bad" needs a positive capacity and perMinute');
+  });
+});
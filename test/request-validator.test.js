@@ -0,0 +1,161 @@
+const { createRequestValidator, findOperation, findUndocumented, toOpenApiPath } = require('../lib/request-validator');
+const { ApiError } = require('../lib/api-errors');
+
+const SPEC = {
+  paths: {
+    '/crimes': {
+      get: {
+        parameters: [
+          { $ref: '#/components/parameters/Lat' },
+          { name: 'date', in: 'query', schema: { type: 'string', pattern: '^\\d{4}-\\d{2}$' }, 'x-error-code': 'INVALID_DATE', 'x-error-message': 'date must be YYYY-MM' },
+          { name: 'category', in: 'query', schema: { type: 'array', items: { type: 'string', enum: ['burglary', 'drugs'] } } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100 } },
+          { name: 'summary', in: 'query', schema: { type: 'boolean' } },
+          { name: 'cursor', in: 'query', schema: { type: 'string' }, allowEmptyValue: true },
+          { name: 'X-Client', in: 'header', schema: { type: 'string', maxLength: 5 } }
+        ]
+      }
+    },
+    '/forces/{id}': {
+      get: { parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string', minLength: 2 } }] }
+    },
+    '/contact': {
+      post: {
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['email', 'message'],
+                properties: {
+                  email: { type: 'string', format: 'email' },
+                  message: { type: 'string', maxLength: 20 },
+                  tags: { type: 'array', items: { type: 'string' } }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/health': { get: {} }
+  },
+  components: {
+    parameters: {
+      Lat: { name: 'lat', in: 'query', required: true, schema: { $ref: '#/components/schemas/Latitude' }, 'x-error-code': 'INVALID_LOCATION' }
+    },
+    schemas: {
+      Latitude: { type: 'number', minimum: -90, maximum: 90 }
+    }
+  }
+};
+
+const validateRequest = createRequestValidator(SPEC);
+
+// Run the middleware on a fake request; resolves with what it passed to next()
+function validate({ method = 'GET', route, query = {}, params = {}, headers = {}, body, contentType = 'application/json' }) {
+  const req = { method, route: { path: route }, query, params, headers, body, is: types => (types.includes(contentType) ? contentType : false) };
+  let passed;
+  validateRequest(req, {}, value => {
+    passed = value;
+  });
+  return passed;
+}
+
+const crimes = query => validate({ route: '/api/crimes', query: { lat: '51.5', ...query } });
+
+describe('toOpenApiPath', () => {
+  test('drops the /api prefix and converts route parameters', () => {
+    expect(toOpenApiPath('/api/forces/:id/people')).toBe('/forces/{id}/people');
+    expect(toOpenApiPath('/health')).toBe('/health');
+  });
+
+  test('finds the operation for a route', () => {
+    expect(findOperation(SPEC, 'GET', '/api/forces/:id')).toBe(SPEC.paths['/forces/{id}'].get);
+    expect(findOperation(SPEC, 'POST', '/api/forces/:id')).toBeUndefined();
+  });
+});
+
+describe('parameters', () => {
+  test('passes a valid request', () => {
+    expect(crimes({ date: '2025-01', category: 'burglary,drugs', limit: '10', summary: 'true' })).toBeUndefined();
+  });
+
+  test('requires required parameters, through a $ref', () => {
+    const err = validate({ route: '/api/crimes', query: {} });
+    expect(err).toBeInstanceOf(ApiError);
+    expect(err).toMatchObject({ code: 'INVALID_LOCATION', message: 'lat is required' });
+    expect(crimes({ lat: '' })).toMatchObject({ message: 'lat is required' });
+  });
+
+  test('checks numbers against their range', () => {
+    expect(crimes({ lat: 'north' })).toMatchObject({ code: 'INVALID_LOCATION', message: 'lat must be a number from -90 to 90' });
+    expect(crimes({ lat: '91' })).toMatchObject({ message: 'lat must be a number from -90 to 90' });
+    expect(crimes({ limit: '1.5' })).toMatchObject({ code: 'INVALID_INPUT', message: 'limit must be a whole number from 1 to 100' });
+    expect(crimes({ limit: '0' })).toMatchObject({ message: 'limit must be a whole number from 1 to 100' });
+  });
+
+  test('uses the parameter\'s own error code and message', () => {
+    expect(crimes({ date: '2025/01' })).toMatchObject({ code: 'INVALID_DATE', message: 'date must be YYYY-MM' });
+  });
+
+  test('checks each item of a comma-separated list', () => {
+    expect(crimes({ category: 'burglary,arson' })).toMatchObject({ message: 'category[1] must be one of burglary, drugs' });
+  });
+
+  test('checks booleans', () => {
+    expect(crimes({ summary: 'yes' })).toMatchObject({ message: 'summary must be true or false' });
+  });
+
+  test('treats an empty optional value as absent unless allowEmptyValue is set', () => {
+    expect(crimes({ limit: '' })).toBeUndefined();
+    expect(crimes({ cursor: '' })).toBeUndefined();
+  });
+
+  test('refuses a repeated parameter', () => {
+    expect(crimes({ limit: ['1', '2'] })).toMatchObject({ message: 'limit must be given once' });
+  });
+
+  test('checks path parameters and headers', () => {
+    expect(validate({ route: '/api/forces/:id', params: { id: 'x' } })).toMatchObject({ message: 'id must be at least 2 characters' });
+    expect(validate({ route: '/api/crimes', query: { lat: '1' }, headers: { 'x-client': 'too long' } }))
+      .toMatchObject({ message: 'X-Client must be at most 5 characters' });
+  });
+});
+
+describe('request bodies', () => {
+  const contact = (body, contentType) => validate({ method: 'POST', route: '/api/contact', body, contentType });
+
+  test('passes a valid body', () => {
+    expect(contact({ email: 'a@example.com', message: 'Hello', tags: ['x'] })).toBeUndefined();
+  });
+
+  test('checks required properties and their schemas', () => {
+    expect(contact({ email: 'a@example.com' })).toMatchObject({ message: 'message is required' });
+    expect(contact({ email: 'a@example.com', message: '' })).toMatchObject({ message: 'message is required' });
+    expect(contact({ email: 'nobody', message: 'Hi' })).toMatchObject({ message: 'email must be an email address' });
+    expect(contact({ email: 'a@example.com', message: 'x'.repeat(21) })).toMatchObject({ message: 'message must be at most 20 characters' });
+    expect(contact({ email: 'a@example.com', message: 'Hi', tags: 'x' })).toMatchObject({ message: 'tags must be a list' });
+  });
+
+  test('requires an object in a documented content type', () => {
+    expect(contact([], 'application/json')).toMatchObject({ message: 'body must be an object' });
+    expect(contact('email=a', 'text/plain')).toMatchObject({ message: 'Send the request body as application/json' });
+  });
+});
+
+test('fails loudly for a route the document does not describe', () => {
+  const err = validate({ route: '/api/nowhere' });
+  expect(err).not.toBeInstanceOf(ApiError);
+  expect(err.message).toBe('No OpenAPI operation documents GET /api/nowhere');
+});
+
+test('findUndocumented lists routes and operations missing from the other side', () => {
+  const routes = [
+    { method: 'get', path: '/api/crimes' },
+    { method: 'get', path: '/api/forces/:id' },
+    { method: 'get', path: '/api/stops' },
+    { method: 'get', path: '/health' }
+  ];
+  expect(findUndocumented(SPEC, routes)).toEqual({ undocumented: ['GET /stops'], unrouted: ['POST /contact'] });
+});
@@ -0,0 +1,96 @@
+const { SearchIndex } = require('../lib/search-index');
+const { normaliseName } = require('../lib/gazetteer');
+
+const PLACES = [
+  { name: 'Milton Keynes', type: 'town', population: 287000 },
+  { name: 'Manchester', type: 'city', population: 552000 },
+  { name: 'Manchester Square', type: 'street' },
+  { name: 'Mansfield', type: 'town', population: 110000 },
+  { name: 'Middlesbrough', type: 'town', population: 143000 },
+  { name: 'Newcastle upon Tyne', type: 'city', population: 300000 },
+  { name: 'Newcastle-under-Lyme', type: 'town', population: 75000 },
+  { name: 'Newton', type: 'hamlet' },
+  { name: 'Leeds', type: 'city', population: 812000 },
+  { name: 'Leek', type: 'town', population: 20000 },
+  { name: 'Lee', type: 'hamlet' },
+  { name: 'M1 Services', type: 'place' }
+].map(place => ({ ...place, key: normaliseName(place.name) }));
+
+const index = new SearchIndex(PLACES);
+const names = (query, limit) => index.search(normaliseName(query), limit).map(hit => hit.entry.name);
+
+describe('SearchIndex', () => {
+  test('returns nothing for an empty query', () => {
+    expect(index.search('')).toEqual([]);
+  });
+
+  test('puts an exact match before longer names starting with it', () => {
+    expect(names('manchester')).toEqual(['Manchester', 'Manchester Square']);
+  });
+
+  test('matches names by prefix', () => {
+    expect(names('mansf')).toEqual(['Mansfield']);
+  });
+
+  test('matches later words of a name', () => {
+    expect(names('keynes')).toEqual(['Milton Keynes']);
+    expect(names('upon tyne')).toEqual(['Newcastle upon Tyne']);
+  });
+
+  test('ranks equal matches by population', () => {
+    expect(names('newcastle')).toEqual(['Newcastle upon Tyne', 'Newcastle-under-Lyme']);
+    expect(names('lee')).toEqual(['Lee', 'Leeds', 'Leek']);
+  });
+
+  test('scores better matches higher', () => {
+    const [exact] = index.search('lee');
+    const [prefix] = index.search('leed');
+    const [wordPrefix] = index.search('keyn');
+    expect(exact.score).toBeGreaterThan(1);
+    expect(prefix.entry.name).toBe('Leeds');
+    expect(prefix.score).toBeLessThan(1 + 0.3);
+    expect(wordPrefix.score).toBeLessThan(prefix.score);
+  });
+
+  test('tolerates a typo or a transposition', () => {
+    expect(names('manchster')).toEqual(['Manchester', 'Manchester Square']);
+    expect(names('mnachester')).toContain('Manchester');
+    expect(names('midlesbrough')).toEqual(['Middlesbrough']);
+  });
+
+  test('allows two edits only in longer queries', () => {
+    expect(names('middlasbraugh')).toEqual(['Middlesbrough']);
+    expect(names('lxxds')).toEqual([]);
+  });
+
+  test('does not fuzzy match short queries', () => {
+    expect(names('lxe')).toEqual([]);
+  });
+
+  test('requires the first letter to match for a fuzzy match', () => {
+    expect(names('reeds')).toEqual([]);
+  });
+
+  test('scores fuzzy matches below prefix matches', () => {
+    const fuzzy = index.search('newtin').find(hit => hit.entry.name === 'Newton');
+    const prefix = index.search('newto').find(hit => hit.entry.name === 'Newton');
+    expect(fuzzy.score).toBeLessThan(prefix.score);
+  });
+
+  test('does not fuzzy match queries with digits', () => {
+    expect(names('m1 s')).toEqual(['M1 Services']);
+    expect(names('m2 services')).toEqual([]);
+  });
+
+  test('respects the limit', () => {
+    expect(names('m', 2)).toHaveLength(2);
+  });
+
+  test('lists entries whose whole name starts with a prefix', () => {
+    const starting = prefix => index.startingWith(prefix).map(entry => entry.name);
+    expect(starting('newcastle')).toEqual(['Newcastle-under-Lyme', 'Newcastle upon Tyne']);
+    expect(starting('lee')).toEqual(['Lee', 'Leeds', 'Leek']);
+    expect(starting('keynes')).toEqual([]);
+    expect(starting('x')).toEqual([]);
+  });
+});
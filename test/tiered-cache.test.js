@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TieredCache } = require('../lib/tiered-cache');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiered-cache-'));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('TieredCache', () => {
+  test('misses, then hits memory after a set', async () => {
+    const cache = new TieredCache();
+    expect(await cache.get('a')).toBeUndefined();
+    await cache.set('a', { n: 1 });
+    expect(await cache.get('a')).toEqual({ n: 1 });
+    expect(cache.stats()).toMatchObject({ misses: 1, memoryHits: 1, writes: 1, persistent: false, hitRate: 0.5 });
+  });
+
+  test('evicts the least recently used entry from memory', async () => {
+    const cache = new TieredCache({ maxEntries: 2 });
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');        // a is now the most recent
+    await cache.set('c', 3);
+    expect([...cache.memory.keys()]).toEqual(['a', 'c']);
+    expect(await cache.get('b')).toBeUndefined();
+  });
+
+  test('reads entries written by another instance from disk', async () => {
+    await new TieredCache({ dir }).set('crimes|51.5|-0.1|2025-08', [1, 2, 3]);
+    const fresh = new TieredCache({ dir });
+    expect(await fresh.get('crimes|51.5|-0.1|2025-08')).toEqual([1, 2, 3]);
+    expect(fresh.stats()).toMatchObject({ diskHits: 1, memoryEntries: 1 });
+    expect(await fresh.get('crimes|51.5|-0.1|2025-08')).toEqual([1, 2, 3]);
+    expect(fresh.stats().memoryHits).toBe(1);
+  });
+
+  test('leaves no temporary files behind', async () => {
+    const cache = new TieredCache({ dir });
+    await cache.set('key', 'value');
+    const files = fs.readdirSync(path.dirname(cache.filePath('key')));
+    expect(files).toEqual([path.basename(cache.filePath('key'))]);
+  });
+
+  test('expires entries after their ttl, in memory and on disk', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const cache = new TieredCache({ dir });
+    await cache.set('short', 'value', { ttl: 500 });
+    await cache.set('forever', 'value');
+
+    now.mockReturnValue(1499);
+    expect(await cache.get('short')).toBe('value');
+
+    now.mockReturnValue(1500);
+    expect(await cache.get('short')).toBeUndefined();
+    expect(await new TieredCache({ dir }).get('short')).toBeUndefined();
+    expect(cache.stats().expired).toBe(1);
+
+    now.mockReturnValue(1e12);
+    expect(await cache.get('forever')).toBe('value');
+  });
+
+  test('removes an expired entry from disk when it is read', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const cache = new TieredCache({ dir });
+    await cache.set('short', 'value', { ttl: 500 });
+    expect(fs.existsSync(cache.filePath('short'))).toBe(true);
+
+    now.mockReturnValue(2000);
+    expect(await new TieredCache({ dir }).get('short')).toBeUndefined();
+    expect(fs.existsSync(cache.filePath('short'))).toBe(false);
+  });
+
+  test('writes the same key concurrently without errors', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const cache = new TieredCache({ dir });
+    await Promise.all(Array.from({ length: 10 }, (_, i) => cache.set('crimes|51.5|-0.1|2025-08', i)));
+    expect(cache.stats().diskErrors).toBe(0);
+    expect(warn).not.toHaveBeenCalled();
+    expect(fs.readdirSync(path.dirname(cache.filePath('crimes|51.5|-0.1|2025-08')))).toHaveLength(1);
+    expect(typeof await new TieredCache({ dir }).get('crimes|51.5|-0.1|2025-08')).toBe('number');
+  });
+
+  test('treats an unreadable disk entry as a miss', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const cache = new TieredCache({ dir });
+    const file = cache.filePath('broken');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, '{ not json');
+    expect(await cache.get('broken')).toBeUndefined();
+    expect(cache.stats()).toMatchObject({ diskErrors: 1, misses: 1 });
+  });
+
+  test('ignores a disk entry stored under another key', async () => {
+    const cache = new TieredCache({ dir });
+    const file = cache.filePath('mine');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ key: 'theirs', value: 1, expiresAt: null }));
+    expect(await cache.get('mine')).toBeUndefined();
+  });
+});